@@ -0,0 +1,28 @@
+// Service worker for reminder notifications (see src/notifications/reminderNotifications.js).
+// Clicking a reminder focuses an open tab of the app and tells it which day to show,
+// or opens a new tab at ?date=YYYY-MM-DD.
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const date = event.notification.data?.date;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+      const client = await windows[0].focus();
+      client.postMessage({ type: 'reminder-clicked', date });
+      return;
+    }
+    const url = new URL(self.registration.scope);
+    if (date) url.searchParams.set('date', date);
+    await self.clients.openWindow(url.href);
+  })());
+});
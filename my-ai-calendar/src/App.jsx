@@ -1,18 +1,129 @@
-import React, { useState, useEffect,} from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import './index.css';
 import CalendarGrid from './components/CalendarGrid';
+import RecurrenceEditor from './components/RecurrenceEditor';
+import RecurrenceScopePicker from './components/RecurrenceScopePicker';
+import ReminderEditor from './components/ReminderEditor';
+import IcsImportExport from './components/IcsImportExport';
+import ConflictDialog from './components/ConflictDialog';
+import SyncConflictDialog from './components/SyncConflictDialog';
+import SuggestionChangeDiff from './components/SuggestionChangeDiff';
+import ParsedEventBatch from './components/ParsedEventBatch';
+import AccountHeader from './components/AccountHeader';
+import SignInDialog from './components/SignInDialog';
+import CalendarPicker from './components/CalendarPicker';
+import CalendarSharingDialog from './components/CalendarSharingDialog';
+import PlacesPanel from './components/PlacesPanel';
+import ProactiveSuggestions from './components/ProactiveSuggestions';
+import TimeZoneSelect from './components/TimeZoneSelect';
+import SearchPanel from './components/SearchPanel';
+import UndoToast from './components/UndoToast';
+import FocusTrap from './components/FocusTrap';
+import CategoriesPanel from './components/CategoriesPanel';
+import CategorySelect from './components/CategorySelect';
+import { DEFAULT_EVENT_DURATION, addDaysToKey, daysBetweenKeys, durationFromTimes, formatDuration, formatTimeRange, getEventDuration, getEventEndTime, isValidDateKey, isValidTime, parseDateKey, toDateKey } from './utils/eventTime';
+import { addRecurrenceException, describeRecurrence, isRecurring, normalizeRecurrence, splitRecurrence } from './utils/recurrence';
+import { describeReminder, normalizeReminders } from './utils/reminders';
+import { getLocalTimeZone, getTodayKey, getZonedNow, getZoneParts, isValidTimeZone } from './utils/timeZones';
+import { describeEventZones, expandEventsInZone, formatTimeRangeInZone, fromDisplayEvent, moveDisplayEvent, toDisplayEvent } from './utils/displayZone';
+import { MOVE_KEY_SHORTCUTS, MOVE_STEP_MINUTES, applyMove, getKeyboardMove, startEventDrag } from './utils/eventDrag';
+import { findProactiveMatches, getOccurrenceKey, getPlaceKey, getSnoozeEnd, getStartNowSlot, loadSuggestionState, pruneSuggestionState, saveSuggestionState } from './utils/proactiveSuggestions';
+import { findCategory, inferCategory, loadCategories, normalizeCategory, normalizeTags, saveCategories } from './utils/categories';
+import { findPlaceAt, loadPlaces, normalizePlace, savePlaces } from './location/places';
+import { getDefaultPositionSource, getPositionErrorMessage } from './location/positionSource';
+import { getNotificationPermission, isNotificationSupported, listenForReminderClicks, registerReminderServiceWorker, requestNotificationPermission, scheduleReminderNotifications } from './notifications/reminderNotifications';
+import { findEventByUid, fitEventToLimits, parseIcs } from './utils/ics';
+import { findConflicts, findNextFreeSlot } from './utils/conflicts';
+import { CHANGE_TYPES, collectSuggestionCandidates, getSuggestionPreviewEvents, isLeavingInPreview, isPreviewGhost, planSuggestionChanges, validateSuggestionChanges } from './utils/suggestions';
+import { createLlmProvider, generateJson } from './llm';
+import { LOCAL_PARSE_CONFIDENCE_THRESHOLD, parseEventsLocally } from './utils/localEventParser';
+import { createEventStore, createIndexedDbEventStore, migrateEvents } from './storage';
+import { toStoredData } from './storage/operations';
+import { CALENDAR_COLORS, PERSONAL_CALENDAR_ID, acceptInvite, canEditCalendar, cancelInvite, createCalendar, getPersonalCalendar, inviteToCalendar, removeMember, setMemberRole, subscribeCalendars } from './storage/calendars';
+import { createEmailAccount, getAuthErrorMessage, getOAuthProviders, signInWithEmail, signInWithOAuth, signOutUser, toAccountInfo } from './auth/accounts';
 
 // Firebase Imports
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged } from 'firebase/auth'; // Removed signInWithCustomToken as it's Canvas-specific
-import { getFirestore, collection, doc, setDoc, query, onSnapshot, deleteDoc, updateDoc } from 'firebase/firestore';
+import { getAuth, signInAnonymously, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth'; // Removed signInWithCustomToken as it's Canvas-specific
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+
+// localStorage key for the "skip the review step" preference
+const AUTO_SAVE_STORAGE_KEY = 'myAiCalendar.autoSaveParsedEvents';
+const HIDDEN_CALENDARS_STORAGE_KEY = 'myAiCalendar.hiddenCalendars';
+// localStorage key for the reminders given to new events that don't ask for their own
+const DEFAULT_REMINDERS_STORAGE_KEY = 'myAiCalendar.defaultReminders';
+// localStorage key for the "use my location" preference
+const LOCATION_TRACKING_STORAGE_KEY = 'myAiCalendar.locationTracking';
+// localStorage keys for the time zone the calendar is shown in, and the optional second one
+const DISPLAY_TIME_ZONE_STORAGE_KEY = 'myAiCalendar.displayTimeZone';
+const SECONDARY_TIME_ZONE_STORAGE_KEY = 'myAiCalendar.secondaryTimeZone';
+
+// Category filter value for events without one of the user's categories
+const UNCATEGORIZED_FILTER = '_none';
+
+// Where the current position comes from; tests can pass their own (see ./location/positionSource)
+const defaultPositionSource = getDefaultPositionSource();
+
+// Helper function to read the default reminders preference
+const loadDefaultReminders = () => {
+  try {
+    return normalizeReminders(JSON.parse(localStorage.getItem(DEFAULT_REMINDERS_STORAGE_KEY) || '[]'));
+  } catch {
+    return [];
+  }
+};
+
+// Helper function to read which calendars the user has hidden (none if the saved value is unreadable)
+const loadHiddenCalendarIds = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HIDDEN_CALENDARS_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(id => typeof id === 'string') : [];
+  } catch {
+    return [];
+  }
+};
 
+// Helper function to read a time zone preference, ignoring zones this browser doesn't know
+const loadTimeZonePreference = (storageKey, fallback) => {
+  const stored = localStorage.getItem(storageKey);
+  return isValidTimeZone(stored) ? stored : fallback;
+};
 
-function App() {
+// Helper function to identify the calendar details the event store depends on (ignores sharing changes)
+const getCalendarStoreKey = (calendars) => calendars.map(calendar => `${calendar.id}:${calendar.role}:${calendar.name}`).join('|');
+
+// Helper function to read a date from the LLM as 'YYYY-MM-DD' (filling in a missing year), or null if it isn't one
+const readLlmDate = (value, currentYear) => {
+  if (typeof value !== 'string') return null;
+  let dateKey = value.trim().slice(0, 10); // Drops any time part of an ISO date-time
+  if (/^\d{2}-\d{2}$/.test(dateKey)) {
+    dateKey = `${currentYear}-${dateKey}`;
+  } else if (/^\d{2}-\d{2}-\d{2}$/.test(dateKey)) {
+    dateKey = `20${dateKey}`;
+  }
+  return isValidDateKey(dateKey) ? dateKey : null;
+};
+
+// Helper function to read a time from the LLM as 'HH:MM', or null if it isn't one
+const readLlmTime = (value) => (isValidTime(value) ? value.padStart(5, '0') : null);
+
+// Helper function to explain where a parsed event came from, when it wasn't the AI provider
+const getParseSourceNote = (parseSource) => {
+  if (!parseSource?.offline) return '';
+  if (parseSource.reason === 'confident') return 'Parsed offline (clear date and time, no AI call needed).';
+  if (parseSource.reason === 'unconfigured') return 'Parsed offline: no AI provider is configured.';
+  return 'Parsed offline: the AI service was unavailable. Please double-check the details.';
+};
+
+function App({ positionSource = defaultPositionSource }) {
   // Existing states
   const [eventInput, setEventInput] = useState('');
-  const [events, setEvents] = useState([]);
-  const [parsedEvent, setParsedEvent] = useState(null);
+  const [storedEvents, setStoredEvents] = useState([]); // Events of every calendar the user belongs to, hidden ones included
+  const [parsedEvents, setParsedEvents] = useState(null); // Events saved from the last parsed input
+  const [parseSource, setParseSource] = useState(null); // { offline, reason } describing how the parsed events were produced
+  const [draftEvents, setDraftEvents] = useState(null); // [{ event, assumed, accepted }] awaiting review before they are saved
+  // Power users can skip the review step and save parsed events straight away
+  const [autoSaveParsedEvents, setAutoSaveParsedEvents] = useState(() => localStorage.getItem(AUTO_SAVE_STORAGE_KEY) === 'true');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
 
@@ -21,12 +132,45 @@ function App() {
   const [auth, setAuth] = useState(null);
   const [userId, setUserId] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
+  const [account, setAccount] = useState(null); // Who is signed in, see toAccountInfo in ./auth/accounts
+  const [isSignInOpen, setIsSignInOpen] = useState(false);
+  const [isAuthBusy, setIsAuthBusy] = useState(false);
+  const [authError, setAuthError] = useState('');
+  const [pendingCarryOver, setPendingCarryOver] = useState(null); // { fromUid, events } from a guest session, copied once the new account's store is ready
+  const [sharedCalendars, setSharedCalendars] = useState([]); // Shared calendars the user belongs to, with their role (see ./storage/calendars)
+  const [storeCalendars, setStoreCalendars] = useState([getPersonalCalendar()]); // The calendars the event store reads, only replaced when ids/roles/names change
+  const [calendarInvites, setCalendarInvites] = useState([]);
+  const [hiddenCalendarIds, setHiddenCalendarIds] = useState(loadHiddenCalendarIds);
+  const [activeCalendarId, setActiveCalendarId] = useState(PERSONAL_CALENDAR_ID); // Calendar new events are added to
+  const [sharingCalendarId, setSharingCalendarId] = useState(null); // Shared calendar whose members are being managed
+  const [isCalendarBusy, setIsCalendarBusy] = useState(false);
+  const [eventStore, setEventStore] = useState(null); // Where events are read from and written to (see ./storage)
+  const [localOnlyEventCount, setLocalOnlyEventCount] = useState(0); // Events left on this device after Firestore became available
+  const [syncState, setSyncState] = useState(null); // { isOnline, isSyncing, pendingCount, conflict } from the offline write queue
+  const [isResolvingSyncConflict, setIsResolvingSyncConflict] = useState(false);
+  // --- NEW STATE FOR REMINDERS ---
+  const [defaultReminders, setDefaultReminders] = useState(loadDefaultReminders);
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission); // 'default' | 'granted' | 'denied' | 'unsupported'
+  const [reminderRegistration, setReminderRegistration] = useState(null); // Service worker registration that shows reminders
+  const [jumpToDate, setJumpToDate] = useState(null); // Date the calendar should jump to, e.g. after a reminder is clicked
+  // --- NEW STATE FOR TIME ZONES ---
+  const [displayTimeZone, setDisplayTimeZone] = useState(() => loadTimeZonePreference(DISPLAY_TIME_ZONE_STORAGE_KEY, getLocalTimeZone())); // The calendar's days and times are this zone's
+  const [secondaryTimeZone, setSecondaryTimeZone] = useState(() => loadTimeZonePreference(SECONDARY_TIME_ZONE_STORAGE_KEY, '')); // Also shown next to times, if set
   // No need for isLocalMode check, as it will always use provided env vars now
 
   // --- NEW STATE FOR MOCK LOCATION ---
-  const [mockCurrentLocationType, setMockCurrentLocationType] = useState('');
+  const [mockCurrentLocationType, setMockCurrentLocationType] = useState(''); // Developer override for the detected place's location type
+  // --- NEW STATE FOR SAVED PLACES ---
+  const [savedPlaces, setSavedPlaces] = useState(loadPlaces);
+  const [isLocationTracking, setIsLocationTracking] = useState(() => localStorage.getItem(LOCATION_TRACKING_STORAGE_KEY) === 'true');
+  const [currentPosition, setCurrentPosition] = useState(null); // { latitude, longitude, accuracy } while tracking
+  const [locationError, setLocationError] = useState('');
+  // --- NEW STATE FOR CATEGORIES ---
+  const [categories, setCategories] = useState(loadCategories);
+  const [categoryFilter, setCategoryFilter] = useState(''); // Category id the selected day's list is narrowed to, or UNCATEGORIZED_FILTER for events without one
   // --- NEW STATE FOR PROACTIVE SUGGESTIONS ---
-  const [proactiveSuggestion, setProactiveSuggestion] = useState(null);
+  const [suggestionState, setSuggestionState] = useState(loadSuggestionState); // Snoozed and dismissed suggestions, see ./utils/proactiveSuggestions
+  const [suggestionClock, setSuggestionClock] = useState(() => new Date()); // Ticks so started events and ended snoozes are noticed
 
   // --- NEW STATE FOR EDITING ---
   const [editingEvent, setEditingEvent] = useState(null); // Stores the event object currently being edited
@@ -35,18 +179,70 @@ function App() {
       title: '',
       date: '',
       time: '',
+      endTime: '',
       description: '',
-      locationType: ''
+      locationType: '',
+      recurrence: null,
+      reminders: [],
+      timeZone: '',
+      endTimeZone: '',
+      category: '',
+      tags: ''
   });
+  // --- NEW STATE FOR RECURRING EVENTS ---
+  const [editScope, setEditScope] = useState('this'); // Which occurrences an edit applies to: 'this' | 'following' | 'all'
+  const [pendingDeleteEvent, setPendingDeleteEvent] = useState(null); // Recurring occurrence waiting for a delete scope
+  const [deleteScope, setDeleteScope] = useState('this');
+  // --- NEW STATE FOR CONFLICT DETECTION ---
+  const [conflictPrompt, setConflictPrompt] = useState(null); // { items, candidates, slots, resolve } while the conflict dialog is open
   // --- NEW STATE FOR CALENDAR ---
-  const [selectedDate, setSelectedDate] = useState(new Date()); // Holds the currently selected date in the calendar
+  const [selectedDate, setSelectedDate] = useState(() => getZonedNow(displayTimeZone)); // Holds the currently selected date in the calendar (the display zone's day)
   const [filteredEvents, setFilteredEvents] = useState([]); // Events for the selected date
+  const calendarGridRef = useRef(null); // Scrolled into view when a search result is picked
 
   // --- NEW STATE FOR SCHEDULE OPTIMIZATION ---
   const [optimizationInput, setOptimizationInput] = useState('');
   const [optimizedSuggestions, setOptimizedSuggestions] = useState(null);
+  const [appliedSuggestion, setAppliedSuggestion] = useState(null); // { description, undoOperations } for the last accepted suggestion
+  const [pinnedSuggestionIndex, setPinnedSuggestionIndex] = useState(null); // Suggestion selected for preview
+  const [hoveredSuggestionIndex, setHoveredSuggestionIndex] = useState(null); // Suggestion under the pointer, previewed over the pinned one
   const [isOptimizing, setIsOptimizing] = useState(false); // To manage loading for optimization
+  // --- NEW STATE FOR MOVING EVENTS ---
+  const [moveUndo, setMoveUndo] = useState(null); // { message, undoOperations } for the last dragged or keyboard-moved event
+
 
+  // Personal calendar first, then shared ones; only visible calendars' events are shown and optimized
+  const calendars = useMemo(() => [getPersonalCalendar(), ...sharedCalendars], [sharedCalendars]);
+  const events = useMemo(
+    () => storedEvents.filter(event => !hiddenCalendarIds.includes(event.calendarId)),
+    [storedEvents, hiddenCalendarIds]
+  );
+  const calendarColors = useMemo(
+    () => Object.fromEntries(calendars.map(calendar => [calendar.id, calendar.color])),
+    [calendars]
+  );
+
+  const categoryColors = useMemo(
+    () => Object.fromEntries(categories.map(category => [category.id, category.color])),
+    [categories]
+  );
+
+  // The selected day's events, narrowed to the chosen category
+  const dayEvents = useMemo(() => {
+    if (!categoryFilter) return filteredEvents;
+    if (categoryFilter === UNCATEGORIZED_FILTER) return filteredEvents.filter(event => !findCategory(categories, event.category));
+    return filteredEvents.filter(event => event.category === categoryFilter);
+  }, [filteredEvents, categoryFilter, categories]);
+
+  // The saved place the user is at, and the location type proactive suggestions look for
+  const currentPlace = useMemo(() => findPlaceAt(savedPlaces, currentPosition), [savedPlaces, currentPosition]);
+  const currentLocationType = mockCurrentLocationType.trim() || currentPlace?.locationType || '';
+
+  // Helper function to check whether the user may change an event (local-mode events have no calendar)
+  const canModifyEvent = (event) => {
+    if (!event.calendarId) return true;
+    return canEditCalendar(calendars.find(calendar => calendar.id === event.calendarId)?.role);
+  };
 
   // --- Firebase Initialization and Authentication ---
   useEffect(() => {
@@ -64,9 +260,9 @@ function App() {
         };
 
         // Basic validation for Firebase config
+        // Without it the app keeps working, with events stored on this device (IndexedDB)
         if (!firebaseConfig.apiKey || !firebaseConfig.projectId) {
-          console.error("Firebase API Key or Project ID is missing from .env file. Please check your .env configuration.");
-          setError("Firebase configuration missing. Check your .env file.");
+          console.warn("Firebase API Key or Project ID is missing from .env file. Events will be stored locally in this browser.");
           setIsAuthReady(true); // Allow UI to render even if Firebase fails
           return;
         }
@@ -75,11 +271,25 @@ function App() {
         const firestoreDb = getFirestore(app);
         const firebaseAuthInstance = getAuth(app);
 
+        // Point at the local Firebase emulators when configured (e.g. VITE_FIRESTORE_EMULATOR_HOST=localhost:8080)
+        const firestoreEmulatorHost = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST;
+        if (firestoreEmulatorHost) {
+          const [host, port] = firestoreEmulatorHost.split(':');
+          connectFirestoreEmulator(firestoreDb, host, Number(port));
+          console.log(`Using Firestore emulator at ${firestoreEmulatorHost}`);
+        }
+        const authEmulatorUrl = import.meta.env.VITE_FIREBASE_AUTH_EMULATOR_URL;
+        if (authEmulatorUrl) {
+          connectAuthEmulator(firebaseAuthInstance, authEmulatorUrl, { disableWarnings: true });
+          console.log(`Using Auth emulator at ${authEmulatorUrl}`);
+        }
+
         setDb(firestoreDb);
         setAuth(firebaseAuthInstance);
 
         // Use onAuthStateChanged for consistent user ID handling
         const unsubscribe = onAuthStateChanged(firebaseAuthInstance, async (user) => {
+          setAccount(toAccountInfo(user));
           if (user) {
             setUserId(user.uid);
             console.log("Firebase user ID:", user.uid);
@@ -105,148 +315,272 @@ function App() {
     initializeFirebase();
   }, []); // Empty dependency array means this runs once on component mount
 
-  // --- Fetch Events from Firestore ---
+  // --- Pick the event store once auth has settled ---
+  // Firestore when Firebase is configured and signed in, otherwise IndexedDB on this device
   useEffect(() => {
-    if (db && userId && isAuthReady) {
-      console.log(`Attempting to fetch events for user ${userId}`);
-      // IMPORTANT: Re-structured Firestore path for general deployment
-      // Use a simple, project-specific collection path directly under a 'users' collection
-      const eventsCollectionRef = collection(db, `users/${userId}/calendarEvents`); // Unique path per user
-      const q = query(eventsCollectionRef);
-
-      const unsubscribe = onSnapshot(q, (snapshot) => {
-        const fetchedEvents = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        // Sort events by date and then time on the client-side
-        fetchedEvents.sort((a, b) => {
-          const dateA = new Date(`${a.date}T${a.time}`);
-          const dateB = new Date(`${b.date}T${b.time}`);
-          return dateA.getTime() - dateB.getTime();
-        });
-        setEvents(fetchedEvents);
-        console.log("Events updated:", fetchedEvents);
-      }, (err) => {
-        console.error("Error fetching events:", err);
-        setError(`Failed to load events: ${err.message}`);
-      });
-
-      // Cleanup listener on component unmount or when db/userId/isAuthReady changes
-      return () => unsubscribe();
-    }
-  }, [db, userId, isAuthReady]); // Re-run when these dependencies change
-
-  // --- NEW useEffect for Proactive Suggestions ---
-  // This will run whenever events or mockCurrentLocationType changes
+    if (!isAuthReady || (db && !userId)) return;
+    const store = createEventStore({ db, userId, calendars: storeCalendars });
+    setEventStore(store);
+    console.log(`Using event store: ${store.label}`);
+    return () => store.dispose && store.dispose();
+  }, [db, userId, isAuthReady, storeCalendars]);
+
+  // --- Shared calendars the user belongs to or is invited to (Firestore only) ---
   useEffect(() => {
-    if (!mockCurrentLocationType || events.length === 0) {
-      setProactiveSuggestion(null); // Clear suggestion if no location set or no events
+    if (!db || !account) {
+      setSharedCalendars([]);
+      setCalendarInvites([]);
       return;
     }
+    return subscribeCalendars(db, account, ({ calendars: memberCalendars, invites }) => {
+      setSharedCalendars(memberCalendars);
+      setCalendarInvites(invites);
+    }, (err) => {
+      console.error("Error fetching calendars:", err);
+      setError(`Failed to load shared calendars: ${err.message}`);
+    });
+  }, [db, account]);
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Normalize to start of today
-// Find upcoming events that match the current mock location type
-    const matchingUpcomingEvents = events.filter(event => {
-      // Check if event has a location type and it matches current mock location
-      const locationMatches = event.locationType && event.locationType.toLowerCase() === mockCurrentLocationType.toLowerCase();
-      
-      // Check if the event is in the future relative to today
-      const eventDate = new Date(event.date);
-      eventDate.setHours(0, 0, 0, 0); // Normalize to start of event day
-
-      // Only suggest events that are in the future
-      const isUpcoming = eventDate.getTime() > today.getTime();
-
-      // Additionally, consider events for "today" if current time is before event time
-      if (eventDate.toDateString() === today.toDateString()) {
-          const [eventHour, eventMinute] = event.time.split(':').map(Number);
-          const eventDateTime = new Date();
-          eventDateTime.setHours(eventHour, eventMinute, 0, 0);
-          return locationMatches && eventDateTime.getTime() > new Date().getTime();
-      }
+  // Rebuild the event store only when a calendar is added, removed, renamed or the user's role changes
+  useEffect(() => {
+    setStoreCalendars(previous => (getCalendarStoreKey(previous) === getCalendarStoreKey(calendars) ? previous : calendars));
+  }, [calendars]);
 
-      return locationMatches && isUpcoming;
-    });
+  // --- New events go to the chosen calendar, as long as the user can still edit it ---
+  useEffect(() => {
+    const activeCalendar = storeCalendars.find(calendar => calendar.id === activeCalendarId);
+    if (!activeCalendar || !canEditCalendar(activeCalendar.role)) {
+      setActiveCalendarId(PERSONAL_CALENDAR_ID);
+      return;
+    }
+    if (eventStore?.setDefaultCalendar) eventStore.setDefaultCalendar(activeCalendarId);
+  }, [eventStore, storeCalendars, activeCalendarId]);
 
+  // --- Track offline queue / sync status (Firestore only) ---
+  useEffect(() => {
+    if (!eventStore?.subscribeSyncState) {
+      setSyncState(null);
+      return;
+    }
+    return eventStore.subscribeSyncState(setSyncState);
+  }, [eventStore]);
 
-    // Sort by closest upcoming date
-    matchingUpcomingEvents.sort((a, b) => {
+  // --- Fetch Events from the store ---
+  useEffect(() => {
+    if (!eventStore) return;
+    const unsubscribe = eventStore.subscribe((fetchedEvents) => {
+      // Sort events by date and then time on the client-side
+      const sortedEvents = [...fetchedEvents].sort((a, b) => {
         const dateA = new Date(`${a.date}T${a.time}`);
         const dateB = new Date(`${b.date}T${b.time}`);
         return dateA.getTime() - dateB.getTime();
+      });
+      setStoredEvents(sortedEvents);
+      console.log("Events updated:", sortedEvents);
+    }, (err) => {
+      console.error("Error fetching events:", err);
+      setError(`Failed to load events: ${err.message}`);
     });
 
-    if (matchingUpcomingEvents.length > 0) {
-        const suggestedEvent = matchingUpcomingEvents[0]; // Suggest the soonest one
-        const eventDay = new Date(suggestedEvent.date).toLocaleDateString('en-US', { weekday: 'long' });
+    // Cleanup listener on component unmount or when the store changes
+    return () => unsubscribe();
+  }, [eventStore]);
 
-        setProactiveSuggestion({
-            message: `Heads up! It looks like you're at a "${mockCurrentLocationType}" type of place. You have "${suggestedEvent.title}" scheduled for ${eventDay}. Would you like to consider doing it now?`,
-            eventDetails: suggestedEvent // Store event details for showing list, etc.
-        });
-    } else {
-        setProactiveSuggestion(null); // No relevant suggestions
+  // --- Carry a guest's events over after signing in to an existing account ---
+  // Linking keeps the uid (and the events); signing in to another account switches uid, so copy them across
+  useEffect(() => {
+    if (!pendingCarryOver || eventStore?.name !== 'firestore' || userId === pendingCarryOver.fromUid) return;
+    const { events: carriedEvents } = pendingCarryOver;
+    setPendingCarryOver(null);
+    // Same ids, so links between a series and its detached occurrences survive; always into the personal calendar
+    eventStore.commit(carriedEvents.map(event => ({ type: 'set', id: event.id, data: toStoredData(event), calendarId: PERSONAL_CALENDAR_ID })))
+      .then(() => console.log(`Carried ${carriedEvents.length} guest events over to the signed-in account.`))
+      .catch(err => {
+        console.error("Error carrying guest events over:", err);
+        setError(`Failed to copy your guest events into your account: ${err.message}`);
+      });
+  }, [pendingCarryOver, eventStore, userId]);
+
+  // --- Look for events saved on this device before Firestore was set up ---
+  useEffect(() => {
+    if (eventStore?.name !== 'firestore') return;
+    createIndexedDbEventStore().getAll()
+      .then(localEvents => setLocalOnlyEventCount(localEvents.length))
+      .catch(err => console.warn("Could not check for local-only events:", err));
+  }, [eventStore]);
+
+  // --- NEW: Follow the user's position while location tracking is on ---
+  useEffect(() => {
+    if (!isLocationTracking || !positionSource.isAvailable) {
+      setCurrentPosition(null);
+      return;
     }
-}, [mockCurrentLocationType, events]); // Dependencies: re-run when location or events change
+    return positionSource.watch(
+      position => {
+        setCurrentPosition(position);
+        setLocationError('');
+      },
+      positionError => {
+        console.warn("Geolocation error:", positionError);
+        setLocationError(getPositionErrorMessage(positionError));
+      }
+    );
+  }, [isLocationTracking, positionSource]);
+
+  // --- NEW: Proactive Suggestions ---
+  // Every upcoming event matching where the user is, minus the ones snoozed or dismissed here
+  const suggestionPlaceKey = getPlaceKey(mockCurrentLocationType.trim() ? null : currentPlace, currentLocationType);
+  const proactiveMatches = useMemo(
+    () => findProactiveMatches(events, currentLocationType, suggestionPlaceKey, suggestionState, suggestionClock),
+    [events, currentLocationType, suggestionPlaceKey, suggestionState, suggestionClock]
+  );
+  const whereabouts = !mockCurrentLocationType.trim() && currentPlace
+    ? `you're at ${currentPlace.name}`
+    : `you're at a "${currentLocationType}" type of place`;
+
+  useEffect(() => {
+    if (!currentLocationType) return;
+    const timer = setInterval(() => setSuggestionClock(new Date()), 60000);
+    return () => clearInterval(timer);
+  }, [currentLocationType]);
   
+// --- NEW: Overlay the hovered or selected suggestion on the calendar ---
+const previewedSuggestion = optimizedSuggestions?.[hoveredSuggestionIndex ?? pinnedSuggestionIndex] || null;
+const displayedEvents = useMemo(
+    () => (previewedSuggestion ? getSuggestionPreviewEvents(previewedSuggestion.changes, events) : events),
+    [previewedSuggestion, events]
+);
+
 // --- NEW: Filter events based on selectedDate ---
 useEffect(() => {
-    // Normalize selectedDate to start of day for comparison
-    const normalizedSelectedSelectedDate = new Date(selectedDate);
-    normalizedSelectedSelectedDate.setHours(0, 0, 0, 0);
+    // Compare on YYYY-MM-DD keys and expand recurring events into that day's occurrences, as seen in the display zone
+    const selectedDateKey = toDateKey(selectedDate);
+    const filtered = expandEventsInZone(displayedEvents, selectedDateKey, selectedDateKey, displayTimeZone);
+    filtered.sort((a, b) => a.time.localeCompare(b.time));
+    setFilteredEvents(filtered);
+}, [displayedEvents, selectedDate, displayTimeZone]);
+
+// --- NEW: Reminder notifications ---
+// The service worker shows the notifications and reopens the app on the reminded day when one is clicked
+useEffect(() => {
+    if (!isNotificationSupported()) return;
+    registerReminderServiceWorker()
+        .then(setReminderRegistration)
+        .catch(registrationError => console.error("Error registering the reminder service worker:", registrationError));
+    return listenForReminderClicks(dateKey => setJumpToDate(new Date(`${dateKey}T00:00`)));
+}, []);
+
+// Re-plan whenever events change; reminders of hidden calendars stay quiet
+useEffect(() => {
+    if (!reminderRegistration || notificationPermission !== 'granted') return;
+    return scheduleReminderNotifications(reminderRegistration, events);
+}, [reminderRegistration, notificationPermission, events]);
+
+
 
-    const filtered = events.filter(event => {
-        const eventDate = new Date(event.date);
-        eventDate.setHours(0, 0, 0, 0); // Normalize event date to start of day
 
-        return eventDate.getTime() === normalizedSelectedSelectedDate.getTime();
+  /**
+   * Checks events that are about to be saved against the calendar and, if any overlap existing events,
+   * asks the user whether to save anyway, move them to the next free slot, or cancel.
+   * Resolves with the candidates to save (possibly moved), or null if the user cancelled.
+   * `ignoreIds` lists events being replaced (the event being edited, or events a suggestion moves/deletes).
+   */
+  const checkForConflicts = (candidates, ignoreIds = []) => {
+    const items = [];
+    const slots = [];
+    // Later candidates are also checked against earlier ones, as they'd be saved together
+    const pendingEvents = [];
+    candidates.forEach((candidate, index) => {
+      const pool = [...events, ...pendingEvents];
+      const conflicts = findConflicts(candidate, pool, ignoreIds);
+      let placed = candidate;
+      if (conflicts.length > 0) {
+        const nextFreeSlot = findNextFreeSlot(candidate, pool, ignoreIds);
+        items.push({ candidate, conflicts, nextFreeSlot });
+        slots[index] = nextFreeSlot;
+        if (nextFreeSlot) placed = { ...candidate, ...nextFreeSlot };
+      }
+      pendingEvents.push({ ...placed, id: `pending-${index}` });
     });
-    setFilteredEvents(filtered);
-}, [events, selectedDate]);
 
+    if (items.length === 0) {
+      return Promise.resolve(candidates);
+    }
+    return new Promise(resolve => setConflictPrompt({ items, candidates, slots, resolve }));
+  };
 
+  // Handlers for the conflict dialog's three choices
+  const handleConflictSaveAnyway = () => {
+    conflictPrompt.resolve(conflictPrompt.candidates);
+    setConflictPrompt(null);
+  };
 
+  const handleConflictUseFreeSlot = () => {
+    conflictPrompt.resolve(conflictPrompt.candidates.map((candidate, index) => (
+      conflictPrompt.slots[index] ? { ...candidate, ...conflictPrompt.slots[index] } : candidate
+    )));
+    setConflictPrompt(null);
+  };
+
+  const handleConflictCancel = () => {
+    conflictPrompt.resolve(null);
+    setConflictPrompt(null);
+  };
 
   /**
    * Handles parsing the natural language event input using the LLM API.
-   * It constructs a prompt, defines a response schema, and makes a fetch call to Gemini.
+   * It constructs a prompt, defines a response schema, and sends them through the configured LLM provider.
    */
   const handleParseEvent = async () => {
     if (!eventInput.trim()) {
       setError('Please enter an event description.');
-      setParsedEvent(null);
+      setParsedEvents(null);
       return;
     }
 
     setIsLoading(true);
     setError('');
-    setParsedEvent(null);
-
-    // --- Load Gemini API key from .env variables ---
-    const geminiApiKey = import.meta.env.VITE_GEMINI_API_KEY;
+    setParsedEvents(null);
+    setDraftEvents(null);
 
-    if (!geminiApiKey) {
-        setError("Gemini API Key is missing from .env file. Please add VITE_GEMINI_API_KEY.");
-        setIsLoading(false);
-        return;
-    }
+    // --- Run the offline parser first; it also stands in when the LLM is missing or failing ---
+    // Both parsers think in the display zone, so "today" is the day the user sees on the calendar
+    const localResults = parseEventsLocally(eventInput, getZonedNow(displayTimeZone), categories);
+    const localEvents = localResults.map(result => result.event);
+    const llmProvider = createLlmProvider();
 
     // Define the prompt for the LLM
-    const currentDate = new Date().toISOString().slice(0, 10);
-    const nextDayDate = new Date(new Date().setDate(new Date().getDate() + 1)).toISOString().slice(0, 10);
+    const currentDate = getTodayKey(displayTimeZone);
+    const nextDayDate = addDaysToKey(currentDate, 1);
 
     const prompt = `
     You are an intelligent calendar assistant. Your task is to extract event details from the user's natural language input.
-    Identify the 'title', 'date', 'time', 'description', and a new field 'locationType'. The 'locationType' should be a single word (e.g., "supermarket", "doctor", "office", "gym", "home", "bank", "restaurant") if the event clearly implies a type of location. If no specific location type is implied, set it to an empty string "".
+    The input may describe several events (e.g., "dentist Tuesday 10am and gym Thursday after work, also pay rent on the 1st"). Return an object with an 'events' array containing one object per distinct event, in the order they are mentioned. Do not split a single event's details (e.g., "every Monday and Wednesday", "lunch with Tom and Jerry") into separate events.
+    Each example output below shows one event object; in your response, place every event object in the 'events' array.
+    Identify the 'title', 'date', 'time', 'duration', 'description', and a new field 'locationType'. The 'locationType' should be a single word (e.g., "supermarket", "doctor", "office", "gym", "home", "bank", "restaurant") if the event clearly implies a type of location. If no specific location type is implied, set it to an empty string "".
     The date should be in 'YYYY-MM-DD' format. If a year is not specified, assume the current year.
     The time should be in 'HH:MM' (24-hour) format. If a time is not specified, default to '09:00'.
+    The duration is how long the event runs, as a whole number of minutes (e.g., "for two hours" is 120, "30-minute call" is 30). If an end time is given (e.g., "from 2 to 4pm"), use the difference between start and end. If no length is implied, default to ${DEFAULT_EVENT_DURATION}.
     The description should capture any additional relevant details not covered by title, date, or time, or any specific instructions.
     If no specific date is mentioned (e.g., "today", "tomorrow", "next Monday"), infer it based on the current date and day of the week.
-    For recurring events, extract the core event details (title, first date/time, description) and note the recurrence pattern in the description if it's complex, otherwise, just extract the single instance.
-
-    Today's date is ${currentDate}. Tomorrow's date is ${nextDayDate}.
+    For recurring events, set 'date' and 'time' to the first occurrence and describe the pattern in a structured 'recurrence' object instead of the description:
+      - 'freq': one of "DAILY", "WEEKLY", "MONTHLY", "YEARLY".
+      - 'interval': repeat every N units (e.g., "every other week" is WEEKLY with interval 2). Default 1.
+      - 'byDay': weekday codes "MO", "TU", "WE", "TH", "FR", "SA", "SU" (e.g., "every Monday and Wednesday" is ["MO", "WE"]). For monthly patterns like "first Monday of the month" prefix the position: ["1MO"]; "last Friday" is ["-1FR"].
+      - 'until': last possible date in 'YYYY-MM-DD' format, if the user gives an end date.
+      - 'count': total number of occurrences, if the user gives one (e.g., "for 6 weeks" is count 6).
+      - 'exceptions': dates in 'YYYY-MM-DD' format the user explicitly wants skipped.
+    If the event does not repeat, omit 'recurrence'.
+    If the user asks to be reminded (e.g., "remind me 15 minutes before", "remind me the day before at 8pm"), list the reminders in a 'reminders' array and leave them out of the description:
+      - A fixed offset before the start is { "minutesBefore": N } (e.g., "15 minutes before" is 15, "an hour before" is 60, "the day before" is 1440, "at the start" is 0).
+      - A clock time on an earlier day is { "daysBefore": N, "time": "HH:MM" } (e.g., "the day before at 8pm" is { "daysBefore": 1, "time": "20:00" }, "the night before" is { "daysBefore": 1, "time": "20:00" }, "the morning of" is { "daysBefore": 0, "time": "08:00" }).
+    If no reminder is requested, omit 'reminders'.
+    The 'date' and 'time' are wall-clock values in the event's time zone. If the user names a time zone or a city's time (e.g., "3pm London time", "10am EST"), set 'timeZone' to its IANA name (e.g., "Europe/London", "America/New_York"); otherwise omit 'timeZone' and the user's own zone is used.
+    For flights and other trips that end in another time zone (e.g., "flight from London to New York at 10am, landing 1pm"), set 'timeZone' to the departure zone, 'endTimeZone' to the arrival zone, and 'duration' to the real travel time (landing 1pm New York time after leaving 10am London time is 480 minutes).
+    Set 'category' to the one of the user's categories that fits the event best: ${categories.map(category => `"${category.name}"`).join(', ') || 'none defined'}. If none fits, set it to an empty string "".
+    Words marked with '#' (e.g., "#q4", "#kids") are tags: list them in a 'tags' array without the '#' and leave them out of the title. A tag naming one of the categories sets 'category' instead. If there are no tags, omit 'tags'.
+
+    Today's date is ${currentDate}. Tomorrow's date is ${nextDayDate}. The user's time zone is ${displayTimeZone}.
 
     Example Input: "Lunch with Sarah next Monday at 1 PM about the marketing campaign"
     Example Output:
@@ -254,6 +588,7 @@ useEffect(() => {
         "title": "Lunch with Sarah",
         "date": "YYYY-MM-DD", // Placeholder: should be calculated based on next Monday relative to current date
         "time": "13:00",
+        "duration": 60,
         "description": "Discuss marketing campaign",
         "locationType": "restaurant" // Example: if LLM infers from "Lunch"
     }
@@ -264,6 +599,7 @@ useEffect(() => {
         "title": "Team Sync",
         "date": "${nextDayDate}",
         "time": "09:00",
+        "duration": 60,
         "description": "",
         "locationType": "office" // Example: if LLM infers "Team sync" implies office
     }
@@ -274,6 +610,7 @@ useEffect(() => {
         "title": "Dentist Appointment",
         "date": "YYYY-01-15", // Placeholder: replace YYYY with current year if not specified
         "time": "10:00",
+        "duration": 60,
         "description": "Bring X-rays",
         "locationType": "doctor" // Example: if LLM infers from "Dentist"
     }
@@ -284,8 +621,35 @@ useEffect(() => {
         "title": "Weekly Standup",
         "date": "YYYY-MM-DD", // Placeholder: should be calculated as next Monday
         "time": "09:30",
-        "description": "Weekly recurring event",
-        "locationType": "" // No specific location type implied
+        "duration": 60,
+        "description": "",
+        "locationType": "", // No specific location type implied
+        "recurrence": { "freq": "WEEKLY", "interval": 1, "byDay": ["MO"] }
+    }
+
+    Example Input: "Flight to Berlin Friday 7am, remind me the night before and 3 hours before"
+    Example Output:
+    {
+        "title": "Flight to Berlin",
+        "date": "YYYY-MM-DD", // Next Friday
+        "time": "07:00",
+        "duration": 60,
+        "description": "",
+        "locationType": "",
+        "reminders": [{ "daysBefore": 1, "time": "20:00" }, { "minutesBefore": 180 }]
+    }
+
+    Example Input: "Flight from London to New York on Friday at 10am, arriving 1pm"
+    Example Output:
+    {
+        "title": "Flight from London to New York",
+        "date": "YYYY-MM-DD", // Next Friday
+        "time": "10:00",
+        "duration": 480,
+        "description": "",
+        "locationType": "",
+        "timeZone": "Europe/London",
+        "endTimeZone": "America/New_York"
     }
 
     Example Input: "Grocery shopping on Friday evening, list: milk, eggs, bread"
@@ -294,143 +658,463 @@ useEffect(() => {
         "title": "Grocery Shopping",
         "date": "YYYY-MM-DD", // Next Friday
         "time": "18:00", // Example evening time
+        "duration": 60,
         "description": "List: milk, eggs, bread",
-        "locationType": "supermarket"
+        "locationType": "supermarket",
+        "category": "Errands"
+    }
+
+    Example Input: "Team meeting on Friday at 10 AM for two hours"
+    Example Output:
+    {
+        "title": "Team Meeting",
+        "date": "YYYY-MM-DD", // Next Friday
+        "time": "10:00",
+        "duration": 120,
+        "description": "",
+        "locationType": "office"
+    }
+
+    Example Input: "Dentist Tuesday 10am and gym Thursday after work"
+    Example Output:
+    {
+        "events": [
+            { "title": "Dentist", "date": "YYYY-MM-DD", "time": "10:00", "duration": 60, "description": "", "locationType": "doctor" }, // Next Tuesday
+            { "title": "Gym", "date": "YYYY-MM-DD", "time": "18:00", "duration": 60, "description": "", "locationType": "gym" } // Next Thursday
+        ]
     }
 
-    Now, parse the following event: "${eventInput}"
+    Now, parse the following input: "${eventInput}"
     `;
 
     // Define the JSON schema for the expected response from the LLM
-    const responseSchema = {
+    const eventSchema = {
         type: "OBJECT",
         properties: {
             title: { "type": "STRING" },
-            date: { "type": "STRING", "format": "date-time" },
+            date: { "type": "STRING" }, // 'YYYY-MM-DD'
             time: { "type": "STRING", "pattern": "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$" },
+            duration: { "type": "INTEGER" }, // Length of the event in minutes
             description: { "type": "STRING" },
-            locationType: { "type": "STRING"}
+            locationType: { "type": "STRING"},
+            recurrence: { // Only present for repeating events
+                type: "OBJECT",
+                properties: {
+                    freq: { "type": "STRING", "enum": ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"] },
+                    interval: { "type": "INTEGER" },
+                    byDay: { "type": "ARRAY", "items": { "type": "STRING" } },
+                    until: { "type": "STRING" },
+                    count: { "type": "INTEGER" },
+                    exceptions: { "type": "ARRAY", "items": { "type": "STRING" } }
+                },
+                required: ["freq"]
+            },
+            reminders: { // Only present when the user asks to be reminded
+                type: "ARRAY",
+                items: {
+                    type: "OBJECT",
+                    properties: {
+                        minutesBefore: { "type": "INTEGER" },
+                        daysBefore: { "type": "INTEGER" },
+                        time: { "type": "STRING" }
+                    }
+                }
+            },
+            timeZone: { "type": "STRING" }, // IANA name, only when the user names a zone
+            endTimeZone: { "type": "STRING" }, // Only for trips that end in another zone
+            category: { "type": "STRING" }, // Name of one of the user's categories
+            tags: { "type": "ARRAY", "items": { "type": "STRING" } }
+        },
+        required: ["title", "date", "time", "duration", "locationType"]
+    };
+    const responseSchema = {
+        type: "OBJECT",
+        properties: {
+            events: { type: "ARRAY", items: eventSchema }
         },
-        required: ["title", "date", "time", "locationType"]
+        required: ["events"]
     };
 
-    const payload = {
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: responseSchema
+    let parsedList;
+    if (localResults.every(result => result.confidence >= LOCAL_PARSE_CONFIDENCE_THRESHOLD)) {
+        // Confident offline parse of every event: skip the LLM round trip
+        parsedList = localEvents;
+        setParseSource({ offline: true, reason: 'confident' });
+    } else if (!llmProvider.isConfigured()) {
+        console.warn(`${llmProvider.missingConfigMessage} Falling back to the offline parser.`);
+        parsedList = localEvents;
+        setParseSource({ offline: true, reason: 'unconfigured' });
+    } else {
+        try {
+            const response = await generateJson(llmProvider, {
+                task: 'parseEvent',
+                prompt,
+                responseSchema,
+                context: { input: eventInput, today: currentDate }
+            });
+            parsedList = Array.isArray(response.events) ? response.events : [];
+            setParseSource({ offline: false, reason: llmProvider.name });
+        } catch (llmError) {
+            console.warn(`LLM unavailable (${llmError.message}). Falling back to the offline parser.`);
+            parsedList = localEvents;
+            setParseSource({ offline: true, reason: 'llmError' });
         }
-    };
 
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${geminiApiKey}`; // Use local API key
+        const currentYear = new Date().getFullYear();
+        const isUsable = (parsed) => typeof parsed?.title === 'string' && parsed.title.trim() && readLlmDate(parsed.date, currentYear) && readLlmTime(parsed.time);
+        if (parsedList.length === 0 || !parsedList.every(isUsable)) {
+            console.error('Incomplete LLM data, falling back to the offline parser:', parsedList);
+            parsedList = localEvents;
+            setParseSource({ offline: true, reason: 'llmError' });
+        }
+    }
+
+    try {
+        // The offline parse tells us which parts of the input were missing, whichever parser produced the values.
+        // Its results only line up with the LLM's when both found the same number of events.
+        const localAssumptions = parsedList.length === localResults.length ? localResults.map(result => result.assumed) : [];
+        const drafts = parsedList.map((parsed, index) => {
+          // Also fills in a year left out; the offline parser's values are checked here too
+          const finalDate = readLlmDate(parsed.date, new Date().getFullYear());
+          const finalTime = readLlmTime(parsed.time);
+          if (!finalDate || !finalTime) {
+            throw new Error(`no valid date or time for "${parsed.title || eventInput}".`);
+          }
 
-    let retries = 0;
-    const maxRetries = 3;
-    const baseDelay = 1000;
+          const assumed = localAssumptions[index] || {};
+          const reminders = normalizeReminders(parsed.reminders);
+          // The LLM names a category; anything that isn't one of the user's falls back to a keyword guess
+          const namedCategory = findCategory(categories, parsed.category)
+            || categories.find(category => category.name.toLowerCase() === String(parsed.category || '').trim().toLowerCase());
+          const category = namedCategory ? namedCategory.id : inferCategory(categories, parsed);
+          // Events without a (known) zone of their own are in the user's display zone
+          const timeZone = isValidTimeZone(parsed.timeZone) ? parsed.timeZone : displayTimeZone;
+          const endTimeZone = isValidTimeZone(parsed.endTimeZone) && parsed.endTimeZone !== timeZone ? parsed.endTimeZone : null;
+          return {
+            event: {
+              title: parsed.title,
+              date: finalDate,
+              time: finalTime,
+              duration: getEventDuration(parsed),
+              description: parsed.description || '',
+              locationType: parsed.locationType || '',
+              recurrence: normalizeRecurrence(parsed.recurrence),
+              // Events without reminders of their own get the default ones
+              reminders: reminders.length > 0 ? reminders : defaultReminders,
+              timeZone,
+              endTimeZone,
+              category,
+              tags: normalizeTags(parsed.tags)
+            },
+            assumed: {
+              ...assumed,
+              year: Boolean(assumed.year) || !parsed.date.trim().startsWith(finalDate),
+              reminders: reminders.length === 0,
+              timeZone: !isValidTimeZone(parsed.timeZone),
+              // Only a "#category" tag counts as the user choosing one
+              category: Boolean(category) && assumed.category !== false
+            },
+            accepted: true
+          };
+        });
 
-    while (retries < maxRetries) {
-        try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+        if (autoSaveParsedEvents) {
+            await saveParsedEvents(drafts.map(draft => draft.event));
+            return;
+        }
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error('LLM API Error Response:', errorData);
-                throw new Error(`LLM API request failed with status: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-            }
+        // --- Hold the results as drafts for review ---
+        setDraftEvents(drafts);
+    } catch (parseError) {
+        console.error("Error preparing parsed events:", parseError);
+        setError(`Failed to read the parsed events: ${parseError.message}`);
+    } finally {
+        setIsLoading(false);
+    }
+  };
 
-            const result = await response.json();
+  // Helper function to conflict-check and save parsed events together. Returns true once they are saved.
+  const saveParsedEvents = async (candidates) => {
+    if (!eventStore) {
+      setError("Event storage is not ready yet. Please try again in a moment.");
+      setIsLoading(false); // Auto-save arrives here still loading from the parse
+      return false;
+    }
+    setIsLoading(true);
+    setError('');
+    try {
+        const resolvedCandidates = await checkForConflicts(candidates);
+        if (!resolvedCandidates) {
+          console.log("Events not saved: conflict dialog cancelled.");
+          return false;
+        }
 
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
+        // --- Save the events together ---
+        await eventStore.commit(resolvedCandidates.map(candidate => ({ type: 'set', id: eventStore.newId(), data: candidate })));
+        console.log(`Events saved (${eventStore.name}):`, resolvedCandidates);
+        setParsedEvents(resolvedCandidates);
+        setEventInput('');
+        return true;
+    } catch (saveError) {
+        console.error("Error saving parsed events:", saveError);
+        setError(`Failed to save events: ${saveError.message}`);
+        return false;
+    } finally {
+        setIsLoading(false);
+    }
+  };
 
-                const jsonString = result.candidates[0].content.parts[0].text;
-                try {
-                    const parsed = JSON.parse(jsonString);
+  // --- NEW: Review step handlers ---
+  const handleChangeDraft = (index, item) => {
+    setDraftEvents(prevDrafts => prevDrafts.map((draft, i) => (i === index ? item : draft)));
+  };
 
-                    if (parsed.title && parsed.date && parsed.time) {
-                        let finalDate = parsed.date;
-                        // Basic year inference for MM-DD or YY-MM-DD formats
-                        if (finalDate.match(/^\d{2}-\d{2}$/)) {
-                            finalDate = new Date().getFullYear() + '-' + finalDate;
-                        } else if (finalDate.match(/^\d{2}-\d{2}-\d{2}$/)) {
-                            finalDate = `20${finalDate}`;
-                        }
+  const handleSaveDrafts = async () => {
+    const accepted = draftEvents.filter(draft => draft.accepted).map(draft => draft.event);
+    if (accepted.length === 0) {
+      setError('Keep at least one event to save, or discard them all.');
+      return;
+    }
+    if (accepted.some(event => !event.title.trim() || !event.date || !event.time)) {
+      setError('Title, Date, and Time are required to save the event.');
+      return;
+    }
+    const saved = await saveParsedEvents(accepted.map(event => ({ ...event, title: event.title.trim(), tags: normalizeTags(event.tags) })));
+    if (saved) {
+      setDraftEvents(null);
+    }
+  };
 
-                        const finalParsedEvent = {
-                          title: parsed.title,
-                          date: finalDate,
-                          time: parsed.time,
-                          description: parsed.description || '',
-                          locationType: parsed.locationType || ''
-                        };
-
-                        setParsedEvent(finalParsedEvent);
-
-                        // --- Save the event to Firestore ---
-                        if (db && userId) { // No longer need !isLocalMode as isLocalMode is removed
-                          // IMPORTANT: Use a generic collection path for general deployment
-                          const eventsCollectionRef = collection(db, `users/${userId}/calendarEvents`);
-                          await setDoc(doc(eventsCollectionRef), finalParsedEvent);
-                          console.log("Event saved to Firestore:", finalParsedEvent);
-                        } else {
-                          // Fallback for when DB isn't ready (e.g., initial load or error)
-                          setEvents(prevEvents => {
-                            return [...prevEvents, { ...finalParsedEvent, id: Date.now().toString() }];
-                          });
-                          console.warn("Firebase DB not ready, event added to local state only (not persistent).");
-                        }
-                        setEventInput('');
-                        break;
+  const handleDiscardDrafts = () => {
+    setDraftEvents(null);
+    setParseSource(null);
+  };
 
-                    } else {
-                        setError('LLM returned incomplete or invalid event data. Please try rephrasing.');
-                        console.error('Incomplete LLM data:', parsed);
-                    }
+  const handleToggleAutoSave = (enabled) => {
+    setAutoSaveParsedEvents(enabled);
+    localStorage.setItem(AUTO_SAVE_STORAGE_KEY, String(enabled));
+  };
 
-                } catch (parseError) {
-                    setError('Failed to parse LLM response JSON. The AI might have returned an unexpected format. Please try again.');
-                    console.error('JSON parsing error:', parseError);
-                    console.error('Raw LLM response:', jsonString);
-                }
-            } else {
-                setError('LLM response was empty or malformed. Please try again.');
-                console.error('Malformed LLM response:', result);
-            }
-        } catch (fetchError) {
-            console.error('Fetch error during LLM call:', fetchError);
-            retries++;
-            if (retries < maxRetries) {
-                const delay = baseDelay * Math.pow(2, retries - 1);
-                console.warn(`Retrying LLM call in ${delay / 1000} seconds... (Attempt ${retries}/${maxRetries})`);
-                await new Promise(res => setTimeout(res, delay));
-            } else {
-                setError(`Failed to get a valid response from LLM after ${maxRetries} attempts. Please check your prompt or ensure your API key is correct and try again later.`);
-            }
-        } finally {
-            setIsLoading(false);
+  // --- NEW: Saved places and location tracking ---
+  const handleToggleLocationTracking = (enabled) => {
+    setIsLocationTracking(enabled);
+    setLocationError('');
+    localStorage.setItem(LOCATION_TRACKING_STORAGE_KEY, String(enabled));
+  };
+
+  // Returns true once the place is saved
+  const handleAddPlace = (place) => {
+    const newPlace = normalizePlace(place);
+    if (!newPlace) {
+      setError('A place needs a name, a location type, and valid coordinates.');
+      return false;
+    }
+    const updatedPlaces = [...savedPlaces, newPlace];
+    setSavedPlaces(updatedPlaces);
+    savePlaces(updatedPlaces);
+    setError('');
+    return true;
+  };
+
+  const handleRemovePlace = (placeId) => {
+    const updatedPlaces = savedPlaces.filter(place => place.id !== placeId);
+    setSavedPlaces(updatedPlaces);
+    savePlaces(updatedPlaces);
+  };
+
+  // Resolves to the current position, or null (with the reason shown) if it can't be read
+  const handleLocateMe = async () => {
+    try {
+        const position = await positionSource.getCurrentPosition();
+        setLocationError('');
+        return position;
+    } catch (positionError) {
+        console.warn("Geolocation error:", positionError);
+        setLocationError(getPositionErrorMessage(positionError));
+        return null;
+    }
+  };
+
+  // --- NEW: Categories ---
+  // Returns true once the category is saved; names must be unique, as events refer to categories by their name's id
+  const handleAddCategory = (category) => {
+    const newCategory = normalizeCategory(category);
+    if (!newCategory) {
+      setError('A category needs a name.');
+      return false;
+    }
+    if (findCategory(categories, newCategory.id)) {
+      setError(`There is already a category called "${newCategory.name}".`);
+      return false;
+    }
+    const updatedCategories = [...categories, newCategory];
+    setCategories(updatedCategories);
+    saveCategories(updatedCategories);
+    setError('');
+    return true;
+  };
+
+  // Changes a category's color or keywords; its name (and so its id) stays
+  const handleUpdateCategory = (categoryId, changes) => {
+    const updatedCategories = categories.map(category => (
+      category.id === categoryId ? normalizeCategory({ ...category, ...changes, id: category.id, name: category.name }) : category
+    ));
+    setCategories(updatedCategories);
+    saveCategories(updatedCategories);
+  };
+
+  // Events keep the removed category's id, and show as uncategorized (or get it back if it's added again)
+  const handleRemoveCategory = (categoryId) => {
+    const updatedCategories = categories.filter(category => category.id !== categoryId);
+    setCategories(updatedCategories);
+    saveCategories(updatedCategories);
+    if (categoryFilter === categoryId) setCategoryFilter('');
+  };
+
+  // --- NEW: Proactive suggestion actions ---
+  const updateSuggestionState = (update) => {
+    setSuggestionState(prevState => {
+      const nextState = pruneSuggestionState(update(prevState));
+      saveSuggestionState(nextState);
+      return nextState;
+    });
+  };
+
+  const handleSnoozeSuggestion = (key, minutes) => {
+    const until = getSnoozeEnd(minutes);
+    updateSuggestionState(state => ({ ...state, snoozed: { ...state.snoozed, [key]: until } }));
+  };
+
+  const handleDismissSuggestion = (key, event) => {
+    updateSuggestionState(state => ({
+      ...state,
+      dismissed: { ...state.dismissed, [suggestionPlaceKey]: { ...state.dismissed[suggestionPlaceKey], [key]: event.date } }
+    }));
+  };
+
+  // Moves the suggested occurrence to right now (after a conflict check); a repeating event only loses this occurrence
+  const handleDoSuggestionNow = async (suggested) => {
+    if (!eventStore) {
+      setError("Event storage is not ready yet. Please try again in a moment.");
+      return;
+    }
+    const occurrence = fromDisplayEvent(suggested);
+    const series = events.find(event => event.id === occurrence.id) || occurrence;
+    const isOccurrence = isRecurring(series) && occurrence.occurrenceDate;
+    // "Now" on the event's own clock, so it keeps its time zone
+    const movedFields = {
+        title: occurrence.title,
+        ...getStartNowSlot(new Date(), occurrence.timeZone || null),
+        duration: getEventDuration(occurrence),
+        description: occurrence.description || '',
+        locationType: occurrence.locationType || '',
+        reminders: normalizeReminders(occurrence.reminders),
+        ...(occurrence.timeZone ? { timeZone: occurrence.timeZone } : {}),
+        ...(occurrence.endTimeZone ? { endTimeZone: occurrence.endTimeZone } : {}),
+        category: occurrence.category || '',
+        tags: normalizeTags(occurrence.tags)
+    };
+
+    const resolvedCandidates = await checkForConflicts([{ ...movedFields, recurrence: null }], [occurrence.id]);
+    if (!resolvedCandidates) return;
+    movedFields.date = resolvedCandidates[0].date;
+    movedFields.time = resolvedCandidates[0].time;
+
+    setIsLoading(true);
+    setError('');
+    try {
+        let movedId = occurrence.id;
+        if (isOccurrence) {
+            movedId = eventStore.newId();
+            await eventStore.commit([
+                { type: 'update', id: series.id, data: { recurrence: addRecurrenceException(series.recurrence, occurrence.occurrenceDate) } },
+                { type: 'set', id: movedId, calendarId: series.calendarId, data: { ...movedFields, recurrence: null, recurringEventId: series.id, originalDate: occurrence.occurrenceDate } }
+            ]);
+        } else {
+            await eventStore.commit([{ type: 'update', id: occurrence.id, data: { date: movedFields.date, time: movedFields.time } }]);
         }
+        // It's being done now; don't suggest it again at this place
+        handleDismissSuggestion(getOccurrenceKey({ id: movedId, date: movedFields.date }), { date: movedFields.date });
+        console.log("Suggested event moved to now:", movedId, movedFields.date, movedFields.time);
+    } catch (moveError) {
+        console.error("Error moving suggested event:", moveError);
+        setError(`Failed to move "${occurrence.title}": ${moveError.message}`);
+    } finally {
+        setIsLoading(false);
     }
   };
-  const handleDeleteEvent = async (eventId) => {
-  if (!db || !userId) {
-    setError("Firebase is not initialized or user is not authenticated. Cannot delete event.");
+
+  // --- NEW: Reminder settings ---
+  const handleEnableNotifications = async () => {
+    try {
+        setNotificationPermission(await requestNotificationPermission());
+    } catch (permissionError) {
+        console.error("Error requesting notification permission:", permissionError);
+        setError(`Could not turn on notifications: ${permissionError.message}`);
+    }
+  };
+
+  const handleChangeDefaultReminders = (reminders) => {
+    setDefaultReminders(reminders);
+    localStorage.setItem(DEFAULT_REMINDERS_STORAGE_KEY, JSON.stringify(reminders));
+  };
+
+  // --- NEW: Time zone settings ---
+  const handleChangeDisplayTimeZone = (timeZone) => {
+    setDisplayTimeZone(timeZone);
+    localStorage.setItem(DISPLAY_TIME_ZONE_STORAGE_KEY, timeZone);
+  };
+
+  const handleChangeSecondaryTimeZone = (timeZone) => {
+    setSecondaryTimeZone(timeZone);
+    if (timeZone) {
+      localStorage.setItem(SECONDARY_TIME_ZONE_STORAGE_KEY, timeZone);
+    } else {
+      localStorage.removeItem(SECONDARY_TIME_ZONE_STORAGE_KEY);
+    }
+  };
+
+  // --- NEW: Search ---
+  // Jumps the calendar to a search result's day (its display-zone date) and brings the calendar into view
+  const handleSelectSearchResult = (occurrence) => {
+    setJumpToDate(parseDateKey(occurrence.date));
+    calendarGridRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  const handleDeleteEvent = async (eventToDelete, scope) => {
+  if (!eventStore) {
+    setError("Event storage is not ready yet. Cannot delete event.");
     return;
   }
+  // Lists show events on the display zone's clock; work on the stored values
+  eventToDelete = fromDisplayEvent(eventToDelete);
 
+  // Recurring events need to know which occurrences to remove, so ask first
+  if (isRecurring(eventToDelete) && !scope) {
+    setPendingDeleteEvent(eventToDelete);
+    setDeleteScope('this');
+    return;
+  }
+
+  setPendingDeleteEvent(null);
   setIsLoading(true); // Can show loading if delete takes time
   setError('');
 
   try {
-    const eventsCollectionRef = collection(db, `users/${userId}/calendarEvents`);
-    const eventDocRef = doc(eventsCollectionRef, eventId); // Reference to the specific document
-    await deleteDoc(eventDocRef); // Use deleteDoc to remove it
-    console.log("Event successfully deleted:", eventId);
-    // Firestore's onSnapshot listener will automatically update the `events` state,
+    const series = events.find(event => event.id === eventToDelete.id) || eventToDelete;
+    const occurrenceDate = eventToDelete.occurrenceDate;
+
+    if (scope === 'this' && occurrenceDate) {
+      // Skip just this date in the series
+      await eventStore.commit([{ type: 'update', id: series.id, data: { recurrence: addRecurrenceException(series.recurrence, occurrenceDate) } }]);
+    } else if (scope === 'following' && occurrenceDate && occurrenceDate > series.date) {
+      // End the series the day before this occurrence
+      await eventStore.commit([{ type: 'update', id: series.id, data: { recurrence: splitRecurrence(series, occurrenceDate).before } }]);
+    } else {
+      await eventStore.commit([{ type: 'delete', id: eventToDelete.id }]);
+    }
+    console.log("Event successfully deleted:", eventToDelete.id, scope || '');
+    // The store's subscription will automatically update the `events` state,
     // so no need to manually remove from local state here.
   } catch (deleteError) {
     console.error("Error deleting event:", deleteError);
@@ -441,14 +1125,31 @@ useEffect(() => {
 }
 
 // --- NEW: Function to open edit modal ---
-const handleEditEvent = (eventToEdit) => {
+const handleEditEvent = (displayedEvent) => {
+    // Previewed events show a proposed state; edit the real ones once the preview is closed
+    if (displayedEvent.preview) return;
+    // The form edits the stored date and time, in the event's own time zone
+    const eventToEdit = fromDisplayEvent(displayedEvent);
+    if (!canModifyEvent(eventToEdit)) {
+        setError(`"${eventToEdit.title}" is in a calendar you can only view.`);
+        return;
+    }
+    const series = events.find(event => event.id === eventToEdit.id) || eventToEdit;
     setEditingEvent(eventToEdit);
+    setEditScope('this');
     setEditFormData({
         title: eventToEdit.title,
         date: eventToEdit.date,
         time: eventToEdit.time,
+        endTime: getEventEndTime(eventToEdit),
         description: eventToEdit.description || '',
-        locationType: eventToEdit.locationType || ''
+        locationType: eventToEdit.locationType || '',
+        recurrence: normalizeRecurrence(series.recurrence),
+        reminders: normalizeReminders(series.reminders),
+        timeZone: eventToEdit.timeZone || getLocalTimeZone(),
+        endTimeZone: eventToEdit.endTimeZone || '',
+        category: eventToEdit.category || '',
+        tags: normalizeTags(eventToEdit.tags).join(', ')
     });
 };
 
@@ -459,46 +1160,188 @@ const handleCloseEditModal = () => {
         title: '',
         date: '',
         time: '',
+        endTime: '',
         description: '',
-        locationType: ''
+        locationType: '',
+        recurrence: null,
+        reminders: [],
+        timeZone: '',
+        endTimeZone: '',
+        category: '',
+        tags: ''
     });
     setError(''); // Clear any errors from the modal
 };
 
 // --- NEW: Function to update an event in Firestore ---
-const handleUpdateEvent = async () => {
-    if (!db || !userId || !editingEvent) {
-        setError("Firebase is not initialized, user is not authenticated, or no event selected for editing.");
-        return;
-    }
-    if (!editFormData.title || !editFormData.date || !editFormData.time) {
-        setError("Title, Date, and Time are required for an event.");
-        return;
-    }
+// Conflict-checks and saves changes to an event, or to some occurrences of a repeating one ('this' | 'following' | 'all').
+// Shared by the edit modal and by moving events on the calendar. Resolves to { savedFields, undoOperations }
+// (the fields as saved, after any conflict resolution, and the operations that undo the change), or null if it wasn't saved.
+const saveEventUpdate = async (targetEvent, updatedFields, newRecurrence, scope) => {
+    const series = events.find(event => event.id === targetEvent.id) || targetEvent;
+    const occurrenceDate = targetEvent.occurrenceDate;
+
+    // Check the edited event against everything except itself
+    const isSingleOccurrenceEdit = isRecurring(series) && occurrenceDate && scope === 'this';
+    const resolvedCandidates = await checkForConflicts(
+        [{ ...updatedFields, recurrence: isSingleOccurrenceEdit ? null : newRecurrence }],
+        [targetEvent.id]
+    );
+    if (!resolvedCandidates) return null;
+    const savedFields = { ...updatedFields, date: resolvedCandidates[0].date, time: resolvedCandidates[0].time };
 
     setIsLoading(true); // Show loading state
     setError('');
 
     try {
-        const eventsCollectionRef = collection(db, `users/${userId}/calendarEvents`);
-        const eventDocRef = doc(eventsCollectionRef, editingEvent.id); // Reference to the specific document
-        await updateDoc(eventDocRef, {
-            title: editFormData.title,
-            date: editFormData.date,
-            time: editFormData.time,
-            description: editFormData.description,
-            locationType: editFormData.locationType
-        });
-        console.log("Event successfully updated:", editingEvent.id);
-        handleCloseEditModal(); // Close modal after successful update
+        const eventId = targetEvent.id;
+        // Every case below rewrites only the original document, so restoring it (and deleting any new one) undoes the change
+        const undoOperations = [{ type: 'set', id: eventId, data: toStoredData(series) }];
+
+        if (!isRecurring(series) || !occurrenceDate) {
+            await eventStore.commit([{ type: 'update', id: eventId, data: { ...savedFields, recurrence: newRecurrence } }]);
+        } else if (scope === 'this') {
+            // Detach this occurrence: skip it in the series and save the edited copy as its own event
+            const detachedId = eventStore.newId();
+            await eventStore.commit([
+                { type: 'update', id: eventId, data: { recurrence: addRecurrenceException(series.recurrence, occurrenceDate) } },
+                { type: 'set', id: detachedId, calendarId: series.calendarId, data: { ...savedFields, recurrence: null, recurringEventId: series.id, originalDate: occurrenceDate } }
+            ]);
+            undoOperations.push({ type: 'delete', id: detachedId });
+        } else if (scope === 'following' && occurrenceDate > series.date) {
+            // End the original series before this occurrence and start a new series from the edited values
+            const { before, after } = splitRecurrence(series, occurrenceDate);
+            const originalRule = normalizeRecurrence(series.recurrence);
+            const followingId = eventStore.newId();
+            await eventStore.commit([
+                { type: 'update', id: eventId, data: { recurrence: before } },
+                {
+                    type: 'set',
+                    id: followingId,
+                    calendarId: series.calendarId, // The new series stays in the original's calendar
+                    data: {
+                        ...savedFields,
+                        recurrence: newRecurrence && {
+                            ...newRecurrence,
+                            count: newRecurrence.count === originalRule.count ? after.count : newRecurrence.count,
+                            exceptions: after.exceptions
+                        }
+                    }
+                }
+            ]);
+            undoOperations.push({ type: 'delete', id: followingId });
+        } else {
+            // Whole series: shift its start by however far this occurrence was moved
+            const shiftDays = daysBetweenKeys(occurrenceDate, savedFields.date);
+            await eventStore.commit([{ type: 'update', id: eventId, data: { ...savedFields, date: addDaysToKey(series.date, shiftDays), recurrence: newRecurrence } }]);
+        }
+        console.log("Event successfully updated:", targetEvent.id, isRecurring(series) ? scope : '');
+        return { savedFields, undoOperations };
     } catch (updateError) {
         console.error("Error updating event:", updateError);
         setError(`Failed to update event: ${updateError.message}`);
+        return null;
     } finally {
         setIsLoading(false); // End loading
     }
 };
 
+const handleUpdateEvent = async () => {
+    if (!eventStore || !editingEvent) {
+        setError("Event storage is not ready yet, or no event is selected for editing.");
+        return;
+    }
+    if (!editFormData.title || !editFormData.date || !editFormData.time || !editFormData.endTime) {
+        setError("Title, Date, Start Time, and End Time are required for an event.");
+        return;
+    }
+
+    const updatedFields = {
+        title: editFormData.title,
+        date: editFormData.date,
+        time: editFormData.time,
+        duration: durationFromTimes(editFormData.time, editFormData.endTime),
+        description: editFormData.description,
+        locationType: editFormData.locationType,
+        reminders: normalizeReminders(editFormData.reminders),
+        timeZone: editFormData.timeZone || getLocalTimeZone(),
+        endTimeZone: editFormData.endTimeZone && editFormData.endTimeZone !== editFormData.timeZone ? editFormData.endTimeZone : null,
+        category: editFormData.category,
+        tags: normalizeTags(editFormData.tags)
+    };
+
+    const saved = await saveEventUpdate(editingEvent, updatedFields, normalizeRecurrence(editFormData.recurrence), editScope);
+    if (saved) handleCloseEditModal(); // Close modal after successful update
+};
+
+// --- NEW: Moving events by drag-and-drop or keyboard ---
+// Moves a display event to start at `date` (and `time`, or its current time) on the display zone's clock.
+// A repeating event only has this occurrence moved. Saved like an edit, then offered for undo.
+const handleMoveEvent = async (displayedEvent, date, time = displayedEvent.time) => {
+    if (displayedEvent.preview) return;
+    if (!eventStore) {
+        setError("Event storage is not ready yet. Please try again in a moment.");
+        return;
+    }
+    const targetEvent = fromDisplayEvent(displayedEvent);
+    if (!canModifyEvent(targetEvent)) {
+        setError(`"${targetEvent.title}" is in a calendar you can only view.`);
+        return;
+    }
+    if (date === displayedEvent.date && time === displayedEvent.time) return;
+
+    const series = events.find(event => event.id === targetEvent.id) || targetEvent;
+    const moved = moveDisplayEvent(displayedEvent, date, time, displayTimeZone);
+    const updatedFields = {
+        title: targetEvent.title,
+        date: moved.date,
+        time: moved.time,
+        duration: getEventDuration(targetEvent),
+        description: targetEvent.description || '',
+        locationType: targetEvent.locationType || '',
+        reminders: normalizeReminders(series.reminders),
+        ...(targetEvent.timeZone ? { timeZone: targetEvent.timeZone } : {}),
+        ...(targetEvent.endTimeZone ? { endTimeZone: targetEvent.endTimeZone } : {}),
+        category: targetEvent.category || '',
+        tags: normalizeTags(targetEvent.tags)
+    };
+    const saved = await saveEventUpdate(targetEvent, updatedFields, normalizeRecurrence(series.recurrence), 'this');
+    if (!saved) return;
+    // Described where the user sees it, which the conflict dialog may have changed
+    const landed = toDisplayEvent({ ...targetEvent, ...saved.savedFields }, displayTimeZone);
+    setMoveUndo({
+        message: `Moved "${targetEvent.title}" to ${parseDateKey(landed.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })} at ${landed.time}.`,
+        undoOperations: saved.undoOperations
+    });
+};
+
+const handleUndoMove = async () => {
+    if (!eventStore || !moveUndo) return;
+
+    setIsLoading(true);
+    setError('');
+    try {
+        await eventStore.commit(moveUndo.undoOperations);
+        console.log("Undid move:", moveUndo.message);
+        setMoveUndo(null);
+    } catch (undoError) {
+        console.error("Error undoing move:", undoError);
+        setError(`Failed to undo the move: ${undoError.message}`);
+    } finally {
+        setIsLoading(false);
+    }
+};
+
+// Moves the focused event a day or a few minutes with Alt+arrow keys (see ./utils/eventDrag)
+const handleEventMoveKeyDown = (e, displayedEvent) => {
+    const move = getKeyboardMove(e);
+    if (!move) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const target = applyMove(displayedEvent, move);
+    handleMoveEvent(displayedEvent, target.date, target.time);
+};
+
 // --- NEW: Function to handle schedule optimization ---
   const handleOptimizeSchedule = async () => {
     if (!optimizationInput.trim()) {
@@ -509,17 +1352,27 @@ const handleUpdateEvent = async () => {
     setIsOptimizing(true);
     setError('');
     setOptimizedSuggestions(null);
+    setPinnedSuggestionIndex(null);
+    setHoveredSuggestionIndex(null);
 
-    const geminiApiKey = import.meta.env.VITE_GEMINI_API_KEY;
-    if (!geminiApiKey) {
-        setError("Gemini API Key is missing. Cannot optimize schedule.");
+    const llmProvider = createLlmProvider();
+    if (!llmProvider.isConfigured()) {
+        setError(`${llmProvider.missingConfigMessage} Cannot optimize schedule.`);
         setIsOptimizing(false);
         return;
     }
 
     // Prepare current schedule context for the LLM
+    // With shared calendars, name each event's calendar and flag the ones the user can only view
+    const hasSharedCalendars = calendars.length > 1;
+    const describeCalendar = (event) => {
+      if (!hasSharedCalendars) return '';
+      const calendar = calendars.find(candidate => candidate.id === event.calendarId);
+      return `, Calendar: ${calendar?.name || 'Unknown'}${canModifyEvent(event) ? '' : ' (view only)'}`;
+    };
+    const activeCalendarName = calendars.find(calendar => calendar.id === activeCalendarId)?.name;
     const formattedEvents = events.map(event => (
-      `- ID: ${event.id}, Title: ${event.title}, Date: ${event.date}, Time: ${event.time}, Description: ${event.description || 'N/A'}, Location Type: ${event.locationType || 'N/A'}`
+      `- ID: ${event.id}, Title: ${event.title}, Date: ${event.date}, Time: ${event.time}-${getEventEndTime(event)} (${getEventDuration(event)} min)${event.timeZone && event.timeZone !== displayTimeZone ? ` ${event.timeZone} time` : ''}, Description: ${event.description || 'N/A'}, Location Type: ${event.locationType || 'N/A'}${isRecurring(event) ? `, Repeats: ${describeRecurrence(event.recurrence)} (starting ${event.date})` : ''}${describeCalendar(event)}`
   )).join('\n');
 
     const prompt = `
@@ -532,14 +1385,21 @@ const handleUpdateEvent = async () => {
   2.  **Handle cancellations:** If a specific event is cancelled, suggest a "delete" action for that event.
   3.  **Utilize freed time:** If time is freed up, suggest moving an *existing* relevant event into that slot, or adding a new general "focus time" event if no specific task is moved. Use the 'move' type for existing events, including their original 'eventId'.
   4.  **Handle new urgent tasks/clashes:** If a new task conflicts with an existing event, suggest moving the *existing* event to accommodate the new one, especially if the new task is urgent or given a specific time. If an existing event needs to be moved, use its 'eventId' from 'My Current Schedule'.
-  5.  **Always provide 'eventId'**: For 'move' and 'delete' operations, you MUST include the 'eventId' corresponding to the event in 'My Current Schedule'.
-  6.  **Return actionable changes**: Each change must be one of 'add', 'move', or 'delete'.
-
+  5.  **Always provide 'eventId'**: For 'move', 'edit', 'split' and 'delete' operations, you MUST include the 'eventId' corresponding to the event in 'My Current Schedule'.
+  6.  **Return actionable changes**: Each change must be one of:
+      - 'add': a new event in 'eventDetails'.
+      - 'move': reschedule an existing event. Set 'newDate' (YYYY-MM-DD) when it moves to another day (e.g., "push my 10 AM meeting to Thursday") and 'newTime' when its start time changes; include 'oldDate'/'oldTime' for reference. Set 'newDuration' (minutes) if it also gets shorter or longer.
+      - 'edit': change an existing event's 'newTitle', 'newDescription' and/or 'newDuration' (minutes) without moving it.
+      - 'split': break an existing, non-repeating event into several sessions, listed in 'parts' (each with 'date', 'time', 'duration' and optionally 'title'). The first part replaces the original event.
+      - 'delete': remove an existing event.
+  7.  **Respect durations**: Each event in 'My Current Schedule' occupies its full time range, not just its start time. A new event must not overlap another event's range unless you move one of them. For 'add' changes, set 'duration' in minutes (default ${DEFAULT_EVENT_DURATION} if the request gives no length).
+${hasSharedCalendars ? `  8.  **Respect calendar permissions**: Never move, edit, split or delete an event marked "(view only)"; plan around it instead. New events are added to the "${activeCalendarName}" calendar.
+` : ''}
   Return your suggestions as a JSON object with an array of "suggestions". Each suggestion should include a "description" (natural language summary) and "changes" (an array of event modifications).
 
 
-  Current Date: ${new Date().toISOString().slice(0, 10)}
-  Current Time: ${new Date().toTimeString().slice(0, 5)}
+  Current Date: ${getTodayKey(displayTimeZone)}
+  Current Time: ${getZoneParts(new Date(), displayTimeZone).time} (${displayTimeZone}; events marked with another zone's time are in that zone, and their new dates and times stay in it)
 
   My Current Schedule (Upcoming Events):
   ${formattedEvents.length > 0 ? formattedEvents : "No upcoming events."}
@@ -551,7 +1411,7 @@ const handleUpdateEvent = async () => {
 
   **Scenario 1: Meeting Cancellation & Filling Free Slot**
   * User Input: "My meeting with client on Monday at 10 AM got canceled. Suggest something for that free time."
-  * Assume My Current Schedule includes: - ID: meeting_id_1, Title: "Meeting with client", Date: 2025-08-04, Time: 10:00, ... and - ID: deep_work_id_1, Title: "Deep work session", Date: 2025-08-04, Time: 14:00, ...
+  * Assume My Current Schedule includes: - ID: meeting_id_1, Title: "Meeting with client", Date: 2025-08-04, Time: 10:00-11:00 (60 min), ... and - ID: deep_work_id_1, Title: "Deep work session", Date: 2025-08-04, Time: 14:00-15:00 (60 min), ...
   * Expected Output:
       {
         "suggestions": [
@@ -567,7 +1427,9 @@ const handleUpdateEvent = async () => {
                 "type": "move",
                 "eventTitle": "Deep work session",
                 "eventId": "deep_work_id_1",
+                "oldDate": "2025-08-04",
                 "oldTime": "14:00",
+                "newDate": "2025-08-04",
                 "newTime": "10:00"
               }
             ]
@@ -577,12 +1439,12 @@ const handleUpdateEvent = async () => {
 
   **Scenario 2: New Urgent Task with Potential Clash**
   * User Input: "I need to add an urgent report meeting tomorrow that will take 1 hour, try to fit it in before lunch."
-  * Assume "My Current Schedule" includes: '- ID: lunch_id_1, Title: "Lunch with Sarah", Date: 2025-07-30, Time: 12:00, ...'
+  * Assume "My Current Schedule" includes: '- ID: lunch_id_1, Title: "Lunch with Sarah", Date: 2025-07-30, Time: 11:30-12:30 (60 min), ...'
   * Expected Output (if it needs to move Lunch):
       {
         "suggestions": [
           {
-            "description": "To fit the urgent report meeting, I suggest moving 'Lunch with Sarah' and adding the new report meeting at 11:00.",
+            "description": "To fit the 1-hour urgent report meeting before lunch, I suggest moving 'Lunch with Sarah' to 12:00 and adding the new report meeting at 11:00.",
             "changes": [
               {
                 "type": "add",
@@ -590,6 +1452,7 @@ const handleUpdateEvent = async () => {
                   "title": "Urgent Report Meeting",
                   "date": "2025-07-30",
                   "time": "11:00",
+                  "duration": 60,
                   "description": "Prepare urgent report",
                   "locationType": "office"
                 }
@@ -598,8 +1461,10 @@ const handleUpdateEvent = async () => {
                 "type": "move",
                 "eventTitle": "Lunch with Sarah",
                 "eventId": "lunch_id_1",
-                "oldTime": "12:00",
-                "newTime": "13:00"
+                "oldDate": "2025-07-30",
+                "oldTime": "11:30",
+                "newDate": "2025-07-30",
+                "newTime": "12:00"
               }
             ]
           }
@@ -621,6 +1486,7 @@ const handleUpdateEvent = async () => {
                   "title": "Call with Mike",
                   "date": "2025-07-30",
                   "time": "09:00",
+                  "duration": 30,
                   "description": "Quick sync",
                   "locationType": "office"
                 }
@@ -630,6 +1496,38 @@ const handleUpdateEvent = async () => {
         ]
       }
 
+  **Scenario 4: Moving to Another Day and Splitting a Long Block**
+  * User Input: "Push my 10 AM planning meeting to Thursday and break up Friday's 4-hour writing block."
+  * Assume My Current Schedule includes: - ID: planning_id_1, Title: "Planning meeting", Date: 2025-07-29, Time: 10:00-11:00 (60 min), ... and - ID: writing_id_1, Title: "Writing", Date: 2025-08-01, Time: 09:00-13:00 (240 min), ...
+  * Expected Output:
+      {
+        "suggestions": [
+          {
+            "description": "Moving the planning meeting to Thursday at the same time, and splitting Friday's writing block into two 2-hour sessions around lunch.",
+            "changes": [
+              {
+                "type": "move",
+                "eventTitle": "Planning meeting",
+                "eventId": "planning_id_1",
+                "oldDate": "2025-07-29",
+                "oldTime": "10:00",
+                "newDate": "2025-07-31",
+                "newTime": "10:00"
+              },
+              {
+                "type": "split",
+                "eventTitle": "Writing",
+                "eventId": "writing_id_1",
+                "parts": [
+                  { "date": "2025-08-01", "time": "09:00", "duration": 120 },
+                  { "date": "2025-08-01", "time": "14:00", "duration": 120 }
+                ]
+              }
+            ]
+          }
+        ]
+      }
+
   Please provide your optimal schedule suggestions based on the New Request/Change.
   `;
   // Define the JSON schema for the expected response from the LLM for optimization
@@ -647,17 +1545,36 @@ const handleUpdateEvent = async () => {
                           items: {
                               type: "OBJECT",
                               properties: {
-                                  type: { "type": "STRING", "enum": ["add", "move", "delete"] },
+                                  type: { "type": "STRING", "enum": CHANGE_TYPES },
                                   eventTitle: { "type": "STRING" },
-                                  eventId: { "type": "STRING" }, // <-- NEW: Add eventId for move/delete
+                                  eventId: { "type": "STRING" }, // <-- NEW: Add eventId for move/edit/split/delete
+                                  oldDate: { "type": "STRING" },
                                   oldTime: { "type": "STRING", "pattern": "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$" },
+                                  newDate: { "type": "STRING" }, // For moves to another day
                                   newTime: { "type": "STRING", "pattern": "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$" },
+                                  newDuration: { "type": "INTEGER" }, // For 'move' and 'edit', in minutes
+                                  newTitle: { "type": "STRING" }, // For 'edit'
+                                  newDescription: { "type": "STRING" }, // For 'edit'
+                                  parts: { // For 'split'
+                                      type: "ARRAY",
+                                      items: {
+                                          type: "OBJECT",
+                                          properties: {
+                                              title: { "type": "STRING" },
+                                              date: { "type": "STRING" },
+                                              time: { "type": "STRING", "pattern": "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$" },
+                                              duration: { "type": "INTEGER" }
+                                          },
+                                          required: ["date", "time", "duration"]
+                                      }
+                                  },
                                   eventDetails: { // For 'add' type changes
                                       type: "OBJECT",
                                       properties: {
                                           title: { "type": "STRING" },
                                           date: { "type": "STRING" }, // Removed format: "date-time" from LLM parsing here
                                           time: { "type": "STRING", "pattern": "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$" },
+                                          duration: { "type": "INTEGER" }, // Length in minutes
                                           description: { "type": "STRING" },
                                           locationType: { "type": "STRING" }
                                       },
@@ -676,121 +1593,288 @@ const handleUpdateEvent = async () => {
   };
 
 
-    const payload = {
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: responseSchema
-        }
-    };
-
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${geminiApiKey}`;
-
-    let retries = 0;
-    const maxRetries = 3;
-    const baseDelay = 1000;
-
-    while (retries < maxRetries) {
-        try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error('LLM Optimization API Error Response:', errorData);
-                throw new Error(`LLM Optimization API request failed with status: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-            }
-
-            const result = await response.json();
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
-                const jsonString = result.candidates[0].content.parts[0].text;
-                try {
-                    const parsedSuggestions = JSON.parse(jsonString);
-                    if (parsedSuggestions.suggestions && Array.isArray(parsedSuggestions.suggestions)) {
-                        setOptimizedSuggestions(parsedSuggestions.suggestions);
-                        setOptimizationInput(''); // Clear input after successful processing
-                        break;
-                    } else {
-                        setError('LLM returned an invalid suggestion format. Please try rephrasing.');
-                        console.error('Invalid LLM suggestion format:', parsedSuggestions);
-                    }
-                } catch (parseError) {
-                    setError('Failed to parse LLM optimization response JSON. Please try again.');
-                    console.error('JSON parsing error (optimization):', parseError);
-                    console.error('Raw LLM optimization response:', jsonString);
-                }
-            } else {
-                setError('LLM optimization response was empty or malformed. Please try again.');
-                console.error('Malformed LLM optimization response:', result);
-            }
-        } catch (fetchError) {
-            console.error('Fetch error during LLM optimization call:', fetchError);
-            retries++;
-            if (retries < maxRetries) {
-                const delay = baseDelay * Math.pow(2, retries - 1);
-                console.warn(`Retrying LLM optimization call in ${delay / 1000} seconds... (Attempt ${retries}/${maxRetries})`);
-                await new Promise(res => setTimeout(res, delay));
-            } else {
-                setError(`Failed to get a valid response from LLM for optimization after ${maxRetries} attempts.`);
-            }
-        } finally {
-            setIsOptimizing(false);
+    try {
+        const parsedSuggestions = await generateJson(llmProvider, {
+            task: 'optimizeSchedule',
+            prompt,
+            responseSchema,
+            context: { request: optimizationInput, events, today: getTodayKey(displayTimeZone) }
+        });
+        if (parsedSuggestions.suggestions && Array.isArray(parsedSuggestions.suggestions)) {
+            setOptimizedSuggestions(parsedSuggestions.suggestions);
+            setOptimizationInput(''); // Clear input after successful processing
+        } else {
+            setError('LLM returned an invalid suggestion format. Please try rephrasing.');
+            console.error('Invalid LLM suggestion format:', parsedSuggestions);
         }
+    } catch (llmError) {
+        setError(`${llmError.message} Please try again.`);
+    } finally {
+        setIsOptimizing(false);
     }
   };
 
   // --- NEW: Function to accept optimization suggestions ---
-const handleAcceptSuggestion = async (suggestionChanges) => {
-    if (!db || !userId) {
-        setError("Firebase not initialized or user not authenticated. Cannot apply changes.");
+const handleAcceptSuggestion = async (suggestion) => {
+    if (!eventStore) {
+        setError("Event storage is not ready yet. Cannot apply changes.");
+        return;
+    }
+
+    const suggestionChanges = suggestion.changes || [];
+    // Nothing is written unless every change refers to a real event and has usable times
+    const problems = validateSuggestionChanges(suggestionChanges, events, { canModify: canModifyEvent });
+    if (problems.length > 0) {
+        console.warn("Rejected invalid optimization suggestion:", problems, suggestion);
+        setError(`This suggestion can't be applied: ${problems.join(' ')}`);
         return;
     }
 
+    // Check added and rescheduled events against the calendar as it will look after this suggestion,
+    // so events the suggestion changes or deletes don't count as conflicts
+    const { entries, replacedIds } = collectSuggestionCandidates(suggestionChanges, events);
+    const resolvedCandidates = await checkForConflicts(entries.map(entry => entry.candidate), replacedIds);
+    if (!resolvedCandidates) return;
+    // Where the user picked a free slot, the resolved date/time replaces the suggested one
+    const placements = new Map();
+    entries.forEach((entry, index) => {
+        placements.set(entry.change, [...(placements.get(entry.change) || []), resolvedCandidates[index]]);
+    });
+
     setIsLoading(true); // Re-using isLoading for global operations
     setError('');
 
     try {
-        const eventsCollectionRef = collection(db, `users/${userId}/calendarEvents`);
-
-        for (const change of suggestionChanges) {
-            if (change.type === 'add' && change.eventDetails) {
-                // Add a new event
-                const newEventData = {
-                    title: change.eventDetails.title,
-                    date: change.eventDetails.date,
-                    time: change.eventDetails.time,
-                    description: change.eventDetails.description || '',
-                    locationType: change.eventDetails.locationType || ''
-                };
-                await setDoc(doc(eventsCollectionRef), newEventData);
-                console.log("Added new event:", newEventData.title);
-            } else if (change.type === 'move' && change.eventId && change.newTime) {
-                // Move (update time) of an existing event
-                const eventDocRef = doc(eventsCollectionRef, change.eventId);
-                await updateDoc(eventDocRef, { time: change.newTime });
-                console.log(`Moved event ${change.eventTitle} (ID: ${change.eventId}) to ${change.newTime}`);
-            } else if (change.type === 'delete' && change.eventId) {
-                // Delete an existing event
-                const eventDocRef = doc(eventsCollectionRef, change.eventId);
-                await deleteDoc(eventDocRef);
-                console.log(`Deleted event ${change.eventTitle} (ID: ${change.eventId})`);
-            } else {
-                console.warn("Unknown or incomplete change type received from LLM:", change);
-                // Optionally, show an error to the user for malformed suggestions
-            }
-        }
+        const { operations, undoOperations } = planSuggestionChanges(suggestionChanges, events, placements, eventStore.newId);
+        // All or nothing: a failure leaves the calendar exactly as it was
+        await eventStore.commit(operations);
+        setAppliedSuggestion({ description: suggestion.description, undoOperations });
         setOptimizedSuggestions(null); // Clear suggestions after applying
         setOptimizationInput(''); // Clear input
-        console.log("Optimization suggestions applied successfully.");
+        console.log("Optimization suggestion applied:", operations);
 
     } catch (applyError) {
         console.error("Error applying optimization suggestions:", applyError);
-        setError(`Failed to apply optimization: ${applyError.message}`);
+        setError(`Failed to apply optimization: ${applyError.message}. No changes were made.`);
+    } finally {
+        setIsLoading(false);
+    }
+};
+
+// --- NEW: Undo the last accepted suggestion in one step ---
+const handleRevertSuggestion = async () => {
+    if (!eventStore || !appliedSuggestion) return;
+
+    setIsLoading(true);
+    setError('');
+    try {
+        await eventStore.commit(appliedSuggestion.undoOperations);
+        console.log("Reverted optimization suggestion:", appliedSuggestion.description);
+        setAppliedSuggestion(null);
+    } catch (revertError) {
+        // e.g. a moved event was deleted since; the batch fails as a whole, so nothing is half-reverted
+        console.error("Error reverting optimization suggestion:", revertError);
+        setError(`Failed to revert suggestion: ${revertError.message}`);
+    } finally {
+        setIsLoading(false);
+    }
+};
+
+// --- NEW: Function to import events from an .ics file ---
+// Events are matched to existing ones by UID, so re-importing the same file updates rather than duplicates.
+const handleImportIcs = async (icsText) => {
+    if (!eventStore) {
+        setError("Event storage is not ready yet. Cannot import events.");
+        return null;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+        const importedEvents = parseIcs(icsText);
+        if (importedEvents.length === 0) {
+            setError("No events were found in that .ics file.");
+            return null;
+        }
+
+        // Fit events to what storage accepts; the ones it can't take at all are skipped and reported
+        const fittedEvents = importedEvents.map(fitEventToLimits);
+        const skipped = fittedEvents.filter(fitted => fitted.problem).map(({ event, problem }) => ({ title: event.title, problem }));
+        const storableEvents = fittedEvents.filter(fitted => !fitted.problem);
+        if (storableEvents.length === 0) {
+            setError(`None of the ${importedEvents.length} events in that .ics file can be stored (${skipped[0].problem}).`);
+            return null;
+        }
+
+        // Match UIDs against everything in the calendar new events go to, hidden or not, so re-imports update
+        const targetEvents = storedEvents.filter(event => !event.calendarId || event.calendarId === activeCalendarId);
+        // Resolve every UID to an event id first, so modified instances can point at their series
+        const docIdsByUid = {};
+        const writes = storableEvents.map(({ event: importedEvent }) => {
+            const existingEvent = findEventByUid(targetEvents, importedEvent.uid);
+            const id = existingEvent ? existingEvent.id : eventStore.newId();
+            docIdsByUid[importedEvent.uid] = id;
+            return { id, importedEvent, isUpdate: !!existingEvent };
+        });
+
+        await eventStore.commit(writes.map(({ id, importedEvent }) => {
+            const { recurringEventUid, ...eventData } = importedEvent;
+            if (recurringEventUid && docIdsByUid[recurringEventUid]) {
+                eventData.recurringEventId = docIdsByUid[recurringEventUid];
+            }
+            return { type: 'set', id, data: eventData, merge: true };
+        }));
+
+        const updated = writes.filter(write => write.isUpdate).length;
+        const shortened = storableEvents.filter(fitted => fitted.shortened).length;
+        console.log(`Imported ${writes.length} events from .ics (${updated} updated, ${shortened} shortened, ${skipped.length} skipped).`);
+        return { created: writes.length - updated, updated, shortened, skipped };
+    } catch (importError) {
+        console.error("Error importing .ics file:", importError);
+        setError(`Failed to import events: ${importError.message}`);
+        return null;
+    } finally {
+        setIsLoading(false);
+    }
+};
+
+// --- NEW: Settle a conflict between an offline change and a change made elsewhere ---
+const handleResolveSyncConflict = async (choice) => {
+    setIsResolvingSyncConflict(true);
+    try {
+        await eventStore.resolveConflict(choice);
+    } catch (resolveError) {
+        console.error("Error resolving sync conflict:", resolveError);
+        setError(`Failed to sync changes: ${resolveError.message}`);
+    } finally {
+        setIsResolvingSyncConflict(false);
+    }
+};
+
+// --- NEW: Sign in, create an account, or upgrade the guest session ---
+// `signIn` resolves to { user, linked }; linked means the guest session became the account (same uid)
+const runAccountAction = async (signIn) => {
+    if (!auth) return;
+
+    setIsAuthBusy(true);
+    setAuthError('');
+    const guest = auth.currentUser?.isAnonymous ? auth.currentUser : null;
+    // Captured before the uid changes: the new account can't read the guest's collection
+    if (guest && events.length > 0) setPendingCarryOver({ fromUid: guest.uid, events });
+    try {
+        const { user, linked } = await signIn();
+        if (linked) {
+            setPendingCarryOver(null);
+            setAccount(toAccountInfo(user)); // onAuthStateChanged doesn't fire when the uid stays the same
+        } else {
+            setAppliedSuggestion(null); // Its undo steps belong to the previous account
+        }
+        setIsSignInOpen(false);
+        console.log(linked ? "Guest session upgraded to a permanent account." : "Signed in:", user.uid);
+    } catch (signInError) {
+        setPendingCarryOver(null);
+        console.error("Error signing in:", signInError);
+        setAuthError(getAuthErrorMessage(signInError));
+    } finally {
+        setIsAuthBusy(false);
+    }
+};
+
+const handleEmailSignIn = (mode, email, password) => {
+    return runAccountAction(() => mode === 'create'
+        ? createEmailAccount(auth, email, password)
+        : signInWithEmail(auth, email, password));
+};
+
+const handleOAuthSignIn = (providerId) => {
+    return runAccountAction(() => signInWithOAuth(auth, providerId));
+};
+
+const handleOpenSignIn = () => {
+    setAuthError('');
+    setIsSignInOpen(true);
+};
+
+const handleSignOut = async () => {
+    if (!auth) return;
+
+    setIsAuthBusy(true);
+    setError('');
+    try {
+        await signOutUser(auth);
+        setAppliedSuggestion(null);
+        console.log("Signed out.");
+    } catch (signOutError) {
+        console.error("Error signing out:", signOutError);
+        setError(`Failed to sign out: ${signOutError.message}`);
+    } finally {
+        setIsAuthBusy(false);
+    }
+};
+
+// --- NEW: Shared calendars: create, join, share and leave ---
+const runCalendarAction = async (action, failureMessage) => {
+    if (!db || !account) return;
+
+    setIsCalendarBusy(true);
+    setError('');
+    try {
+        await action();
+    } catch (calendarError) {
+        console.error(`${failureMessage}:`, calendarError);
+        setError(`${failureMessage}: ${calendarError.message}`);
+    } finally {
+        setIsCalendarBusy(false);
+    }
+};
+
+const handleCreateCalendar = (name) => runCalendarAction(async () => {
+    const color = CALENDAR_COLORS[calendars.length % CALENDAR_COLORS.length];
+    const calendarId = await createCalendar(db, account, { name, color });
+    console.log("Calendar created:", calendarId);
+}, 'Failed to create calendar');
+
+const handleAcceptInvite = (invite) => runCalendarAction(
+    () => acceptInvite(db, invite, account),
+    'Failed to join calendar'
+);
+
+const handleDeclineInvite = (invite) => runCalendarAction(
+    () => cancelInvite(db, invite, account.email),
+    'Failed to decline invitation'
+);
+
+const handleLeaveCalendar = (calendar) => runCalendarAction(
+    () => removeMember(db, calendar.id, userId),
+    'Failed to leave calendar'
+);
+
+const handleToggleCalendarVisible = (calendarId) => {
+    const hiddenIds = hiddenCalendarIds.includes(calendarId)
+        ? hiddenCalendarIds.filter(id => id !== calendarId)
+        : [...hiddenCalendarIds, calendarId];
+    setHiddenCalendarIds(hiddenIds);
+    localStorage.setItem(HIDDEN_CALENDARS_STORAGE_KEY, JSON.stringify(hiddenIds));
+};
+
+// Read from the live list so the sharing dialog follows membership changes
+const sharingCalendar = sharedCalendars.find(calendar => calendar.id === sharingCalendarId) || null;
+
+// --- NEW: Move events saved on this device into Firestore ---
+const handleMigrateLocalEvents = async () => {
+    if (eventStore?.name !== 'firestore') return;
+
+    setIsLoading(true);
+    setError('');
+    try {
+        // Device-only events are private, so they belong in the personal calendar, not the active (maybe shared) one
+        const migratedCount = await migrateEvents(createIndexedDbEventStore(), eventStore, { calendarId: PERSONAL_CALENDAR_ID });
+        console.log(`Migrated ${migratedCount} local events to Firestore.`);
+        setLocalOnlyEventCount(0);
+    } catch (migrateError) {
+        console.error("Error migrating local events:", migrateError);
+        setError(`Failed to move local events to your account: ${migrateError.message}`);
     } finally {
         setIsLoading(false);
     }
@@ -816,13 +1900,43 @@ const handleIgnoreSuggestion = () => {
         Your smart assistant to effortlessly manage your schedule.
       </p>
 
-      {/* User ID Display */}
-      {userId && (
-        <p className="text-gray-500 text-sm mb-4 text-center break-words">
-          Your User ID: <span className="font-mono text-xs bg-gray-100 p-1 rounded">{userId}</span>
+      {/* Signed-in account */}
+      {isAuthReady && (
+        <AccountHeader
+          account={account}
+          isLocalMode={!auth}
+          onSignIn={handleOpenSignIn}
+          onSignOut={handleSignOut}
+          isBusy={isAuthBusy}
+        />
+      )}
+      {eventStore && (
+        <p className="text-gray-500 text-xs mb-4 text-center">
+          Events are stored in: {eventStore.label}
+          {syncState && !syncState.isOnline && <span className="ml-2 text-orange-600 font-semibold">Offline: changes will sync when you reconnect.</span>}
+          {syncState?.isSyncing && <span className="ml-2 text-indigo-600">Syncing…</span>}
+          {syncState?.pendingCount > 0 && (
+            <span className="ml-2 text-orange-600">⏳ {syncState.pendingCount} change{syncState.pendingCount === 1 ? '' : 's'} waiting to sync</span>
+          )}
         </p>
       )}
 
+      {/* Local events waiting to be moved into Firestore */}
+      {localOnlyEventCount > 0 && eventStore?.name === 'firestore' && (
+        <div className="bg-yellow-50 border border-yellow-400 text-yellow-800 px-4 py-3 rounded-xl mb-6 flex items-center justify-between">
+          <span className="text-sm">
+            {localOnlyEventCount} event{localOnlyEventCount === 1 ? ' is' : 's are'} saved only on this device from before your account was set up.
+          </span>
+          <button
+            onClick={handleMigrateLocalEvents}
+            className="ml-4 bg-yellow-500 hover:bg-yellow-600 text-white text-sm font-bold py-1 px-3 rounded-md transition duration-200"
+            disabled={isLoading}
+          >
+            Move to My Account
+          </button>
+        </div>
+      )}
+
       {/* Error Message Display */}
       {error && (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl relative mb-6" role="alert">
@@ -831,6 +1945,25 @@ const handleIgnoreSuggestion = () => {
         </div>
       )}
 
+      {/* Calendars: overlay, target for new events, sharing (Firestore only) */}
+      {db && account && (
+        <CalendarPicker
+          calendars={calendars}
+          invites={calendarInvites}
+          hiddenCalendarIds={hiddenCalendarIds}
+          activeCalendarId={activeCalendarId}
+          onToggleVisible={handleToggleCalendarVisible}
+          onSelectActive={setActiveCalendarId}
+          onCreateCalendar={handleCreateCalendar}
+          onManage={(calendar) => setSharingCalendarId(calendar.id)}
+          onLeave={handleLeaveCalendar}
+          onAcceptInvite={handleAcceptInvite}
+          onDeclineInvite={handleDeclineInvite}
+          canBeInvited={account.emailVerified && !!account.email}
+          isBusy={isCalendarBusy}
+        />
+      )}
+
       {/* Event Input Section */}
       <div className="mb-8 p-6 bg-gray-50 rounded-2xl shadow-inner">
         <label htmlFor="eventInput" className="block text-gray-700 text-lg sm:text-xl font-bold mb-3">
@@ -858,50 +1991,146 @@ const handleIgnoreSuggestion = () => {
               Processing...
             </span>
           ) : (
-            'Parse & Add Event'
+            autoSaveParsedEvents ? 'Parse & Add Event' : 'Parse Event'
           )}
         </button>
+        <label className="mt-3 flex items-center text-sm text-gray-600">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={autoSaveParsedEvents}
+            onChange={(e) => handleToggleAutoSave(e.target.checked)}
+          />
+          Save parsed events immediately (skip the review step)
+        </label>
       </div>
 
-      {/* Displaying LLM Parsed Event */}
-      {parsedEvent && (
+      {/* Reviewing a parsed event before it is saved */}
+      {draftEvents && (
+        <ParsedEventBatch
+          items={draftEvents}
+          categories={categories}
+          note={getParseSourceNote(parseSource)}
+          onChangeItem={handleChangeDraft}
+          onSave={handleSaveDrafts}
+          onDiscard={handleDiscardDrafts}
+          isSaving={isLoading}
+        />
+      )}
+
+      {/* Displaying the events saved from the last input */}
+      {parsedEvents && (
         <div className="mt-6 bg-green-50 border-l-4 border-green-500 text-green-800 p-4 rounded-xl shadow-inner">
-          <h2 className="font-bold text-lg mb-2">AI Parsed Details:</h2>
-          <ul className="list-disc list-inside text-gray-800">
-            <li><strong>Title:</strong> {parsedEvent.title}</li>
-            <li><strong>Date:</strong> {parsedEvent.date}</li>
-            <li><strong>Time:</strong> {parsedEvent.time}</li>
-            <li><strong>Description:</strong> {parsedEvent.description || 'N/A'}</li>
-            <li><strong>Location Type:</strong> {parsedEvent.locationType || 'N/A'}</li>
-          </ul>
+          <h2 className="font-bold text-lg mb-2">{parsedEvents.length === 1 ? 'Saved Event:' : `Saved ${parsedEvents.length} Events:`}</h2>
+          {getParseSourceNote(parseSource) && (
+            <p className="text-xs text-green-700 mb-2">{getParseSourceNote(parseSource)}</p>
+          )}
+          {parsedEvents.map((parsedEvent, index) => (
+            <ul key={index} className="list-disc list-inside text-gray-800 mb-2 last:mb-0">
+              <li><strong>Title:</strong> {parsedEvent.title}</li>
+              <li><strong>Date:</strong> {parsedEvent.date}</li>
+              <li><strong>Time:</strong> {formatTimeRange(parsedEvent)} ({formatDuration(getEventDuration(parsedEvent))})</li>
+              {describeEventZones(parsedEvent, displayTimeZone) && <li><strong>Time Zone:</strong> {describeEventZones(parsedEvent, displayTimeZone)}</li>}
+              <li><strong>Description:</strong> {parsedEvent.description || 'N/A'}</li>
+              <li><strong>Location Type:</strong> {parsedEvent.locationType || 'N/A'}</li>
+              {findCategory(categories, parsedEvent.category) && <li><strong>Category:</strong> {findCategory(categories, parsedEvent.category).name}</li>}
+              {parsedEvent.tags?.length > 0 && <li><strong>Tags:</strong> {parsedEvent.tags.map(tag => `#${tag}`).join(' ')}</li>}
+              {parsedEvent.recurrence && <li><strong>Repeats:</strong> {describeRecurrence(parsedEvent.recurrence)}</li>}
+              {parsedEvent.reminders?.length > 0 && <li><strong>Reminders:</strong> {parsedEvent.reminders.map(describeReminder).join(', ')}</li>}
+            </ul>
+          ))}
         </div>
       )}
 
-      {/* --- NEW: Mock Current Location Input --- */}
+      {/* --- NEW: Reminder Settings --- */}
       <div className="mb-8 p-6 bg-gray-50 rounded-2xl shadow-inner">
-        <label htmlFor="mockLocation" className="block text-gray-700 text-lg sm:text-xl font-bold mb-3">
-          Simulate Current Location Type:
+        <h2 className="text-gray-700 text-lg sm:text-xl font-bold mb-3">Reminders</h2>
+        {notificationPermission === 'unsupported' && (
+          <p className="text-sm text-gray-600 mb-3">This browser can't show notifications, so reminders won't pop up.</p>
+        )}
+        {notificationPermission === 'default' && (
+          <button
+            onClick={handleEnableNotifications}
+            className="mb-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-xl transition duration-200 ease-in-out"
+          >
+            Turn On Notifications
+          </button>
+        )}
+        {notificationPermission === 'denied' && (
+          <p className="text-sm text-gray-600 mb-3">Notifications are blocked for this site. Allow them in your browser settings to get reminders.</p>
+        )}
+        {notificationPermission === 'granted' && (
+          <p className="text-sm text-gray-600 mb-3">Notifications are on. Reminders pop up while this app is open in a tab.</p>
+        )}
+        <label htmlFor="defaultReminderReminders" className="block text-gray-700 text-sm font-bold mb-2">
+          Default reminders for new events:
         </label>
-        <input
-          id="mockLocation"
-          type="text"
-          className="shadow-sm appearance-none border border-gray-300 rounded-xl w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition duration-200 ease-in-out"
-          placeholder="e.g., supermarket, office, gym"
-          value={mockCurrentLocationType}
-          onChange={(e) => setMockCurrentLocationType(e.target.value)}
-        />
+        <ReminderEditor idPrefix="defaultReminder" reminders={defaultReminders} onChange={handleChangeDefaultReminders} />
       </div>
 
-      {/* --- NEW: Proactive Suggestion Display --- */}
-      {proactiveSuggestion && (
-        <div className="mt-6 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-4 rounded-xl shadow-inner">
-          <h2 className="font-bold text-lg mb-2">Proactive Suggestion:</h2>
-          <p className="mb-2">{proactiveSuggestion.message}</p>
-          {/* Optionally display more event details like the description/list */}
-          {proactiveSuggestion.eventDetails.description && (
-            <p className="text-sm italic">Details: {proactiveSuggestion.eventDetails.description}</p>
-          )}
+      {/* --- NEW: Time Zone Settings --- */}
+      <div className="mb-8 p-6 bg-gray-50 rounded-2xl shadow-inner">
+        <h2 className="text-gray-700 text-lg sm:text-xl font-bold mb-3">Time Zones</h2>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label htmlFor="displayTimeZone" className="block text-gray-700 text-sm font-bold mb-2">Show my calendar in:</label>
+            <TimeZoneSelect
+              id="displayTimeZone"
+              className="shadow-sm border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={displayTimeZone}
+              onChange={handleChangeDisplayTimeZone}
+            />
+          </div>
+          <div>
+            <label htmlFor="secondaryTimeZone" className="block text-gray-700 text-sm font-bold mb-2">Also show times in:</label>
+            <TimeZoneSelect
+              id="secondaryTimeZone"
+              className="shadow-sm border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={secondaryTimeZone}
+              emptyLabel="No second time zone"
+              onChange={handleChangeSecondaryTimeZone}
+            />
+          </div>
         </div>
+        {displayTimeZone !== getLocalTimeZone() && (
+          <p className="text-sm text-gray-600 mt-2">This device is set to {getLocalTimeZone()}; reminders still follow the device's clock.</p>
+        )}
+      </div>
+
+      {/* --- NEW: Saved Places, Location Detection and the Location Type Simulator --- */}
+      <PlacesPanel
+        places={savedPlaces}
+        currentPlace={currentPlace}
+        isLocationAvailable={positionSource.isAvailable}
+        isTracking={isLocationTracking}
+        locationError={locationError}
+        onToggleTracking={handleToggleLocationTracking}
+        onAddPlace={handleAddPlace}
+        onRemovePlace={handleRemovePlace}
+        onLocateMe={handleLocateMe}
+        simulatedLocationType={mockCurrentLocationType}
+        onSimulatedLocationTypeChange={setMockCurrentLocationType}
+      />
+
+      {/* --- NEW: Event Categories --- */}
+      <CategoriesPanel
+        categories={categories}
+        onAddCategory={handleAddCategory}
+        onUpdateCategory={handleUpdateCategory}
+        onRemoveCategory={handleRemoveCategory}
+      />
+
+      {/* --- NEW: Proactive Suggestion Display --- */}
+      {proactiveMatches.length > 0 && (
+        <ProactiveSuggestions
+          matches={proactiveMatches.map(match => ({ ...match, event: toDisplayEvent(match.event, displayTimeZone) }))}
+          whereabouts={whereabouts}
+          canModify={canModifyEvent}
+          onDoNow={handleDoSuggestionNow}
+          onSnooze={handleSnoozeSuggestion}
+          onDismiss={handleDismissSuggestion}
+          isBusy={isLoading}
+        />
       )}
 
       {/* --- NEW: Schedule Optimization Section --- */}
@@ -939,27 +2168,49 @@ const handleIgnoreSuggestion = () => {
       {/* --- NEW: Optimized Suggestions Display --- */}
       {optimizedSuggestions && optimizedSuggestions.length > 0 && (
     <div className="mt-6 bg-purple-50 border-l-4 border-purple-500 text-purple-800 p-4 rounded-xl shadow-inner">
-        <h2 className="font-bold text-lg mb-2">Optimization Suggestions:</h2>
-        {optimizedSuggestions.map((suggestion, index) => (
-            <div key={index} className="mb-4 last:mb-0 p-3 bg-purple-100 rounded-lg">
+        <h2 className="font-bold text-lg mb-1">Optimization Suggestions:</h2>
+        <p className="text-xs text-purple-700 mb-2">Hover over a suggestion, or click Preview, to see it on the calendar below.</p>
+        {optimizedSuggestions.map((suggestion, index) => {
+            const problems = validateSuggestionChanges(suggestion.changes, events, { canModify: canModifyEvent });
+            const isPinned = pinnedSuggestionIndex === index;
+            return (
+            <div
+                key={index}
+                className={`mb-4 last:mb-0 p-3 bg-purple-100 rounded-lg ${isPinned ? 'ring-2 ring-purple-500' : ''}`}
+                onMouseEnter={() => setHoveredSuggestionIndex(index)}
+                onMouseLeave={() => setHoveredSuggestionIndex(null)}
+            >
                 <p className="mb-2 text-purple-900">{suggestion.description}</p>
                 {suggestion.changes && suggestion.changes.length > 0 && (
-                    <ul className="list-disc list-inside text-sm text-purple-700">
+                    <ul className="list-none text-sm text-purple-700">
                         {suggestion.changes.map((change, changeIndex) => (
-                            <li key={changeIndex}>
-                                {change.type === 'add' && `Add: "${change.eventDetails.title}" on ${change.eventDetails.date} at ${change.eventDetails.time}`}
-                                {change.type === 'move' && `Move: "${change.eventTitle}" from ${change.oldTime} to ${change.newTime}`}
-                                {change.type === 'delete' && `Delete: "${change.eventTitle}"`}
+                            <li key={changeIndex} className="mb-1">
+                                <SuggestionChangeDiff change={change} events={events} />
                             </li>
                         ))}
                     </ul>
                 )}
+                {problems.length > 0 && (
+                    <div className="mt-2 text-xs text-red-700">
+                        <p className="font-semibold">This suggestion can't be applied:</p>
+                        <ul className="list-disc list-inside">
+                            {problems.map((problem, problemIndex) => <li key={problemIndex}>{problem}</li>)}
+                        </ul>
+                    </div>
+                )}
                 <div className="flex justify-end mt-3 space-x-2">
+                    <button
+                        onClick={() => setPinnedSuggestionIndex(isPinned ? null : index)}
+                        className="bg-white hover:bg-purple-200 text-purple-700 border border-purple-400 text-xs py-1 px-3 rounded-md transition duration-200"
+                        aria-pressed={isPinned}
+                    >
+                        {isPinned ? 'Hide Preview' : 'Preview'}
+                    </button>
                     {/* --- ENABLED AND CONNECTED BUTTONS --- */}
                     <button
-                        onClick={() => handleAcceptSuggestion(suggestion.changes)}
-                        className="bg-purple-600 hover:bg-purple-700 text-white text-xs py-1 px-3 rounded-md transition duration-200"
-                        disabled={isLoading} // Use global isLoading for all major actions
+                        onClick={() => handleAcceptSuggestion(suggestion)}
+                        className="bg-purple-600 hover:bg-purple-700 text-white text-xs py-1 px-3 rounded-md transition duration-200 disabled:opacity-50"
+                        disabled={isLoading || problems.length > 0} // Use global isLoading for all major actions
                     >
                         Accept
                     </button>
@@ -972,57 +2223,223 @@ const handleIgnoreSuggestion = () => {
                     </button>
                 </div>
             </div>
-        ))}
+            );
+        })}
     </div>
 )}
 
+      {/* --- Last applied suggestion, with one-click revert --- */}
+      {appliedSuggestion && (
+        <div className="mt-6 bg-purple-50 border-l-4 border-purple-500 text-purple-800 p-4 rounded-xl shadow-inner flex items-center justify-between">
+          <p className="text-sm">
+            <strong>Applied:</strong> {appliedSuggestion.description || 'Optimization suggestion'}
+          </p>
+          <div className="flex space-x-2 ml-4">
+            <button
+              onClick={handleRevertSuggestion}
+              className="bg-purple-600 hover:bg-purple-700 text-white text-xs py-1 px-3 rounded-md transition duration-200"
+              disabled={isLoading}
+            >
+              Revert
+            </button>
+            <button
+              onClick={() => setAppliedSuggestion(null)}
+              className="bg-gray-400 hover:bg-gray-500 text-white text-xs py-1 px-3 rounded-md transition duration-200"
+              disabled={isLoading}
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* --- NEW: Search Across All Events --- */}
+      <SearchPanel events={events} displayTimeZone={displayTimeZone} onSelectResult={handleSelectSearchResult} />
+
       {/* --- Calendar Grid Component --- */}
-      <div className="mt-8 p-6 bg-white-50 rounded-2xl shadow-inner border border-gray-200">
-        <CalendarGrid events={events} onSelectDate={setSelectedDate} />
+      <div ref={calendarGridRef} className="mt-8 p-6 bg-white-50 rounded-2xl shadow-inner border border-gray-200">
+        {previewedSuggestion && (
+          <p className="mb-4 text-sm text-purple-800 bg-purple-50 border border-dashed border-purple-400 rounded-lg px-3 py-2">
+            <strong>Previewing:</strong> {previewedSuggestion.description} Dashed events are suggested; greyed ones move away and struck-through ones would be deleted.
+          </p>
+        )}
+        <CalendarGrid
+          // Remount on a new display zone so "today" and the visible month follow it
+          key={displayTimeZone}
+          events={displayedEvents}
+          onSelectDate={setSelectedDate}
+          onEventClick={handleEditEvent}
+          onMoveEvent={handleMoveEvent}
+          canMoveEvent={canModifyEvent}
+          onEventKeyDown={handleEventMoveKeyDown}
+          calendarColors={calendarColors}
+          categoryColors={categoryColors}
+          jumpToDate={jumpToDate}
+          displayTimeZone={displayTimeZone}
+          secondaryTimeZone={secondaryTimeZone}
+        />
+      </div>
+
+      {/* --- iCalendar Import / Export --- */}
+      <div className="mt-8 p-6 bg-gray-50 rounded-2xl shadow-inner">
+        <h2 className="text-gray-700 text-lg sm:text-xl font-bold mb-3">Import / Export (.ics)</h2>
+        <IcsImportExport events={events} onImport={handleImportIcs} disabled={isLoading || !isAuthReady} />
       </div>
 
       {/* --- Events for Selected Date Display --- */}
       <div className="mt-8 p-6 bg-blue-50 border-l-4 border-blue-500 text-blue-800 rounded-2xl shadow-inner">
-        <h2 className="font-bold text-xl sm:text-2xl mb-4">Events for {selectedDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}:</h2>
-        {filteredEvents.length === 0 ? (
-          <p className="text-gray-600">No events on this day.</p>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="font-bold text-xl sm:text-2xl">Events for {selectedDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}:</h2>
+          <label className="flex items-center text-sm text-gray-700">
+            <span className="mr-2">Category:</span>
+            <select
+              className="border border-gray-300 rounded-lg py-1 px-2 text-gray-700 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={categoryFilter}
+              onChange={(e) => setCategoryFilter(e.target.value)}
+            >
+              <option value="">All</option>
+              {categories.map(category => <option key={category.id} value={category.id}>{category.name}</option>)}
+              <option value={UNCATEGORIZED_FILTER}>Uncategorized</option>
+            </select>
+          </label>
+        </div>
+        {dayEvents.length === 0 ? (
+          <p className="text-gray-600">{filteredEvents.length === 0 ? 'No events on this day.' : 'No events in this category on this day.'}</p>
         ) : (
           <ul className="divide-y divide-blue-200">
-            {filteredEvents.map((event) => (
-              <li key={event.id} className="py-3 flex items-center justify-between">
+            {dayEvents.map((event) => (
+              <li
+                key={`${event.id}-${event.date}`}
+                // Movable events can be dragged onto the calendar, or moved with Alt+arrow keys while focused
+                {...(!event.preview && canModifyEvent(event) ? {
+                  draggable: true,
+                  tabIndex: 0,
+                  onDragStart: (e) => startEventDrag(e, event),
+                  onKeyDown: (e) => handleEventMoveKeyDown(e, event),
+                  'aria-keyshortcuts': MOVE_KEY_SHORTCUTS
+                } : {})}
+                className={`py-3 flex items-center justify-between focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 rounded-lg
+                  ${!event.preview && canModifyEvent(event) ? 'cursor-grab' : ''}
+                  ${isPreviewGhost(event) ? 'px-2 bg-purple-50 border-2 border-dashed border-purple-400 rounded-lg' : ''}
+                  ${isLeavingInPreview(event) ? 'opacity-60' : ''}`}
+              >
                 <div>
-                  <p className="font-semibold text-blue-900">{event.title}</p>
-                  <p className="text-sm text-gray-700">{event.time}</p> {/* Only time here now */}
+                  <p className={`font-semibold text-blue-900 ${event.preview === 'deleted' ? 'line-through' : ''}`}>
+                    {event.title}
+                    {findCategory(categories, event.category) && (
+                      <span
+                        className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold text-white align-middle"
+                        style={{ backgroundColor: findCategory(categories, event.category).color }}
+                      >
+                        {findCategory(categories, event.category).name}
+                      </span>
+                    )}
+                    {event.preview === 'added' && <span className="ml-2 text-xs font-normal text-purple-700">(suggested)</span>}
+                    {event.pendingSync && <span className="ml-2 text-xs font-normal text-orange-600" title="Saved on this device; will sync when you're back online">⏳ Pending sync</span>}
+                    {event.preview === 'edited' && event.previewFrom.title !== event.title && (
+                      <span className="ml-2 text-xs font-normal text-purple-700">(was "{event.previewFrom.title}")</span>
+                    )}
+                  </p>
+                  <p className={`text-sm text-gray-700 ${isLeavingInPreview(event) ? 'line-through' : ''}`}>
+                    {formatTimeRange(event)} <span className="text-xs text-gray-500">({formatDuration(getEventDuration(event))})</span>
+                    {secondaryTimeZone && secondaryTimeZone !== displayTimeZone && (
+                      <span className="ml-2 text-xs text-gray-500">· {formatTimeRangeInZone(event, secondaryTimeZone)}</span>
+                    )}
+                  </p>
+                  {describeEventZones(event, displayTimeZone) && <p className="text-xs text-gray-500 mt-1">🌐 {describeEventZones(event, displayTimeZone)}</p>}
+                  {event.preview === 'movedFrom' && (
+                    <p className="text-xs text-purple-700 mt-1">→ Moves to {event.previewTo.date} at {formatTimeRange(event.previewTo)}</p>
+                  )}
+                  {event.preview === 'moved' && (
+                    <p className="text-xs text-purple-700 mt-1">← Moved here from {event.previewFrom.date} at {formatTimeRange(event.previewFrom)}</p>
+                  )}
+                  {event.preview === 'deleted' && <p className="text-xs text-red-700 mt-1">Would be deleted</p>}
                   {event.description && <p className="text-xs text-gray-600 mt-1 italic">{event.description}</p>}
                   {event.locationType && <p className="text-xs text-gray-500 mt-1">Location Type: {event.locationType}</p>}
+                  {event.tags?.length > 0 && (
+                    <p className="mt-1 flex flex-wrap gap-1">
+                      {event.tags.map(tag => <span key={tag} className="px-1.5 rounded bg-blue-100 text-xs text-blue-700">#{tag}</span>)}
+                    </p>
+                  )}
+                  {isRecurring(event) && <p className="text-xs text-gray-500 mt-1">🔁 {describeRecurrence(event.recurrence)}</p>}
+                  {event.reminders?.length > 0 && <p className="text-xs text-gray-500 mt-1">🔔 {event.reminders.map(describeReminder).join(', ')}</p>}
+                  {calendars.length > 1 && event.calendarId && (
+                    <p className="text-xs text-gray-500 mt-1 flex items-center">
+                      <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: calendarColors[event.calendarId] }} />
+                      {calendars.find(calendar => calendar.id === event.calendarId)?.name}
+                    </p>
+                  )}
                 </div>
-                <div className="flex space-x-2">
-                  <button
-                    onClick={() => handleEditEvent(event)}
-                    className="bg-indigo-500 hover:bg-indigo-600 text-white font-bold py-1 px-3 rounded-md text-sm focus:outline-none focus:shadow-outline transition duration-200 ease-in-out transform hover:scale-105"
-                    disabled={isLoading}
-                  >
-                    Edit
-                  </button>
-                  <button
-                    onClick={() => handleDeleteEvent(event.id)}
-                    className="bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-3 rounded-md text-sm focus:outline-none focus:shadow-outline transition duration-200 ease-in-out transform hover:scale-105"
-                    disabled={isLoading}
-                  >
-                    Delete
-                  </button>
-                </div>
+                {!event.preview && !canModifyEvent(event) && <span className="text-xs text-gray-500">View only</span>}
+                {!event.preview && canModifyEvent(event) && (
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handleEditEvent(event)}
+                      className="bg-indigo-500 hover:bg-indigo-600 text-white font-bold py-1 px-3 rounded-md text-sm focus:outline-none focus:shadow-outline transition duration-200 ease-in-out transform hover:scale-105"
+                      disabled={isLoading}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDeleteEvent(event)}
+                      className="bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-3 rounded-md text-sm focus:outline-none focus:shadow-outline transition duration-200 ease-in-out transform hover:scale-105"
+                      disabled={isLoading}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
               </li>
             ))}
           </ul>
         )}
+        {dayEvents.some(event => !event.preview && canModifyEvent(event)) && (
+          <p className="mt-3 text-xs text-gray-500">
+            Drag an event onto another day or time in the calendar, or focus it and press Alt+←/→ to move it a day, Alt+↑/↓ to move it {MOVE_STEP_MINUTES} minutes.
+          </p>
+        )}
       </div>
 
+      {/* --- Delete Recurring Event Dialog --- */}
+      {pendingDeleteEvent && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white p-8 rounded-3xl shadow-2xl w-full max-w-sm">
+            <h2 className="text-2xl font-bold text-gray-900 mb-2 text-center">Delete Recurring Event</h2>
+            <p className="text-gray-600 text-sm mb-4 text-center">"{pendingDeleteEvent.title}" on {pendingDeleteEvent.occurrenceDate}</p>
+            <RecurrenceScopePicker value={deleteScope} onChange={setDeleteScope} name="deleteScope" />
+            <div className="flex items-center justify-end space-x-4 mt-6">
+              <button
+                type="button"
+                onClick={() => setPendingDeleteEvent(null)}
+                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+                disabled={isLoading}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDeleteEvent(pendingDeleteEvent, deleteScope)}
+                className="bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+                disabled={isLoading}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* --- Edit Event Modal (Conditional Rendering) --- */}
       {editingEvent && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
-          <div className="bg-white p-8 rounded-3xl shadow-2xl w-full max-w-md">
-            <h2 className="text-2xl font-bold text-gray-900 mb-6 text-center">Edit Event</h2>
+          <FocusTrap
+            className="bg-white p-8 rounded-3xl shadow-2xl w-full max-w-md max-h-full overflow-y-auto focus:outline-none"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="editEventTitle"
+            onEscape={() => !isLoading && handleCloseEditModal()}
+          >
+            <h2 id="editEventTitle" className="text-2xl font-bold text-gray-900 mb-6 text-center">Edit Event</h2>
 
             {/* Error display for modal */}
             {error && (
@@ -1056,7 +2473,7 @@ const handleIgnoreSuggestion = () => {
                 />
               </div>
               <div className="mb-4">
-                <label htmlFor="editTime" className="block text-gray-700 text-sm font-bold mb-2">Time (HH:MM):</label>
+                <label htmlFor="editTime" className="block text-gray-700 text-sm font-bold mb-2">Start Time (HH:MM):</label>
                 <input
                   type="time"
                   id="editTime"
@@ -1066,6 +2483,43 @@ const handleIgnoreSuggestion = () => {
                   required
                 />
               </div>
+              <div className="mb-4">
+                <label htmlFor="editEndTime" className="block text-gray-700 text-sm font-bold mb-2">End Time (HH:MM):</label>
+                <input
+                  type="time"
+                  id="editEndTime"
+                  className="shadow-sm appearance-none border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                  value={editFormData.endTime}
+                  onChange={(e) => setEditFormData({ ...editFormData, endTime: e.target.value })}
+                  required
+                />
+                {editFormData.time && editFormData.endTime && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Duration: {formatDuration(durationFromTimes(editFormData.time, editFormData.endTime))}
+                  </p>
+                )}
+              </div>
+              <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div>
+                  <label htmlFor="editTimeZone" className="block text-gray-700 text-sm font-bold mb-2">Time Zone:</label>
+                  <TimeZoneSelect
+                    id="editTimeZone"
+                    className="shadow-sm border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    value={editFormData.timeZone}
+                    onChange={(timeZone) => setEditFormData({ ...editFormData, timeZone })}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="editEndTimeZone" className="block text-gray-700 text-sm font-bold mb-2">Ends In:</label>
+                  <TimeZoneSelect
+                    id="editEndTimeZone"
+                    className="shadow-sm border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    value={editFormData.endTimeZone}
+                    emptyLabel="Same time zone"
+                    onChange={(endTimeZone) => setEditFormData({ ...editFormData, endTimeZone })}
+                  />
+                </div>
+              </div>
               <div className="mb-4">
                 <label htmlFor="editDescription" className="block text-gray-700 text-sm font-bold mb-2">Description:</label>
                 <textarea
@@ -1087,6 +2541,54 @@ const handleIgnoreSuggestion = () => {
                   onChange={(e) => setEditFormData({ ...editFormData, locationType: e.target.value })}
                 />
               </div>
+              <div className="mb-6 grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="editCategory" className="block text-gray-700 text-sm font-bold mb-2">Category:</label>
+                  <CategorySelect
+                    id="editCategory"
+                    className="shadow-sm border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    categories={categories}
+                    value={editFormData.category}
+                    onChange={(category) => setEditFormData({ ...editFormData, category })}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="editTags" className="block text-gray-700 text-sm font-bold mb-2">Tags:</label>
+                  <input
+                    type="text"
+                    id="editTags"
+                    className="shadow-sm appearance-none border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    placeholder="e.g., q4, kids (comma-separated)"
+                    value={editFormData.tags}
+                    onChange={(e) => setEditFormData({ ...editFormData, tags: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="mb-4">
+                <label htmlFor="editReminders" className="block text-gray-700 text-sm font-bold mb-2">Reminders:</label>
+                <ReminderEditor
+                  idPrefix="edit"
+                  reminders={editFormData.reminders}
+                  onChange={(reminders) => setEditFormData({ ...editFormData, reminders })}
+                />
+              </div>
+              {editingEvent.occurrenceDate && (
+                <div className="mb-6">
+                  <p className="block text-gray-700 text-sm font-bold mb-2">Apply changes to:</p>
+                  <RecurrenceScopePicker value={editScope} onChange={setEditScope} name="editScope" />
+                </div>
+              )}
+              {/* A single detached occurrence can't carry its own repeat rule */}
+              {!(editingEvent.occurrenceDate && editScope === 'this') && (
+                <div className="mb-6">
+                  <label htmlFor="editRecurrence" className="block text-gray-700 text-sm font-bold mb-2">Repeats:</label>
+                  <RecurrenceEditor
+                    value={editFormData.recurrence}
+                    onChange={(recurrence) => setEditFormData({ ...editFormData, recurrence })}
+                    startDate={editFormData.date}
+                  />
+                </div>
+              )}
               <div className="flex items-center justify-end space-x-4">
                 <button
                   type="button"
@@ -1115,9 +2617,60 @@ const handleIgnoreSuggestion = () => {
                 </button>
               </div>
             </form>
-          </div>
+          </FocusTrap>
         </div>
       )}
+
+      {/* --- Conflict Dialog (last, so it sits above the edit modal) --- */}
+      {conflictPrompt && (
+        <ConflictDialog
+          items={conflictPrompt.items}
+          onSaveAnyway={handleConflictSaveAnyway}
+          onUseFreeSlot={handleConflictUseFreeSlot}
+          onCancel={handleConflictCancel}
+        />
+      )}
+
+      {/* --- Offline Sync Conflict --- */}
+      {syncState?.conflict && (
+        <SyncConflictDialog
+          conflict={syncState.conflict}
+          onKeepLocal={() => handleResolveSyncConflict('local')}
+          onKeepRemote={() => handleResolveSyncConflict('remote')}
+          isResolving={isResolvingSyncConflict}
+        />
+      )}
+
+      {/* Members of a shared calendar */}
+      {sharingCalendar && (
+        <CalendarSharingDialog
+          calendar={sharingCalendar}
+          onInvite={(email, role) => runCalendarAction(() => inviteToCalendar(db, sharingCalendar, email, role), 'Failed to send invitation')}
+          onCancelInvite={(email) => runCalendarAction(() => cancelInvite(db, sharingCalendar, email), 'Failed to cancel invitation')}
+          onChangeRole={(uid, role) => runCalendarAction(() => setMemberRole(db, sharingCalendar.id, uid, role), 'Failed to change role')}
+          onRemoveMember={(uid) => runCalendarAction(() => removeMember(db, sharingCalendar.id, uid), 'Failed to remove member')}
+          onClose={() => setSharingCalendarId(null)}
+          isBusy={isCalendarBusy}
+        />
+      )}
+
+      {/* Sign-in / create-account dialog */}
+      {isSignInOpen && (
+        <SignInDialog
+          providers={getOAuthProviders()}
+          isAnonymous={!!account?.isAnonymous}
+          onEmailSubmit={handleEmailSignIn}
+          onOAuth={handleOAuthSignIn}
+          onClose={() => setIsSignInOpen(false)}
+          isBusy={isAuthBusy}
+          error={authError}
+        />
+      )}
+
+      {/* --- NEW: Undo for the last moved event --- */}
+      {moveUndo && (
+        <UndoToast message={moveUndo.message} onUndo={handleUndoMove} onDismiss={() => setMoveUndo(null)} disabled={isLoading} />
+      )}
     </div>
   </div>
   );
@@ -0,0 +1,118 @@
+// Account helpers on top of Firebase Auth: email/password and OAuth sign-in, sign-out, and upgrading
+// an anonymous session to a permanent account. Linking keeps the same uid, so the anonymous user's
+// users/{uid}/calendarEvents carry over untouched.
+import {
+  EmailAuthProvider,
+  GithubAuthProvider,
+  GoogleAuthProvider,
+  createUserWithEmailAndPassword,
+  linkWithCredential,
+  linkWithPopup,
+  sendEmailVerification,
+  signInWithCredential,
+  signInWithEmailAndPassword,
+  signInWithPopup,
+  signOut
+} from 'firebase/auth';
+
+// OAuth providers the sign-in dialog can offer, keyed by the names used in VITE_AUTH_OAUTH_PROVIDERS
+const OAUTH_PROVIDERS = {
+  google: { label: 'Google', Provider: GoogleAuthProvider },
+  github: { label: 'GitHub', Provider: GithubAuthProvider }
+};
+
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address looks invalid.',
+  'auth/missing-password': 'Please enter a password.',
+  'auth/weak-password': 'Please choose a password with at least 6 characters.',
+  'auth/email-already-in-use': 'An account with that email already exists. Sign in instead.',
+  'auth/invalid-credential': 'Incorrect email or password.',
+  'auth/wrong-password': 'Incorrect email or password.',
+  'auth/user-not-found': 'No account found with that email.',
+  'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+  'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+  'auth/popup-blocked': 'The sign-in window was blocked by the browser. Please allow pop-ups and try again.',
+  'auth/account-exists-with-different-credential': 'An account already exists with this email using a different sign-in method.',
+  'auth/operation-not-allowed': 'This sign-in method is not enabled for this Firebase project.',
+  'auth/network-request-failed': 'Network error. Check your connection and try again.'
+};
+
+/**
+ * Returns the OAuth providers enabled through VITE_AUTH_OAUTH_PROVIDERS (comma-separated, default "google")
+ * as [{ id, label }].
+ */
+export const getOAuthProviders = () => {
+  const configured = (import.meta.env.VITE_AUTH_OAUTH_PROVIDERS ?? 'google').split(',');
+  return configured
+    .map(id => id.trim().toLowerCase())
+    .filter(id => OAUTH_PROVIDERS[id])
+    .map(id => ({ id, label: OAUTH_PROVIDERS[id].label }));
+};
+
+// Helper function to turn a Firebase error into something to show the user
+export const getAuthErrorMessage = (error) => AUTH_ERROR_MESSAGES[error?.code] || error?.message || 'Sign-in failed.';
+
+/**
+ * Plain snapshot of the signed-in user for rendering: { uid, isAnonymous, email, emailVerified, displayName, providers }.
+ */
+export const toAccountInfo = (user) => {
+  if (!user) return null;
+  return {
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email || '',
+    emailVerified: !!user.emailVerified,
+    displayName: user.displayName || '',
+    providers: user.providerData.map(profile => profile.providerId)
+  };
+};
+
+/**
+ * Creates a permanent email/password account. An anonymous session is upgraded in place (same uid).
+ * A verification email is sent too; shared-calendar invitations need a verified address (see firestore.rules).
+ */
+export const createEmailAccount = async (auth, email, password) => {
+  const result = auth.currentUser?.isAnonymous
+    ? { ...(await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password))), linked: true }
+    : { ...(await createUserWithEmailAndPassword(auth, email, password)), linked: false };
+  await sendEmailVerification(result.user).catch(error => console.warn('Could not send verification email:', error));
+  return { user: result.user, linked: result.linked };
+};
+
+/**
+ * Signs in to an existing email/password account. This switches to that account's uid;
+ * callers carry over anything the anonymous session had.
+ */
+export const signInWithEmail = async (auth, email, password) => {
+  const { user } = await signInWithEmailAndPassword(auth, email, password);
+  return { user, linked: false };
+};
+
+/**
+ * Signs in with an OAuth provider. An anonymous session is linked to it when that provider account is new;
+ * if it already belongs to another user, that user is signed in instead (linked: false).
+ */
+export const signInWithOAuth = async (auth, providerId) => {
+  const { Provider } = OAUTH_PROVIDERS[providerId];
+  const provider = new Provider();
+  if (auth.currentUser?.isAnonymous) {
+    try {
+      const { user } = await linkWithPopup(auth.currentUser, provider);
+      return { user, linked: true };
+    } catch (error) {
+      if (error.code !== 'auth/credential-already-in-use') throw error;
+      // The provider account already has its own user: sign in to it with the credential we just got
+      const credential = Provider.credentialFromError(error);
+      if (!credential) throw error;
+      const { user } = await signInWithCredential(auth, credential);
+      return { user, linked: false };
+    }
+  }
+  const { user } = await signInWithPopup(auth, provider);
+  return { user, linked: false };
+};
+
+/**
+ * Signs out. App then starts a fresh anonymous session, as on first load.
+ */
+export const signOutUser = (auth) => signOut(auth);
@@ -0,0 +1,53 @@
+import React from 'react';
+
+// Helper function to name the signed-in account, e.g. "Ada Lovelace (ada@example.com)"
+const describeAccount = (account) => {
+  if (account.displayName && account.email) return `${account.displayName} (${account.email})`;
+  return account.displayName || account.email || 'your account';
+};
+
+// Shows who is signed in, with sign-in / sign-out controls.
+// `account` is null until auth is ready; `isLocalMode` means Firebase isn't configured at all.
+const AccountHeader = ({ account, isLocalMode, onSignIn, onSignOut, isBusy }) => {
+  if (isLocalMode) {
+    return (
+      <div className="flex items-center justify-center text-sm text-gray-500 mb-4">
+        Local mode: no account, events stay in this browser.
+      </div>
+    );
+  }
+  if (!account) return null;
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-3 text-sm mb-4">
+      {account.isAnonymous ? (
+        <span className="text-gray-600">
+          Signed in as a <strong>guest</strong>. Your events are only kept in this browser until you sign in.
+        </span>
+      ) : (
+        <span className="text-gray-700">
+          Signed in as <strong>{describeAccount(account)}</strong>
+        </span>
+      )}
+      {account.isAnonymous ? (
+        <button
+          onClick={onSignIn}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-1 px-3 rounded-md transition duration-200"
+          disabled={isBusy}
+        >
+          Sign In / Create Account
+        </button>
+      ) : (
+        <button
+          onClick={onSignOut}
+          className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 rounded-md transition duration-200"
+          disabled={isBusy}
+        >
+          Sign Out
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AccountHeader;
@@ -1,4 +1,17 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useId, useRef } from 'react';
+import { addDaysToKey, parseDateKey, toDateKey } from '../utils/eventTime';
+import { expandEventsInZone } from '../utils/displayZone';
+import { getLocalTimeZone, getTodayKey, getZonedNow } from '../utils/timeZones';
+import { getConflictingDateKeys } from '../utils/conflicts';
+import { isLeavingInPreview, isPreviewGhost } from '../utils/suggestions';
+import { isEventDrag, readEventDrag } from '../utils/eventDrag';
+import TimelineView from './TimelineView';
+
+const VIEWS = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+  { value: 'day', label: 'Day' }
+];
 
 // Helper function to get the number of days in a month
 const getDaysInMonth = (year, month) => {
@@ -10,10 +23,67 @@ const getFirstDayOfMonth = (year, month) => {
   return new Date(year, month, 1).getDay();
 };
 
-const CalendarGrid = ({ events, onSelectDate }) => {
-  const [currentMonth, setCurrentMonth] = useState(new Date().getMonth()); // 0-indexed month
-  const [currentYear, setCurrentYear] = useState(new Date().getFullYear());
-  const [selectedDate, setSelectedDate] = useState(new Date()); // Represents the full date of the selected day
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Helper function to move a date key by whole months, keeping the day where the month is long enough
+const addMonthsToKey = (dateKey, months) => {
+  const date = parseDateKey(dateKey);
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  target.setDate(Math.min(date.getDate(), getDaysInMonth(target.getFullYear(), target.getMonth())));
+  return toDateKey(target);
+};
+
+// Helper function to find where a key in the month grid moves focus (the ARIA date grid keys), or null for other keys
+const getNavigationTarget = (e, dateKey) => {
+  const weekday = parseDateKey(dateKey).getDay();
+  switch (e.key) {
+    case 'ArrowLeft': return addDaysToKey(dateKey, -1);
+    case 'ArrowRight': return addDaysToKey(dateKey, 1);
+    case 'ArrowUp': return addDaysToKey(dateKey, -7);
+    case 'ArrowDown': return addDaysToKey(dateKey, 7);
+    case 'Home': return addDaysToKey(dateKey, -weekday);
+    case 'End': return addDaysToKey(dateKey, 6 - weekday);
+    case 'PageUp': return addMonthsToKey(dateKey, e.shiftKey ? -12 : -1);
+    case 'PageDown': return addMonthsToKey(dateKey, e.shiftKey ? 12 : 1);
+    default: return null;
+  }
+};
+
+// Helper function to describe a day's event count for screen readers
+const describeEventCount = (count) => (count === 0 ? 'no events' : `${count} event${count === 1 ? '' : 's'}`);
+
+// Helper function to get the days shown by the week (Sunday-first, like the month grid) or day view
+const getTimelineDays = (view, selectedDate) => {
+  const start = new Date(selectedDate);
+  start.setHours(0, 0, 0, 0);
+  if (view === 'day') return [start];
+  start.setDate(start.getDate() - start.getDay());
+  return Array.from({ length: 7 }, (_, offset) => {
+    const day = new Date(start);
+    day.setDate(start.getDate() + offset);
+    return day;
+  });
+};
+
+// `calendarColors` maps a calendarId to its color when several calendars are overlaid
+// `categoryColors` maps a category id to its color; month cells show a dot per category on that day
+// `jumpToDate` moves the selection to that Date whenever a new one is passed (e.g. after clicking a reminder)
+// Days and times are those of `displayTimeZone`; the week and day views also label hours in `secondaryTimeZone`.
+// Dates handed to and from the grid carry the display zone's day in their local fields.
+// Events dropped on a day (or a time in the week and day views) are passed to `onMoveEvent(event, dateKey, time?)`;
+// `onEventKeyDown(e, event)` lets a focused timeline event be moved from the keyboard (see ../utils/eventDrag).
+// The month view is an ARIA grid: arrow keys, Home/End (week), PageUp/PageDown (month, with Shift a year) move
+// focus between days, and Enter or Space selects the focused one.
+const CalendarGrid = ({ events, onSelectDate, onEventClick, onMoveEvent, onEventKeyDown, canMoveEvent, calendarColors = {}, categoryColors = {}, jumpToDate, displayTimeZone = getLocalTimeZone(), secondaryTimeZone }) => {
+  const [view, setView] = useState('month'); // 'month' | 'week' | 'day'
+  const [currentMonth, setCurrentMonth] = useState(() => getZonedNow(displayTimeZone).getMonth()); // 0-indexed month
+  const [currentYear, setCurrentYear] = useState(() => getZonedNow(displayTimeZone).getFullYear());
+  const [selectedDate, setSelectedDate] = useState(() => getZonedNow(displayTimeZone)); // Represents the full date of the selected day
+  const [dropTargetDate, setDropTargetDate] = useState(null); // Month cell an event is being dragged over
+  const [focusedDate, setFocusedDate] = useState(() => toDateKey(getZonedNow(displayTimeZone))); // Month cell keyboard focus is on (or returns to)
+  const dayCellRefs = useRef({}); // dateKey -> month cell element
+  const shouldFocusCell = useRef(false); // Set by keyboard navigation so the focused cell gets DOM focus once rendered
+  const headerId = useId();
 
   // Normalize selectedDate to start of day for comparison
   useEffect(() => {
@@ -22,6 +92,25 @@ const CalendarGrid = ({ events, onSelectDate }) => {
       onSelectDate(normalizedSelectedDate);
   }, [selectedDate, onSelectDate]);
 
+  // Keep the grid's focus position on the selected day
+  useEffect(() => {
+      setFocusedDate(toDateKey(selectedDate));
+  }, [selectedDate]);
+
+  // Move DOM focus to the cell keyboard navigation picked (it may only exist after a month change)
+  useEffect(() => {
+      if (!shouldFocusCell.current) return;
+      shouldFocusCell.current = false;
+      dayCellRefs.current[focusedDate]?.focus();
+  }, [focusedDate, currentMonth, currentYear]);
+
+  useEffect(() => {
+      if (!jumpToDate) return;
+      setSelectedDate(jumpToDate);
+      setCurrentMonth(jumpToDate.getMonth());
+      setCurrentYear(jumpToDate.getFullYear());
+  }, [jumpToDate]);
+
 
   const daysInMonth = getDaysInMonth(currentYear, currentMonth);
   const firstDayOfMonth = getFirstDayOfMonth(currentYear, currentMonth); // 0 = Sunday, 1 = Monday
@@ -37,8 +126,25 @@ const CalendarGrid = ({ events, onSelectDate }) => {
     calendarDays.push(i);
   }
 
+  // Split into week rows, padding the last one
+  while (calendarDays.length % 7 !== 0) {
+    calendarDays.push(null);
+  }
+  const calendarWeeks = Array.from({ length: calendarDays.length / 7 }, (_, week) => calendarDays.slice(week * 7, week * 7 + 7));
+
+  // Expand recurring events into their occurrences for the visible month
+  const monthPrefix = `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}`;
+  const visibleEvents = expandEventsInZone(events, `${monthPrefix}-01`, `${monthPrefix}-${String(daysInMonth).padStart(2, '0')}`, displayTimeZone);
+  const todayKey = getTodayKey(displayTimeZone);
+  const selectedKey = toDateKey(selectedDate);
+  // The one day cell in the tab order: the focused day if it's in this month, else the selected day, else the 1st
+  const tabbableDate = [focusedDate, selectedKey].find(key => key.startsWith(monthPrefix)) || `${monthPrefix}-01`;
+
+  // Days where two or more events overlap (while previewing a suggestion, as they would after applying it)
+  const conflictingDates = getConflictingDateKeys(visibleEvents.filter(event => !isLeavingInPreview(event)));
+
   // Group events by date for easy lookup
-  const eventsByDate = events.reduce((acc, event) => {
+  const eventsByDate = visibleEvents.reduce((acc, event) => {
     const dateKey = event.date; // event.date is already YYYY-MM-DD
     if (!acc[dateKey]) {
       acc[dateKey] = [];
@@ -66,6 +172,67 @@ const CalendarGrid = ({ events, onSelectDate }) => {
     }
   };
 
+  // Week/day views page through the selected date itself, so App's selected-day list follows along
+  const selectDate = (date) => {
+    setSelectedDate(date);
+    setCurrentMonth(date.getMonth());
+    setCurrentYear(date.getFullYear());
+  };
+
+  const goToPrevious = () => {
+    if (view === 'month') {
+      goToPreviousMonth();
+    } else {
+      const date = new Date(selectedDate);
+      date.setDate(date.getDate() - (view === 'week' ? 7 : 1));
+      selectDate(date);
+    }
+  };
+
+  const goToNext = () => {
+    if (view === 'month') {
+      goToNextMonth();
+    } else {
+      const date = new Date(selectedDate);
+      date.setDate(date.getDate() + (view === 'week' ? 7 : 1));
+      selectDate(date);
+    }
+  };
+
+  // Only worth telling calendars apart when more than one is shown
+  const showCalendarColors = Object.keys(calendarColors).length > 1;
+
+  const timelineDays = getTimelineDays(view, selectedDate);
+  // Start a day early so events running past midnight still show on the following day
+  const timelineEvents = view === 'month'
+    ? []
+    : expandEventsInZone(events, addDaysToKey(toDateKey(timelineDays[0]), -1), toDateKey(timelineDays[timelineDays.length - 1]), displayTimeZone);
+
+  // Header title for the current view
+  let headerTitle = new Date(currentYear, currentMonth).toLocaleString('en-US', { month: 'long', year: 'numeric' });
+  if (view === 'week') {
+    const first = timelineDays[0];
+    const last = timelineDays[timelineDays.length - 1];
+    headerTitle = `${first.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${last.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  } else if (view === 'day') {
+    headerTitle = selectedDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  }
+
+  // Month cells accept dropped events, keeping their time of day
+  const handleDayDragOver = (e, dateString) => {
+    if (!onMoveEvent || !dateString || !isEventDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTargetDate(dateString);
+  };
+
+  const handleDayDrop = (e, dateString) => {
+    e.preventDefault();
+    setDropTargetDate(null);
+    const event = readEventDrag(e);
+    if (event && dateString) onMoveEvent(event, dateString);
+  };
+
   const handleDayClick = (day) => {
     if (day) { // Ensure it's a valid day, not a null placeholder
       const newSelectedDate = new Date(currentYear, currentMonth, day);
@@ -73,77 +240,200 @@ const CalendarGrid = ({ events, onSelectDate }) => {
     }
   };
 
+  const handleDayKeyDown = (e, dateString) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      setSelectedDate(parseDateKey(dateString));
+      return;
+    }
+    const target = getNavigationTarget(e, dateString);
+    if (!target) return;
+    e.preventDefault();
+    if (target === dateString) return;
+    const targetDate = parseDateKey(target);
+    setCurrentMonth(targetDate.getMonth());
+    setCurrentYear(targetDate.getFullYear());
+    setFocusedDate(target);
+    shouldFocusCell.current = true;
+  };
+
   return (
     <div className="w-full">
-      {/* Calendar Header with Month Navigation */}
+      {/* View Switcher */}
+      <div className="flex justify-center mb-4">
+        <div className="inline-flex rounded-lg bg-gray-100 p-1">
+          {VIEWS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setView(option.value)}
+              aria-pressed={view === option.value}
+              className={`px-4 py-1 rounded-md text-sm font-semibold transition duration-200 ${view === option.value ? 'bg-indigo-500 text-white shadow' : 'text-gray-600 hover:bg-gray-200'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Calendar Header with Navigation */}
       <div className="flex justify-between items-center mb-4">
         <button
-          onClick={goToPreviousMonth}
+          onClick={goToPrevious}
+          aria-label={`Previous ${view}`}
           className="px-4 py-2 rounded-lg bg-indigo-500 text-white hover:bg-indigo-600 transition duration-200"
         >
           &lt; Prev
         </button>
-        <h3 className="text-xl font-bold text-gray-800">
-          {new Date(currentYear, currentMonth).toLocaleString('en-US', { month: 'long', year: 'numeric' })}
+        <h3 id={headerId} className="text-xl font-bold text-gray-800 text-center">
+          {headerTitle}
         </h3>
         <button
-          onClick={goToNextMonth}
+          onClick={goToNext}
+          aria-label={`Next ${view}`}
           className="px-4 py-2 rounded-lg bg-indigo-500 text-white hover:bg-indigo-600 transition duration-200"
         >
           Next &gt;
         </button>
       </div>
 
-      {/* Days of the Week Header */}
-      <div className="grid grid-cols-7 text-center font-semibold text-gray-600 mb-2">
-        {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
-          <div key={day} className="py-2">{day}</div>
-        ))}
-      </div>
+      {view !== 'month' && (
+        <TimelineView
+          days={timelineDays}
+          events={timelineEvents}
+          selectedDate={selectedDate}
+          onSelectDate={selectDate}
+          onEventClick={onEventClick}
+          onMoveEvent={onMoveEvent}
+          onEventKeyDown={onEventKeyDown}
+          canMoveEvent={canMoveEvent}
+          calendarColors={showCalendarColors ? calendarColors : {}}
+          categoryColors={categoryColors}
+          displayTimeZone={displayTimeZone}
+          secondaryTimeZone={secondaryTimeZone}
+        />
+      )}
 
-      {/* Calendar Grid */}
-      <div className="grid grid-cols-7 gap-1">
-        {calendarDays.map((day, index) => {
-          const dateString = day ? `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}` : null;
-          const hasEvents = dateString && eventsByDate[dateString] && eventsByDate[dateString].length > 0;
-
-          // Check if this is the selected day
-          const isSelected = selectedDate && day &&
-                             selectedDate.getDate() === day &&
-                             selectedDate.getMonth() === currentMonth &&
-                             selectedDate.getFullYear() === currentYear;
-
-          // Check if this is today's date
-          const today = new Date();
-          const isToday = day &&
-                          today.getDate() === day &&
-                          today.getMonth() === currentMonth &&
-                          today.getFullYear() === currentYear;
-
-          return (
-            <div
-              key={index}
-              className={`
-                flex flex-col items-center justify-center p-2 rounded-lg aspect-square
-                ${day ? 'cursor-pointer hover:bg-gray-200 transition duration-150 ease-in-out' : 'bg-gray-50'}
-                ${isToday ? 'bg-indigo-200 text-indigo-900 font-bold border-2 border-indigo-500' : ''}
-                ${isSelected ? 'bg-indigo-500 text-white font-bold border-2 border-indigo-700' : ''}
-                ${hasEvents && !isSelected && !isToday ? 'bg-blue-100 text-blue-800 font-semibold' : ''}
-                ${hasEvents && isSelected ? 'bg-indigo-700' : ''}
-                ${hasEvents && isToday && !isSelected ? 'bg-indigo-300' : ''}
-              `}
-              onClick={() => handleDayClick(day)}
-            >
-              <span className="text-lg">{day}</span>
-              {hasEvents && (
-                <span className={`text-xs mt-1 px-1 rounded-full ${isSelected ? 'bg-white text-indigo-700' : isToday ? 'bg-indigo-500 text-white' : 'bg-blue-500 text-white'}`}>
-                  {eventsByDate[dateString].length}
-                </span>
-              )}
-            </div>
-          );
-        })}
-      </div>
+      {view === 'month' && (
+        <div role="grid" aria-labelledby={headerId}>
+          {/* Days of the Week Header */}
+          <div role="row" className="grid grid-cols-7 text-center font-semibold text-gray-600 mb-2">
+            {WEEKDAY_NAMES.map(name => (
+              <div key={name} role="columnheader" aria-label={name} className="py-2">{name.slice(0, 3)}</div>
+            ))}
+          </div>
+
+          {/* Calendar Grid */}
+          <div role="rowgroup" className="space-y-1">
+            {calendarWeeks.map((week, weekIndex) => (
+              <div key={weekIndex} role="row" className="grid grid-cols-7 gap-1">
+                {week.map((day, dayIndex) => {
+                  const index = weekIndex * 7 + dayIndex;
+                  if (!day) return <div key={index} role="gridcell" className="p-2 rounded-lg aspect-square bg-gray-50" />;
+
+                  const dateString = `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+                  const dayEvents = eventsByDate[dateString] || [];
+                  // Suggestion previews: ghosts are proposed additions/moves, leaving events would move away or be deleted
+                  const currentCount = dayEvents.filter(event => !isPreviewGhost(event)).length;
+                  const ghostCount = dayEvents.filter(isPreviewGhost).length;
+                  const leavingCount = dayEvents.filter(isLeavingInPreview).length;
+                  const hasEvents = currentCount > 0;
+                  const hasPreview = ghostCount > 0 || leavingCount > 0;
+                  const hasConflict = conflictingDates.has(dateString);
+                  const dayCalendarColors = showCalendarColors
+                    ? [...new Set(dayEvents.filter(event => !isPreviewGhost(event)).map(event => calendarColors[event.calendarId]).filter(Boolean))]
+                    : [];
+                  const dayCategoryColors = [...new Set(dayEvents.filter(event => !isPreviewGhost(event)).map(event => categoryColors[event.category]).filter(Boolean))];
+
+                  // Check if this is the selected day
+                  const isSelected = dateString === selectedKey;
+
+                  // Check if this is today's date
+                  const isToday = dateString === todayKey;
+
+                  const eventSummary = [
+                    describeEventCount(currentCount),
+                    hasConflict && 'overlapping events',
+                    ghostCount > 0 && `${ghostCount} suggested`,
+                    leavingCount > 0 && `${leavingCount} moving away or deleted`
+                  ].filter(Boolean).join(', ');
+
+                  return (
+                    <div
+                      key={index}
+                      ref={(element) => { dayCellRefs.current[dateString] = element; }}
+                      role="gridcell"
+                      // Roving focus: only one day is in the tab order; the arrow keys move between days
+                      tabIndex={dateString === tabbableDate ? 0 : -1}
+                      aria-selected={isSelected}
+                      aria-current={isToday ? 'date' : undefined}
+                      aria-label={`${parseDateKey(dateString).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}${isToday ? ', today' : ''}, ${eventSummary}`}
+                      className={`
+                        flex flex-col items-center justify-center p-2 rounded-lg aspect-square
+                        cursor-pointer hover:bg-gray-200 transition duration-150 ease-in-out focus:outline-none focus-visible:ring-4 focus-visible:ring-indigo-400
+                        ${isToday ? 'bg-indigo-200 text-indigo-900 font-bold border-2 border-indigo-500' : ''}
+                        ${isSelected ? 'bg-indigo-500 text-white font-bold border-2 border-indigo-700' : ''}
+                        ${hasEvents && !isSelected && !isToday ? 'bg-blue-100 text-blue-800 font-semibold' : ''}
+                        ${hasEvents && isSelected ? 'bg-indigo-700' : ''}
+                        ${hasEvents && isToday && !isSelected ? 'bg-indigo-300' : ''}
+                        ${hasConflict ? 'ring-2 ring-orange-400' : ''}
+                        ${hasPreview ? 'outline-dashed outline-2 outline-purple-500' : ''}
+                        ${dropTargetDate && dropTargetDate === dateString ? 'ring-4 ring-green-500' : ''}
+                      `}
+                      onClick={() => handleDayClick(day)}
+                      onFocus={() => setFocusedDate(dateString)}
+                      onKeyDown={(e) => handleDayKeyDown(e, dateString)}
+                      onDragOver={(e) => handleDayDragOver(e, dateString)}
+                      onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDropTargetDate(null)}
+                      onDrop={(e) => handleDayDrop(e, dateString)}
+                      title={[
+                        hasConflict && 'Overlapping events on this day',
+                        ghostCount > 0 && `${ghostCount} suggested event(s) here`,
+                        leavingCount > 0 && `${leavingCount} event(s) would move away or be deleted`
+                      ].filter(Boolean).join('\n') || undefined}
+                    >
+                      {/* The cell's label says all of this for screen readers */}
+                      <span aria-hidden="true" className="flex flex-col items-center">
+                        <span className="text-lg">{day}{hasConflict && <span className="ml-0.5 text-xs text-orange-500">⚠</span>}</span>
+                        {hasEvents && (
+                          <span className={`text-xs mt-1 px-1 rounded-full ${isSelected ? 'bg-white text-indigo-700' : isToday ? 'bg-indigo-500 text-white' : 'bg-blue-500 text-white'}`}>
+                            {currentCount}
+                          </span>
+                        )}
+                        {dayCalendarColors.length > 0 && (
+                          <span className="flex space-x-0.5 mt-0.5">
+                            {dayCalendarColors.map(color => (
+                              <span key={color} className="inline-block w-1.5 h-1.5 rounded-full border border-white" style={{ backgroundColor: color }} />
+                            ))}
+                          </span>
+                        )}
+                        {dayCategoryColors.length > 0 && (
+                          <span className="flex space-x-0.5 mt-0.5">
+                            {dayCategoryColors.map(color => (
+                              <span key={color} className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: color }} />
+                            ))}
+                          </span>
+                        )}
+                        {hasPreview && (
+                          <span className="text-xs mt-0.5 flex space-x-1">
+                            {ghostCount > 0 && <span className="px-1 rounded-full border border-dashed border-purple-500 bg-purple-100 text-purple-800">+{ghostCount}</span>}
+                            {leavingCount > 0 && <span className="px-1 rounded-full bg-gray-200 text-gray-600 line-through">−{leavingCount}</span>}
+                          </span>
+                        )}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Announces the selected day to screen readers whenever it changes */}
+      <p className="sr-only" aria-live="polite">
+        Selected {selectedDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}
+        {selectedKey.startsWith(monthPrefix) && `, ${describeEventCount((eventsByDate[selectedKey] || []).filter(event => !isPreviewGhost(event)).length)}`}
+      </p>
     </div>
   );
 };
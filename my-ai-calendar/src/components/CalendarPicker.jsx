@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { canEditCalendar, canManageCalendar } from '../storage/calendars';
+
+const ROLE_LABELS = { owner: 'Owner', editor: 'Can edit', viewer: 'View only' };
+
+// Lists the user's calendars: which are overlaid on the grid, which one new events go to,
+// plus pending invitations and a form to create a shared calendar.
+const CalendarPicker = ({
+  calendars,
+  invites,
+  hiddenCalendarIds,
+  activeCalendarId,
+  onToggleVisible,
+  onSelectActive,
+  onCreateCalendar,
+  onManage,
+  onLeave,
+  onAcceptInvite,
+  onDeclineInvite,
+  canBeInvited,
+  isBusy
+}) => {
+  const [newCalendarName, setNewCalendarName] = useState('');
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newCalendarName.trim()) return;
+    onCreateCalendar(newCalendarName.trim());
+    setNewCalendarName('');
+  };
+
+  return (
+    <div className="mb-8 p-6 bg-indigo-50 rounded-2xl border border-indigo-200">
+      <h2 className="text-2xl font-bold text-indigo-800 mb-4">Calendars</h2>
+
+      <ul className="space-y-2 mb-4">
+        {calendars.map(calendar => (
+          <li key={calendar.id} className="flex flex-wrap items-center gap-2 bg-white p-2 rounded-lg border border-gray-200">
+            <label className="flex items-center flex-grow text-gray-800" title="Show on the calendar">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={!hiddenCalendarIds.includes(calendar.id)}
+                onChange={() => onToggleVisible(calendar.id)}
+              />
+              <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: calendar.color }} />
+              <span className="font-semibold">{calendar.name}</span>
+              <span className="ml-2 text-xs text-gray-500">{ROLE_LABELS[calendar.role]}</span>
+            </label>
+            {canEditCalendar(calendar.role) && (
+              <label className="flex items-center text-xs text-gray-600" title="New events are added to this calendar">
+                <input
+                  type="radio"
+                  name="activeCalendar"
+                  className="mr-1"
+                  checked={activeCalendarId === calendar.id}
+                  onChange={() => onSelectActive(calendar.id)}
+                />
+                Add events here
+              </label>
+            )}
+            {!calendar.isPersonal && canManageCalendar(calendar.role) && (
+              <button
+                onClick={() => onManage(calendar)}
+                className="bg-indigo-500 hover:bg-indigo-600 text-white text-xs font-bold py-1 px-2 rounded-md transition duration-200"
+                disabled={isBusy}
+              >
+                Share
+              </button>
+            )}
+            {!calendar.isPersonal && !canManageCalendar(calendar.role) && (
+              <button
+                onClick={() => onLeave(calendar)}
+                className="bg-gray-300 hover:bg-gray-400 text-gray-800 text-xs font-bold py-1 px-2 rounded-md transition duration-200"
+                disabled={isBusy}
+              >
+                Leave
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {invites.length > 0 && (
+        <div className="mb-4">
+          <h3 className="text-sm font-bold text-indigo-800 mb-2">Invitations</h3>
+          <ul className="space-y-2">
+            {invites.map(invite => (
+              <li key={invite.id} className="flex flex-wrap items-center gap-2 bg-white p-2 rounded-lg border border-dashed border-indigo-300 text-sm">
+                <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: invite.color }} />
+                <span className="flex-grow text-gray-800">
+                  <strong>{invite.name}</strong> ({ROLE_LABELS[invite.role]})
+                  {invite.invitedBy && <span className="text-gray-500"> from {invite.invitedBy.displayName || invite.invitedBy.email}</span>}
+                </span>
+                <button
+                  onClick={() => onAcceptInvite(invite)}
+                  className="bg-green-500 hover:bg-green-600 text-white text-xs font-bold py-1 px-2 rounded-md transition duration-200"
+                  disabled={isBusy}
+                >
+                  Join
+                </button>
+                <button
+                  onClick={() => onDeclineInvite(invite)}
+                  className="bg-gray-300 hover:bg-gray-400 text-gray-800 text-xs font-bold py-1 px-2 rounded-md transition duration-200"
+                  disabled={isBusy}
+                >
+                  Decline
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="flex gap-2">
+        <input
+          type="text"
+          className="shadow-sm appearance-none border border-gray-300 rounded-xl flex-grow py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          placeholder="New shared calendar, e.g. Team schedule"
+          value={newCalendarName}
+          onChange={(e) => setNewCalendarName(e.target.value)}
+        />
+        <button
+          type="submit"
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-xl transition duration-200 ease-in-out"
+          disabled={isBusy || !newCalendarName.trim()}
+        >
+          Create
+        </button>
+      </form>
+      {!canBeInvited && (
+        <p className="text-xs text-gray-500 mt-2">Sign in with a verified email address to be invited to other people's calendars.</p>
+      )}
+    </div>
+  );
+};
+
+export default CalendarPicker;
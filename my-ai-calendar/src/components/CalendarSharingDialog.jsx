@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { INVITE_ROLES } from '../storage/calendars';
+
+const ROLE_OPTIONS = { editor: 'Can edit', viewer: 'View only' };
+
+// Owner's view of a shared calendar's members and invitations
+const CalendarSharingDialog = ({ calendar, onInvite, onCancelInvite, onChangeRole, onRemoveMember, onClose, isBusy }) => {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    onInvite(email.trim(), role);
+    setEmail('');
+  };
+
+  const members = (calendar.memberIds || []).map(uid => ({ uid, role: calendar.roles?.[uid], ...calendar.members?.[uid] }));
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white p-8 rounded-3xl shadow-2xl w-full max-w-lg" role="dialog" aria-labelledby="calendarSharingTitle">
+        <h2 id="calendarSharingTitle" className="text-2xl font-bold text-gray-900 mb-4 text-center">
+          Share "{calendar.name}"
+        </h2>
+
+        <h3 className="text-sm font-bold text-gray-700 mb-2">Members</h3>
+        <ul className="space-y-2 mb-4">
+          {members.map(member => (
+            <li key={member.uid} className="flex items-center gap-2 text-sm bg-gray-50 p-2 rounded-lg">
+              <span className="flex-grow text-gray-800">{member.displayName || member.email || member.uid}</span>
+              {member.role === 'owner' ? (
+                <span className="text-xs text-gray-500">Owner</span>
+              ) : (
+                <>
+                  <select
+                    className="border border-gray-300 rounded-md text-xs py-1 px-2"
+                    value={member.role}
+                    onChange={(e) => onChangeRole(member.uid, e.target.value)}
+                    disabled={isBusy}
+                  >
+                    {INVITE_ROLES.map(option => <option key={option} value={option}>{ROLE_OPTIONS[option]}</option>)}
+                  </select>
+                  <button
+                    onClick={() => onRemoveMember(member.uid)}
+                    className="bg-red-500 hover:bg-red-600 text-white text-xs font-bold py-1 px-2 rounded-md transition duration-200"
+                    disabled={isBusy}
+                  >
+                    Remove
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {calendar.invites?.length > 0 && (
+          <>
+            <h3 className="text-sm font-bold text-gray-700 mb-2">Invited</h3>
+            <ul className="space-y-2 mb-4">
+              {calendar.invites.map(invite => (
+                <li key={invite.email} className="flex items-center gap-2 text-sm bg-gray-50 p-2 rounded-lg">
+                  <span className="flex-grow text-gray-800">{invite.email}</span>
+                  <span className="text-xs text-gray-500">{ROLE_OPTIONS[invite.role]}</span>
+                  <button
+                    onClick={() => onCancelInvite(invite.email)}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-800 text-xs font-bold py-1 px-2 rounded-md transition duration-200"
+                    disabled={isBusy}
+                  >
+                    Cancel
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <form onSubmit={handleInvite} className="flex flex-wrap gap-2">
+          <input
+            type="email"
+            className="shadow-sm appearance-none border border-gray-300 rounded-xl flex-grow py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            placeholder="teammate@example.com"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+          />
+          <select className="border border-gray-300 rounded-xl py-2 px-2 text-sm" value={role} onChange={(e) => setRole(e.target.value)}>
+            {INVITE_ROLES.map(option => <option key={option} value={option}>{ROLE_OPTIONS[option]}</option>)}
+          </select>
+          <button
+            type="submit"
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-xl transition duration-200 ease-in-out"
+            disabled={isBusy}
+          >
+            Invite
+          </button>
+        </form>
+        <p className="text-xs text-gray-500 mt-2">They'll see the invitation after signing in with that email.</p>
+
+        <div className="flex justify-end mt-6">
+          <button
+            onClick={onClose}
+            className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarSharingDialog;
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { CATEGORY_COLORS } from '../utils/categories';
+
+const inputClassName = "shadow-sm appearance-none border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+// Helper function to pick a color for the next category, preferring ones not in use yet
+const getNextColor = (categories) => CATEGORY_COLORS.find(color => !categories.some(category => category.color === color)) || CATEGORY_COLORS[categories.length % CATEGORY_COLORS.length];
+
+// The user's event categories: their colors on the calendar and the keywords used to guess them for new events.
+const CategoriesPanel = ({ categories, onAddCategory, onUpdateCategory, onRemoveCategory }) => {
+  const [newCategory, setNewCategory] = useState({ name: '', color: '', keywords: '' });
+  const newColor = newCategory.color || getNextColor(categories);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (onAddCategory({ ...newCategory, color: newColor })) setNewCategory({ name: '', color: '', keywords: '' });
+  };
+
+  return (
+    <div className="mb-8 p-6 bg-gray-50 rounded-2xl shadow-inner">
+      <h2 className="text-gray-700 text-lg sm:text-xl font-bold mb-1">Categories</h2>
+      <p className="text-sm text-gray-600 mb-3">New events get the category whose keywords (or location type) they mention most; "#category" in the input picks one directly.</p>
+
+      {categories.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {categories.map(category => (
+            <li key={category.id} className="flex items-center gap-2 bg-white p-2 rounded-lg border border-gray-200 text-sm">
+              <input
+                type="color"
+                className="w-8 h-8 shrink-0 rounded cursor-pointer"
+                value={category.color}
+                onChange={(e) => onUpdateCategory(category.id, { color: e.target.value })}
+                aria-label={`${category.name} color`}
+              />
+              <strong className="w-24 shrink-0 text-gray-800 truncate">{category.name}</strong>
+              <input
+                // Saved when the field is left, so commas can be typed; remounts when the saved keywords change
+                key={category.keywords.join(',')}
+                type="text"
+                className={`${inputClassName} py-1 text-sm`}
+                defaultValue={category.keywords.join(', ')}
+                onBlur={(e) => onUpdateCategory(category.id, { keywords: e.target.value })}
+                placeholder="Keywords, comma-separated"
+                aria-label={`${category.name} keywords`}
+              />
+              <button
+                onClick={() => onRemoveCategory(category.id)}
+                className="bg-red-500 hover:bg-red-600 text-white text-xs font-bold py-1 px-2 rounded-md transition duration-200"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="grid grid-cols-1 sm:grid-cols-[1fr_auto_2fr_auto] gap-3 items-end">
+        <div>
+          <label htmlFor="categoryName" className="block text-sm font-bold text-gray-700 mb-1">Name:</label>
+          <input id="categoryName" type="text" className={inputClassName} placeholder="e.g., Kids, Side project" value={newCategory.name} onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })} required />
+        </div>
+        <div>
+          <label htmlFor="categoryColor" className="block text-sm font-bold text-gray-700 mb-1">Color:</label>
+          <input id="categoryColor" type="color" className="w-10 h-9 rounded cursor-pointer" value={newColor} onChange={(e) => setNewCategory({ ...newCategory, color: e.target.value })} />
+        </div>
+        <div>
+          <label htmlFor="categoryKeywords" className="block text-sm font-bold text-gray-700 mb-1">Keywords:</label>
+          <input id="categoryKeywords" type="text" className={inputClassName} placeholder="e.g., school, soccer, homework" value={newCategory.keywords} onChange={(e) => setNewCategory({ ...newCategory, keywords: e.target.value })} />
+        </div>
+        <button
+          type="submit"
+          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-xl transition duration-200 ease-in-out"
+        >
+          Add Category
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CategoriesPanel;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { findCategory } from '../utils/categories';
+
+// Picker for one of the user's categories, with '' for none. A category the user doesn't have (deleted, or
+// from someone else's shared calendar) stays selectable so editing an event doesn't silently drop it.
+const CategorySelect = ({ id, categories, value, onChange, emptyLabel = 'None', className }) => (
+  <select id={id} className={className} value={value || ''} onChange={(e) => onChange(e.target.value)}>
+    <option value="">{emptyLabel}</option>
+    {categories.map(category => (
+      <option key={category.id} value={category.id}>{category.name}</option>
+    ))}
+    {value && !findCategory(categories, value) && <option value={value}>{value} (not one of yours)</option>}
+  </select>
+);
+
+export default CategorySelect;
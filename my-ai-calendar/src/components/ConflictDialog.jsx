@@ -0,0 +1,63 @@
+import React from 'react';
+import { formatTimeRange } from '../utils/eventTime';
+
+// Modal listing scheduling conflicts for one or more events about to be saved.
+// Each item is { candidate, conflicts, nextFreeSlot } as built by App's conflict check.
+const ConflictDialog = ({ items, onSaveAnyway, onUseFreeSlot, onCancel }) => {
+  const hasFreeSlot = items.some(item => item.nextFreeSlot);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white p-8 rounded-3xl shadow-2xl w-full max-w-md" role="alertdialog" aria-labelledby="conflictDialogTitle">
+        <h2 id="conflictDialogTitle" className="text-2xl font-bold text-gray-900 mb-4 text-center">Scheduling Conflict</h2>
+        <div className="space-y-4 max-h-80 overflow-y-auto">
+          {items.map((item, index) => (
+            <div key={index} className="bg-orange-50 border-l-4 border-orange-500 p-3 rounded-lg text-sm">
+              <p className="font-semibold text-orange-900">
+                "{item.candidate.title}" on {item.candidate.date}, {formatTimeRange(item.candidate)} overlaps:
+              </p>
+              <ul className="list-disc list-inside text-orange-800 mt-1">
+                {item.conflicts.map(conflict => (
+                  <li key={`${conflict.id}-${conflict.date}`}>
+                    "{conflict.title}" on {conflict.date}, {formatTimeRange(conflict)}
+                  </li>
+                ))}
+              </ul>
+              <p className="text-xs text-gray-600 mt-2">
+                {item.nextFreeSlot
+                  ? `Next free slot: ${item.nextFreeSlot.date} at ${item.nextFreeSlot.time}`
+                  : 'No free slot found in the next two weeks.'}
+              </p>
+            </div>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center justify-end gap-3 mt-6">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={onUseFreeSlot}
+            className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out disabled:opacity-50"
+            disabled={!hasFreeSlot}
+          >
+            Use Next Free Slot
+          </button>
+          <button
+            type="button"
+            onClick={onSaveAnyway}
+            className="bg-orange-500 hover:bg-orange-600 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+          >
+            Save Anyway
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
@@ -0,0 +1,55 @@
+import React, { useEffect, useRef } from 'react';
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Helper function to list the elements Tab can reach inside a container, in order
+const getFocusableElements = (container) => Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+  .filter(element => !element.closest('fieldset:disabled') && element.getClientRects().length > 0);
+
+// Container for modal dialog content that keeps Tab and Shift+Tab cycling inside it, focuses its first field
+// when it opens, hands focus back to whatever had it when it closes, and calls `onEscape` on Escape.
+// Only keys pressed inside it are handled, so a dialog opened on top of it (e.g. the conflict dialog) still works.
+// Other props (role, aria-*, className) go on the container.
+const FocusTrap = ({ children, onEscape, ...containerProps }) => {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    const [firstElement] = getFocusableElements(containerRef.current);
+    (firstElement || containerRef.current).focus();
+    return () => {
+      if (previouslyFocused && document.contains(previouslyFocused)) previouslyFocused.focus();
+    };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && onEscape) {
+      e.stopPropagation();
+      onEscape();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const focusable = getFocusableElements(containerRef.current);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === containerRef.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return (
+    <div ref={containerRef} tabIndex={-1} onKeyDown={handleKeyDown} {...containerProps}>
+      {children}
+    </div>
+  );
+};
+
+export default FocusTrap;
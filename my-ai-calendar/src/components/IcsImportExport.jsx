@@ -0,0 +1,98 @@
+import React, { useState, useRef } from 'react';
+import { eventsToIcs } from '../utils/ics';
+import { getOccurrenceDates } from '../utils/recurrence';
+
+const inputClassName = "shadow-sm appearance-none border border-gray-300 rounded-xl py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent";
+
+// Export events to an .ics download and import events from an .ics file.
+// `onImport` receives the file's text and resolves to { created, updated, shortened, skipped } (or null on failure),
+// where `skipped` lists the events that couldn't be stored as [{ title, problem }].
+const IcsImportExport = ({ events, onImport, disabled }) => {
+  const [rangeStart, setRangeStart] = useState('');
+  const [rangeEnd, setRangeEnd] = useState('');
+  const [statusMessage, setStatusMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleExport = () => {
+    // With a range, keep every event (or series) that has at least one occurrence inside it
+    const from = rangeStart || '0000-01-01';
+    const to = rangeEnd || '9999-12-31';
+    const eventsToExport = rangeStart || rangeEnd
+      ? events.filter(event => getOccurrenceDates(event, from, to).length > 0)
+      : events;
+
+    if (eventsToExport.length === 0) {
+      setStatusMessage('No events to export in that range.');
+      return;
+    }
+
+    const blob = new Blob([eventsToIcs(eventsToExport)], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = rangeStart || rangeEnd ? `my-ai-calendar_${rangeStart || 'start'}_${rangeEnd || 'end'}.ics` : 'my-ai-calendar.ics';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Revoking straight after the click can cancel the download in some browsers (Firefox, Safari)
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    setStatusMessage(`Exported ${eventsToExport.length} event${eventsToExport.length === 1 ? '' : 's'}.`);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    setStatusMessage('');
+    const result = await onImport(await file.text());
+    if (result) {
+      const { created, updated, shortened, skipped } = result;
+      let message = `Imported ${created} new event${created === 1 ? '' : 's'}, updated ${updated} existing.`;
+      if (shortened > 0) message += ` Shortened ${shortened} that exceeded size limits.`;
+      if (skipped.length > 0) {
+        const examples = skipped.slice(0, 3).map(({ title, problem }) => `"${title}" (${problem})`).join(', ');
+        message += ` Skipped ${skipped.length}: ${examples}${skipped.length > 3 ? ', ...' : ''}.`;
+      }
+      setStatusMessage(message);
+    }
+    // Allow re-selecting the same file
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label htmlFor="exportRangeStart" className="block text-gray-700 text-sm font-bold mb-1">From (optional):</label>
+          <input id="exportRangeStart" type="date" className={inputClassName} value={rangeStart} onChange={(e) => setRangeStart(e.target.value)} />
+        </div>
+        <div>
+          <label htmlFor="exportRangeEnd" className="block text-gray-700 text-sm font-bold mb-1">To (optional):</label>
+          <input id="exportRangeEnd" type="date" className={inputClassName} value={rangeEnd} onChange={(e) => setRangeEnd(e.target.value)} />
+        </div>
+        <button
+          onClick={handleExport}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+          disabled={disabled}
+        >
+          Export .ics
+        </button>
+        <label
+          className={`bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-xl transition duration-200 ease-in-out ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+        >
+          Import .ics
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".ics,text/calendar"
+            className="hidden"
+            onChange={handleFileChange}
+            disabled={disabled}
+          />
+        </label>
+      </div>
+      {statusMessage && <p className="text-sm text-gray-600 mt-3">{statusMessage}</p>}
+    </div>
+  );
+};
+
+export default IcsImportExport;
@@ -0,0 +1,55 @@
+import React from 'react';
+import ParsedEventDraft from './ParsedEventDraft';
+
+// Review panel for everything parsed from one input. Each item is { event, assumed, accepted };
+// only accepted items are saved, all together, when the user confirms.
+const ParsedEventBatch = ({ items, categories = [], note, onChangeItem, onSave, onDiscard, isSaving }) => {
+  const acceptedCount = items.filter(item => item.accepted).length;
+
+  return (
+    <div className="mt-6 bg-green-50 border-l-4 border-green-500 text-green-800 p-4 rounded-xl shadow-inner">
+      <h2 className="font-bold text-lg mb-1">
+        {items.length === 1 ? 'Review Parsed Event:' : `Review ${items.length} Parsed Events:`}
+      </h2>
+      <p className="text-xs text-green-700 mb-3">Nothing has been saved yet. Check the details, then save or discard.</p>
+      {note && <p className="text-xs text-green-700 mb-3">{note}</p>}
+
+      <form onSubmit={(e) => { e.preventDefault(); onSave(); }}>
+        <div className="space-y-4">
+          {items.map((item, index) => (
+            <ParsedEventDraft
+              key={index}
+              idPrefix={`draft${index}`}
+              draft={item.event}
+              assumed={item.assumed}
+              categories={categories}
+              accepted={item.accepted}
+              onChange={(event) => onChangeItem(index, { ...item, event })}
+              onToggleAccepted={(accepted) => onChangeItem(index, { ...item, accepted })}
+            />
+          ))}
+        </div>
+
+        <div className="flex justify-end space-x-2 pt-4">
+          <button
+            type="button"
+            onClick={onDiscard}
+            className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+            disabled={isSaving}
+          >
+            Discard
+          </button>
+          <button
+            type="submit"
+            className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out disabled:opacity-50"
+            disabled={isSaving || acceptedCount === 0}
+          >
+            {isSaving ? 'Saving...' : (items.length === 1 ? 'Save Event' : `Save ${acceptedCount} Event${acceptedCount === 1 ? '' : 's'}`)}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ParsedEventBatch;
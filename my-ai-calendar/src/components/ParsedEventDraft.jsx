@@ -0,0 +1,140 @@
+import React from 'react';
+import { durationFromTimes, formatDuration, getEventDuration, getEventEndTime } from '../utils/eventTime';
+import { describeRecurrence } from '../utils/recurrence';
+import { describeEventZones } from '../utils/displayZone';
+import CategorySelect from './CategorySelect';
+import ReminderEditor from './ReminderEditor';
+import TimeZoneSelect from './TimeZoneSelect';
+
+const inputClassName = "shadow-sm appearance-none border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent";
+
+// Small badge shown next to fields the parser filled in by itself
+const AssumedBadge = ({ children }) => (
+  <span className="ml-2 text-xs font-semibold bg-yellow-200 text-yellow-900 px-2 py-0.5 rounded-full" title="Not stated in your input; please check">
+    {children}
+  </span>
+);
+
+// Editable preview of one parsed event, shown before anything is written to the calendar.
+// `assumed` flags fields that were defaulted or inferred: { date, time, year, duration, reminders, timeZone, category }.
+// `categories` are the user's own (see ../utils/categories). `draft.tags` becomes the typed text once edited;
+// it is tidied up with normalizeTags when the drafts are saved.
+// `idPrefix` keeps input ids unique when several drafts are shown together.
+const ParsedEventDraft = ({ draft, assumed = {}, categories = [], accepted, onChange, onToggleAccepted, idPrefix }) => {
+  const endTime = getEventEndTime(draft);
+
+  return (
+    <div className={`bg-white border border-green-200 rounded-xl p-4 space-y-3 text-gray-800 ${accepted ? '' : 'opacity-50'}`}>
+      <label className="flex items-center text-sm font-semibold text-green-800">
+        <input type="checkbox" className="mr-2" checked={accepted} onChange={(e) => onToggleAccepted(e.target.checked)} />
+        {accepted ? 'Will be saved' : 'Dropped'}
+      </label>
+      <fieldset disabled={!accepted} className="space-y-3">
+        <div>
+          <label htmlFor={`${idPrefix}Title`} className="block text-sm font-bold mb-1">Title:</label>
+          <input id={`${idPrefix}Title`} type="text" className={inputClassName} value={draft.title} onChange={(e) => onChange({ ...draft, title: e.target.value })} required />
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div>
+            <label htmlFor={`${idPrefix}Date`} className="block text-sm font-bold mb-1">
+              Date:
+              {assumed.date && <AssumedBadge>assumed</AssumedBadge>}
+              {!assumed.date && assumed.year && <AssumedBadge>year inferred</AssumedBadge>}
+            </label>
+            <input id={`${idPrefix}Date`} type="date" className={inputClassName} value={draft.date} onChange={(e) => onChange({ ...draft, date: e.target.value })} required />
+          </div>
+          <div>
+            <label htmlFor={`${idPrefix}Time`} className="block text-sm font-bold mb-1">
+              Start:
+              {assumed.time && <AssumedBadge>default</AssumedBadge>}
+            </label>
+            <input
+              id={`${idPrefix}Time`}
+              type="time"
+              className={inputClassName}
+              value={draft.time}
+              // Keep the duration when the start moves
+              onChange={(e) => onChange({ ...draft, time: e.target.value })}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor={`${idPrefix}EndTime`} className="block text-sm font-bold mb-1">
+              End:
+              {assumed.duration && <AssumedBadge>default</AssumedBadge>}
+            </label>
+            <input
+              id={`${idPrefix}EndTime`}
+              type="time"
+              className={inputClassName}
+              value={endTime}
+              onChange={(e) => e.target.value && onChange({ ...draft, duration: durationFromTimes(draft.time, e.target.value) })}
+              required
+            />
+          </div>
+        </div>
+        <p className="text-xs text-gray-600">Duration: {formatDuration(getEventDuration(draft))}</p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label htmlFor={`${idPrefix}TimeZone`} className="block text-sm font-bold mb-1">
+              Time Zone:
+              {assumed.timeZone && <AssumedBadge>default</AssumedBadge>}
+            </label>
+            <TimeZoneSelect id={`${idPrefix}TimeZone`} className={inputClassName} value={draft.timeZone} onChange={(timeZone) => onChange({ ...draft, timeZone })} />
+          </div>
+          <div>
+            <label htmlFor={`${idPrefix}EndTimeZone`} className="block text-sm font-bold mb-1">Ends In:</label>
+            <TimeZoneSelect
+              id={`${idPrefix}EndTimeZone`}
+              className={inputClassName}
+              value={draft.endTimeZone}
+              emptyLabel="Same time zone"
+              onChange={(endTimeZone) => onChange({ ...draft, endTimeZone: endTimeZone || null })}
+            />
+          </div>
+        </div>
+        {draft.endTimeZone && draft.endTimeZone !== draft.timeZone && (
+          <p className="text-xs text-gray-600">Local times: {describeEventZones(draft, draft.timeZone)}</p>
+        )}
+        <div>
+          <label htmlFor={`${idPrefix}Description`} className="block text-sm font-bold mb-1">Description:</label>
+          <textarea id={`${idPrefix}Description`} rows="2" className={`${inputClassName} resize-y`} value={draft.description} onChange={(e) => onChange({ ...draft, description: e.target.value })} />
+        </div>
+        <div>
+          <label htmlFor={`${idPrefix}LocationType`} className="block text-sm font-bold mb-1">Location Type:</label>
+          <input id={`${idPrefix}LocationType`} type="text" className={inputClassName} placeholder="e.g., supermarket, office" value={draft.locationType} onChange={(e) => onChange({ ...draft, locationType: e.target.value })} />
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label htmlFor={`${idPrefix}Category`} className="block text-sm font-bold mb-1">
+              Category:
+              {assumed.category && <AssumedBadge>inferred</AssumedBadge>}
+            </label>
+            <CategorySelect id={`${idPrefix}Category`} className={inputClassName} categories={categories} value={draft.category} onChange={(category) => onChange({ ...draft, category })} />
+          </div>
+          <div>
+            <label htmlFor={`${idPrefix}Tags`} className="block text-sm font-bold mb-1">Tags:</label>
+            <input
+              id={`${idPrefix}Tags`}
+              type="text"
+              className={inputClassName}
+              placeholder="e.g., q4, kids"
+              value={Array.isArray(draft.tags) ? draft.tags.join(', ') : draft.tags || ''}
+              onChange={(e) => onChange({ ...draft, tags: e.target.value })}
+            />
+          </div>
+        </div>
+        {draft.recurrence && <p className="text-sm"><strong>Repeats:</strong> {describeRecurrence(draft.recurrence)}</p>}
+        <div>
+          <label htmlFor={`${idPrefix}Reminders`} className="block text-sm font-bold mb-1">
+            Reminders:
+            {assumed.reminders && draft.reminders?.length > 0 && <AssumedBadge>default</AssumedBadge>}
+          </label>
+          <ReminderEditor idPrefix={idPrefix} reminders={draft.reminders || []} onChange={(reminders) => onChange({ ...draft, reminders })} />
+        </div>
+      </fieldset>
+    </div>
+  );
+};
+
+export default ParsedEventDraft;
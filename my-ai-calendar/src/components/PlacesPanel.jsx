@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { DEFAULT_PLACE_RADIUS } from '../location/places';
+
+const inputClassName = "shadow-sm appearance-none border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+const EMPTY_PLACE = { name: '', locationType: '', latitude: '', longitude: '', radius: DEFAULT_PLACE_RADIUS };
+
+// Saved places and location detection for proactive suggestions. The location type simulator stays
+// available as a developer override: while it has a value, it wins over the detected place.
+const PlacesPanel = ({
+  places,
+  currentPlace,
+  isLocationAvailable,
+  isTracking,
+  locationError,
+  onToggleTracking,
+  onAddPlace,
+  onRemovePlace,
+  onLocateMe,
+  simulatedLocationType,
+  onSimulatedLocationTypeChange
+}) => {
+  const [newPlace, setNewPlace] = useState(EMPTY_PLACE);
+  const [isLocating, setIsLocating] = useState(false);
+
+  const handleUseCurrentPosition = async () => {
+    setIsLocating(true);
+    const position = await onLocateMe();
+    setIsLocating(false);
+    if (position) {
+      setNewPlace(place => ({ ...place, latitude: position.latitude.toFixed(6), longitude: position.longitude.toFixed(6) }));
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (onAddPlace(newPlace)) setNewPlace(EMPTY_PLACE);
+  };
+
+  let status = null;
+  if (simulatedLocationType.trim()) {
+    status = `Simulating a "${simulatedLocationType.trim()}" place (developer override).`;
+  } else if (isTracking && currentPlace) {
+    status = `You're at ${currentPlace.name} (${currentPlace.locationType}).`;
+  } else if (isTracking && !locationError) {
+    status = places.length > 0 ? "You're not at any of your saved places." : 'Save a place below to get suggestions when you are there.';
+  }
+
+  return (
+    <div className="mb-8 p-6 bg-gray-50 rounded-2xl shadow-inner">
+      <h2 className="text-gray-700 text-lg sm:text-xl font-bold mb-3">Places</h2>
+
+      {isLocationAvailable ? (
+        <label className="flex items-center text-sm text-gray-700 mb-2">
+          <input type="checkbox" className="mr-2" checked={isTracking} onChange={(e) => onToggleTracking(e.target.checked)} />
+          Use my location to suggest events for the place I'm at
+        </label>
+      ) : (
+        <p className="text-sm text-gray-600 mb-2">This browser can't share your location.</p>
+      )}
+      {locationError && <p className="text-sm text-red-600 mb-2">{locationError}</p>}
+      {status && <p className="text-sm text-gray-600 mb-3">{status}</p>}
+
+      {places.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {places.map(place => (
+            <li
+              key={place.id}
+              className={`flex items-center gap-2 bg-white p-2 rounded-lg border text-sm ${currentPlace?.id === place.id ? 'border-blue-400' : 'border-gray-200'}`}
+            >
+              <span className="flex-grow text-gray-800">
+                <strong>{place.name}</strong>
+                <span className="text-gray-500"> · {place.locationType} · within {place.radius} m</span>
+              </span>
+              <button
+                onClick={() => onRemovePlace(place.id)}
+                className="bg-red-500 hover:bg-red-600 text-white text-xs font-bold py-1 px-2 rounded-md transition duration-200"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label htmlFor="placeName" className="block text-sm font-bold text-gray-700 mb-1">Name:</label>
+          <input id="placeName" type="text" className={inputClassName} placeholder="e.g., Office, Corner shop" value={newPlace.name} onChange={(e) => setNewPlace({ ...newPlace, name: e.target.value })} required />
+        </div>
+        <div>
+          <label htmlFor="placeLocationType" className="block text-sm font-bold text-gray-700 mb-1">Location Type:</label>
+          <input id="placeLocationType" type="text" className={inputClassName} placeholder="e.g., office, supermarket" value={newPlace.locationType} onChange={(e) => setNewPlace({ ...newPlace, locationType: e.target.value })} required />
+        </div>
+        <div>
+          <label htmlFor="placeLatitude" className="block text-sm font-bold text-gray-700 mb-1">Latitude:</label>
+          <input id="placeLatitude" type="number" step="any" className={inputClassName} value={newPlace.latitude} onChange={(e) => setNewPlace({ ...newPlace, latitude: e.target.value })} required />
+        </div>
+        <div>
+          <label htmlFor="placeLongitude" className="block text-sm font-bold text-gray-700 mb-1">Longitude:</label>
+          <input id="placeLongitude" type="number" step="any" className={inputClassName} value={newPlace.longitude} onChange={(e) => setNewPlace({ ...newPlace, longitude: e.target.value })} required />
+        </div>
+        <div>
+          <label htmlFor="placeRadius" className="block text-sm font-bold text-gray-700 mb-1">Radius (meters):</label>
+          <input id="placeRadius" type="number" min="10" className={inputClassName} value={newPlace.radius} onChange={(e) => setNewPlace({ ...newPlace, radius: e.target.value })} />
+        </div>
+        <div className="flex items-end gap-2">
+          {isLocationAvailable && (
+            <button
+              type="button"
+              onClick={handleUseCurrentPosition}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-xl transition duration-200 ease-in-out"
+              disabled={isLocating}
+            >
+              {isLocating ? 'Locating...' : "I'm Here"}
+            </button>
+          )}
+          <button
+            type="submit"
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-xl transition duration-200 ease-in-out"
+          >
+            Save Place
+          </button>
+        </div>
+      </form>
+
+      <details className="mt-4">
+        <summary className="text-sm text-gray-600 cursor-pointer">Developer: simulate a location type</summary>
+        <label htmlFor="mockLocation" className="block text-gray-700 text-sm font-bold mt-3 mb-2">
+          Simulate Current Location Type:
+        </label>
+        <input
+          id="mockLocation"
+          type="text"
+          className={inputClassName}
+          placeholder="e.g., supermarket, office, gym"
+          value={simulatedLocationType}
+          onChange={(e) => onSimulatedLocationTypeChange(e.target.value)}
+        />
+      </details>
+    </div>
+  );
+};
+
+export default PlacesPanel;
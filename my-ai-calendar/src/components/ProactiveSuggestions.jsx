@@ -0,0 +1,55 @@
+import React from 'react';
+import { formatTimeRange, parseDateKey } from '../utils/eventTime';
+import { SNOOZE_OPTIONS } from '../utils/proactiveSuggestions';
+
+// Upcoming events that could be done where the user is now, each with "do it now", snooze and dismiss.
+// `matches` is [{ key, event }] from findProactiveMatches; `whereabouts` finishes "It looks like ...".
+const ProactiveSuggestions = ({ matches, whereabouts, canModify, onDoNow, onSnooze, onDismiss, isBusy }) => (
+  <div className="mt-6 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-800 p-4 rounded-xl shadow-inner">
+    <h2 className="font-bold text-lg mb-2">Proactive Suggestion{matches.length === 1 ? '' : 's'}:</h2>
+    <p className="mb-3">
+      Heads up! It looks like {whereabouts}. {matches.length === 1 ? 'This is' : `These ${matches.length} are`} coming up and could be done now:
+    </p>
+    <ul className="space-y-3">
+      {matches.map(({ key, event }) => (
+        <li key={key} className="bg-yellow-50 border border-yellow-300 rounded-lg p-3">
+          <p className="font-semibold text-yellow-900">{event.title}</p>
+          <p className="text-sm">
+            {parseDateKey(event.date).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}, {formatTimeRange(event)}
+          </p>
+          {event.description && <p className="text-sm italic">Details: {event.description}</p>}
+          <div className="flex flex-wrap items-center gap-2 mt-2">
+            {canModify(event) && (
+              <button
+                onClick={() => onDoNow(event)}
+                className="bg-green-500 hover:bg-green-600 text-white text-xs font-bold py-1 px-3 rounded-md transition duration-200"
+                disabled={isBusy}
+              >
+                Do It Now
+              </button>
+            )}
+            <select
+              className="border border-yellow-400 bg-white rounded-md text-xs py-1 px-2"
+              value=""
+              onChange={(e) => e.target.value !== '' && onSnooze(key, SNOOZE_OPTIONS[Number(e.target.value)].minutes)}
+              disabled={isBusy}
+              aria-label={`Snooze "${event.title}"`}
+            >
+              <option value="">Snooze...</option>
+              {SNOOZE_OPTIONS.map((option, index) => <option key={option.label} value={index}>{option.label}</option>)}
+            </select>
+            <button
+              onClick={() => onDismiss(key, event)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 text-xs font-bold py-1 px-3 rounded-md transition duration-200"
+              disabled={isBusy}
+            >
+              Not Here
+            </button>
+          </div>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+export default ProactiveSuggestions;
@@ -0,0 +1,126 @@
+import React from 'react';
+import { WEEKDAY_CODES, weekdayCodeForKey } from '../utils/recurrence';
+
+const WEEKDAY_LABELS = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+const UNIT_LABELS = { DAILY: 'day(s)', WEEKLY: 'week(s)', MONTHLY: 'month(s)', YEARLY: 'year(s)' };
+
+const inputClassName = "shadow-sm appearance-none border border-gray-300 rounded-xl py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent";
+
+// Form controls for an event's recurrence rule. `value` is a recurrence object or null (doesn't repeat).
+const RecurrenceEditor = ({ value, onChange, startDate }) => {
+  const endMode = value?.until ? 'until' : value?.count ? 'count' : 'never';
+
+  const handleFrequencyChange = (freq) => {
+    if (!freq) {
+      onChange(null);
+      return;
+    }
+    onChange({
+      freq,
+      interval: value?.interval || 1,
+      // Default weekly rules to the weekday of the event's start date
+      byDay: freq === 'WEEKLY' && startDate ? [weekdayCodeForKey(startDate)] : [],
+      until: value?.until || null,
+      count: value?.count || null,
+      exceptions: value?.exceptions || []
+    });
+  };
+
+  const toggleWeekday = (code) => {
+    const byDay = value.byDay.includes(code)
+      ? value.byDay.filter(day => day !== code)
+      : [...value.byDay, code];
+    onChange({ ...value, byDay: WEEKDAY_CODES.filter(day => byDay.includes(day)) });
+  };
+
+  const handleEndModeChange = (mode) => {
+    onChange({
+      ...value,
+      until: mode === 'until' ? (value.until || startDate || null) : null,
+      count: mode === 'count' ? (value.count || 10) : null
+    });
+  };
+
+  return (
+    <div>
+      <select
+        id="editRecurrence"
+        className={`${inputClassName} w-full`}
+        value={value?.freq || ''}
+        onChange={(e) => handleFrequencyChange(e.target.value)}
+      >
+        <option value="">Does not repeat</option>
+        <option value="DAILY">Daily</option>
+        <option value="WEEKLY">Weekly</option>
+        <option value="MONTHLY">Monthly</option>
+        <option value="YEARLY">Yearly</option>
+      </select>
+
+      {value && (
+        <div className="mt-3 space-y-3 text-sm text-gray-700">
+          <div className="flex items-center space-x-2">
+            <span>Every</span>
+            <input
+              type="number"
+              min="1"
+              className={`${inputClassName} w-20`}
+              value={value.interval}
+              onChange={(e) => onChange({ ...value, interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            />
+            <span>{UNIT_LABELS[value.freq]}</span>
+          </div>
+
+          {value.freq === 'WEEKLY' && (
+            <div className="flex flex-wrap gap-1">
+              {WEEKDAY_CODES.map(code => (
+                <button
+                  key={code}
+                  type="button"
+                  onClick={() => toggleWeekday(code)}
+                  className={`px-2 py-1 rounded-md text-xs font-semibold transition duration-150 ${value.byDay.includes(code) ? 'bg-indigo-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                >
+                  {WEEKDAY_LABELS[code]}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex items-center space-x-2">
+            <span>Ends</span>
+            <select
+              className={inputClassName}
+              value={endMode}
+              onChange={(e) => handleEndModeChange(e.target.value)}
+            >
+              <option value="never">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After</option>
+            </select>
+            {endMode === 'until' && (
+              <input
+                type="date"
+                className={inputClassName}
+                value={value.until}
+                onChange={(e) => onChange({ ...value, until: e.target.value || null })}
+              />
+            )}
+            {endMode === 'count' && (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  className={`${inputClassName} w-20`}
+                  value={value.count}
+                  onChange={(e) => onChange({ ...value, count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                />
+                <span>times</span>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+// Which occurrences of a recurring event an edit or delete applies to
+const RECURRENCE_SCOPES = [
+  { value: 'this', label: 'This occurrence' },
+  { value: 'following', label: 'This and following' },
+  { value: 'all', label: 'All occurrences' }
+];
+
+const RecurrenceScopePicker = ({ value, onChange, name = 'recurrenceScope' }) => {
+  return (
+    <fieldset className="space-y-1">
+      {RECURRENCE_SCOPES.map(scope => (
+        <label key={scope.value} className="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="radio"
+            name={name}
+            value={scope.value}
+            checked={value === scope.value}
+            onChange={() => onChange(scope.value)}
+            className="text-indigo-600 focus:ring-indigo-500"
+          />
+          <span>{scope.label}</span>
+        </label>
+      ))}
+    </fieldset>
+  );
+};
+
+export default RecurrenceScopePicker;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { MAX_REMINDERS, REMINDER_PRESETS, describeReminder, isSameReminder, normalizeReminder, normalizeReminders } from '../utils/reminders';
+
+const CUSTOM_UNITS = { minutes: 1, hours: 60, days: 1440 };
+
+const inputClassName = "shadow-sm appearance-none border border-gray-300 rounded-xl py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent";
+
+// Form controls for an event's reminders: the current ones as removable chips, plus a preset
+// picker and a custom "N minutes/hours/days before" or "N days before at HH:MM" entry.
+// `idPrefix` keeps input ids unique when several editors are on screen.
+const ReminderEditor = ({ reminders = [], onChange, idPrefix }) => {
+  const [isCustomOpen, setIsCustomOpen] = useState(false);
+  const [customAmount, setCustomAmount] = useState(30);
+  const [customUnit, setCustomUnit] = useState('minutes');
+  const [customTime, setCustomTime] = useState('');
+
+  const presets = REMINDER_PRESETS.filter(preset => !reminders.some(reminder => isSameReminder(reminder, preset)));
+  const isFull = reminders.length >= MAX_REMINDERS;
+
+  const addReminder = (reminder) => {
+    if (reminder) onChange(normalizeReminders([...reminders, reminder]));
+  };
+
+  const handlePresetChange = (value) => {
+    if (value === 'custom') {
+      setIsCustomOpen(true);
+    } else if (value !== '') {
+      addReminder(presets[Number(value)]);
+    }
+  };
+
+  const handleAddCustom = () => {
+    const amount = Math.max(0, parseInt(customAmount, 10) || 0);
+    addReminder(normalizeReminder(customUnit === 'days' && customTime
+      ? { daysBefore: amount, time: customTime }
+      : { minutesBefore: amount * CUSTOM_UNITS[customUnit] }));
+    setIsCustomOpen(false);
+  };
+
+  return (
+    <div className="space-y-2">
+      {reminders.length > 0 ? (
+        <ul className="flex flex-wrap gap-2">
+          {reminders.map((reminder, index) => (
+            <li key={index} className="flex items-center bg-indigo-100 text-indigo-800 text-xs font-semibold pl-3 pr-1 py-1 rounded-full">
+              🔔 {describeReminder(reminder)}
+              <button
+                type="button"
+                onClick={() => onChange(reminders.filter((_, other) => other !== index))}
+                className="ml-1 px-1 rounded-full hover:bg-indigo-200"
+                aria-label={`Remove reminder ${describeReminder(reminder)}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-xs text-gray-500">No reminders.</p>
+      )}
+
+      {!isFull && (
+        <select
+          id={`${idPrefix}Reminders`}
+          className={`${inputClassName} w-full`}
+          value=""
+          onChange={(e) => handlePresetChange(e.target.value)}
+        >
+          <option value="">Add a reminder...</option>
+          {presets.map((preset, index) => (
+            <option key={index} value={index}>{describeReminder(preset)}</option>
+          ))}
+          <option value="custom">Custom...</option>
+        </select>
+      )}
+
+      {isCustomOpen && !isFull && (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+          <input
+            type="number"
+            min="0"
+            className={`${inputClassName} w-20`}
+            value={customAmount}
+            onChange={(e) => setCustomAmount(e.target.value)}
+            aria-label="Reminder amount"
+          />
+          <select className={inputClassName} value={customUnit} onChange={(e) => setCustomUnit(e.target.value)} aria-label="Reminder unit">
+            <option value="minutes">minutes before</option>
+            <option value="hours">hours before</option>
+            <option value="days">days before</option>
+          </select>
+          {customUnit === 'days' && (
+            <>
+              <span>at</span>
+              <input
+                type="time"
+                className={inputClassName}
+                value={customTime}
+                onChange={(e) => setCustomTime(e.target.value)}
+                aria-label="Reminder time (optional)"
+              />
+            </>
+          )}
+          <button
+            type="button"
+            onClick={handleAddCustom}
+            className="bg-indigo-500 hover:bg-indigo-600 text-white text-xs font-bold py-2 px-3 rounded-md transition duration-200"
+          >
+            Add
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsCustomOpen(false)}
+            className="bg-gray-300 hover:bg-gray-400 text-gray-800 text-xs font-bold py-2 px-3 rounded-md transition duration-200"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReminderEditor;
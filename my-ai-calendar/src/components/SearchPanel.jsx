@@ -0,0 +1,107 @@
+import React, { useDeferredValue, useMemo, useState } from 'react';
+import { formatTimeRange, parseDateKey } from '../utils/eventTime';
+import { describeRecurrence, isRecurring } from '../utils/recurrence';
+import { EMPTY_SEARCH, MAX_SEARCH_RESULTS, SEARCH_WHEN_OPTIONS, buildSearchIndex, getLocationTypes, isSearchActive, searchEvents } from '../utils/eventSearch';
+
+const inputClassName = "shadow-sm appearance-none border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+// Search over all events with text, location type, date range and upcoming/past filters.
+// Picking a result calls `onSelectResult(occurrence)` with the display event (see ../utils/displayZone),
+// so the calendar can jump to its date.
+const SearchPanel = ({ events, displayTimeZone, onSelectResult }) => {
+  const [search, setSearch] = useState(EMPTY_SEARCH);
+  // Typing stays responsive while a large calendar is searched in the background
+  const deferredSearch = useDeferredValue(search);
+
+  const isActive = isSearchActive(deferredSearch);
+  // Only kept up to date while searching, so saving events doesn't pay for an idle search panel
+  const index = useMemo(() => (isActive ? buildSearchIndex(events, displayTimeZone) : []), [events, displayTimeZone, isActive]);
+  const locationTypes = useMemo(() => getLocationTypes(events), [events]);
+  const { results, total } = useMemo(
+    () => (isActive ? searchEvents(index, deferredSearch, displayTimeZone) : { results: [], total: 0 }),
+    [index, deferredSearch, displayTimeZone, isActive]
+  );
+
+  const updateSearch = (field, value) => setSearch(prevSearch => ({ ...prevSearch, [field]: value }));
+
+  return (
+    <div className="mt-8 p-6 bg-gray-50 rounded-2xl shadow-inner">
+      <h2 className="text-gray-700 text-lg sm:text-xl font-bold mb-3">Search Events</h2>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="sm:col-span-2">
+          <label htmlFor="searchQuery" className="block text-sm font-bold text-gray-700 mb-1">Search titles, descriptions and tags:</label>
+          <input
+            id="searchQuery"
+            type="search"
+            className={inputClassName}
+            placeholder="e.g., dentist, quarterly report, #kids"
+            value={search.query}
+            onChange={(e) => updateSearch('query', e.target.value)}
+          />
+        </div>
+        <div>
+          <label htmlFor="searchLocationType" className="block text-sm font-bold text-gray-700 mb-1">Location Type:</label>
+          <select id="searchLocationType" className={inputClassName} value={search.locationType} onChange={(e) => updateSearch('locationType', e.target.value)}>
+            <option value="">Any</option>
+            {locationTypes.map(locationType => <option key={locationType} value={locationType}>{locationType}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="searchWhen" className="block text-sm font-bold text-gray-700 mb-1">When:</label>
+          <select id="searchWhen" className={inputClassName} value={search.when} onChange={(e) => updateSearch('when', e.target.value)}>
+            {SEARCH_WHEN_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="searchFrom" className="block text-sm font-bold text-gray-700 mb-1">From:</label>
+          <input id="searchFrom" type="date" className={inputClassName} value={search.from} max={search.to || undefined} onChange={(e) => updateSearch('from', e.target.value)} />
+        </div>
+        <div>
+          <label htmlFor="searchTo" className="block text-sm font-bold text-gray-700 mb-1">To:</label>
+          <input id="searchTo" type="date" className={inputClassName} value={search.to} min={search.from || undefined} onChange={(e) => updateSearch('to', e.target.value)} />
+        </div>
+      </div>
+
+      {isSearchActive(search) && (
+        <div className="mt-4">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm text-gray-600" aria-live="polite">
+              {total === 0 && 'No matching events.'}
+              {total > 0 && (total > MAX_SEARCH_RESULTS ? `Showing the first ${MAX_SEARCH_RESULTS} of ${total} matching events.` : `${total} matching event${total === 1 ? '' : 's'}.`)}
+            </p>
+            <button
+              onClick={() => setSearch(EMPTY_SEARCH)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 text-xs font-bold py-1 px-3 rounded-md transition duration-200"
+            >
+              Clear
+            </button>
+          </div>
+          {results.length > 0 && (
+            <ul className={`divide-y divide-gray-200 bg-white rounded-xl border border-gray-200 max-h-96 overflow-y-auto ${search !== deferredSearch ? 'opacity-60' : ''}`}>
+              {results.map(occurrence => (
+                <li key={`${occurrence.id}-${occurrence.occurrenceDate || occurrence.date}`}>
+                  <button
+                    type="button"
+                    onClick={() => onSelectResult(occurrence)}
+                    className="w-full text-left px-3 py-2 hover:bg-blue-50 transition duration-150"
+                    title="Show this day in the calendar"
+                  >
+                    <span className="block font-semibold text-gray-800">{occurrence.title}</span>
+                    <span className="block text-sm text-gray-600">
+                      {parseDateKey(occurrence.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}, {formatTimeRange(occurrence)}
+                      {occurrence.locationType && <span className="text-gray-500"> · {occurrence.locationType}</span>}
+                    </span>
+                    {isRecurring(occurrence) && <span className="block text-xs text-gray-500">🔁 {describeRecurrence(occurrence.recurrence)}</span>}
+                    {occurrence.description && <span className="block text-xs text-gray-500 italic truncate">{occurrence.description}</span>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+
+const inputClassName = "shadow-sm appearance-none border border-gray-300 rounded-xl w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent";
+
+// Sign-in / create-account modal with email/password and the configured OAuth providers.
+// For a guest, creating an account (or using a new OAuth account) keeps their existing events.
+const SignInDialog = ({ providers, isAnonymous, onEmailSubmit, onOAuth, onClose, isBusy, error }) => {
+  const [mode, setMode] = useState('signIn'); // 'signIn' | 'create'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onEmailSubmit(mode, email.trim(), password);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white p-8 rounded-3xl shadow-2xl w-full max-w-sm" role="dialog" aria-labelledby="signInDialogTitle">
+        <h2 id="signInDialogTitle" className="text-2xl font-bold text-gray-900 mb-2 text-center">
+          {mode === 'signIn' ? 'Sign In' : 'Create Account'}
+        </h2>
+        {isAnonymous && (
+          <p className="text-gray-600 text-xs mb-4 text-center">
+            Events you've added as a guest will be kept in your account.
+          </p>
+        )}
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded-xl mb-4 text-sm" role="alert">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div>
+            <label htmlFor="signInEmail" className="block text-gray-700 text-sm font-bold mb-1">Email:</label>
+            <input id="signInEmail" type="email" autoComplete="email" className={inputClassName} value={email} onChange={(e) => setEmail(e.target.value)} required />
+          </div>
+          <div>
+            <label htmlFor="signInPassword" className="block text-gray-700 text-sm font-bold mb-1">Password:</label>
+            <input
+              id="signInPassword"
+              type="password"
+              autoComplete={mode === 'signIn' ? 'current-password' : 'new-password'}
+              className={inputClassName}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+            disabled={isBusy}
+          >
+            {isBusy ? 'Please wait...' : mode === 'signIn' ? 'Sign In' : 'Create Account'}
+          </button>
+        </form>
+
+        <button
+          type="button"
+          onClick={() => setMode(mode === 'signIn' ? 'create' : 'signIn')}
+          className="w-full text-indigo-600 hover:underline text-sm mt-3"
+        >
+          {mode === 'signIn' ? "Don't have an account? Create one" : 'Already have an account? Sign in'}
+        </button>
+
+        {providers.length > 0 && (
+          <div className="mt-4 pt-4 border-t border-gray-200 space-y-2">
+            {providers.map(provider => (
+              <button
+                key={provider.id}
+                type="button"
+                onClick={() => onOAuth(provider.id)}
+                className="w-full bg-white hover:bg-gray-100 text-gray-800 font-bold py-2 px-4 rounded-xl border border-gray-300 transition duration-200 ease-in-out"
+                disabled={isBusy}
+              >
+                Continue with {provider.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-end mt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+            disabled={isBusy}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignInDialog;
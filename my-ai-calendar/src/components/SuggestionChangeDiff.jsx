@@ -0,0 +1,76 @@
+import React from 'react';
+import { formatDuration, formatTimeRange, getEventDuration } from '../utils/eventTime';
+import { getChangedEvents } from '../utils/suggestions';
+
+// Helper function to summarise when an event happens, e.g. "2025-08-04, 10:00 – 11:00 (1h)"
+const describeTiming = (event) => `${event.date}, ${formatTimeRange(event)} (${formatDuration(getEventDuration(event))})`;
+
+const Before = ({ children }) => <span className="line-through text-red-700">{children}</span>;
+const After = ({ children }) => <span className="text-green-800 font-semibold">{children}</span>;
+
+// One row of a diff: a field name with its old and new value
+const DiffRow = ({ label, before, after }) => (
+  <div className="ml-4">
+    <span className="text-purple-900">{label}:</span> <Before>{before || '(empty)'}</Before> → <After>{after || '(empty)'}</After>
+  </div>
+);
+
+// Renders one optimizer change as a before/after diff against the current events.
+const SuggestionChangeDiff = ({ change, events }) => {
+  const existing = events.find(event => event.id === change.eventId);
+  const [changed, ...extraParts] = getChangedEvents(change, events);
+
+  if (change.type === 'add' && changed) {
+    return (
+      <div>
+        <strong>Add:</strong> <After>"{changed.title}" on {describeTiming(changed)}</After>
+      </div>
+    );
+  }
+
+  // Moves, edits, splits and deletes need the event they refer to; validation reports the problem otherwise
+  if (!existing) {
+    return (
+      <div>
+        <strong className="capitalize">{change.type}:</strong> "{change.eventTitle || change.eventId}" <span className="text-red-700">(event not found)</span>
+      </div>
+    );
+  }
+
+  if (change.type === 'delete') {
+    return (
+      <div>
+        <strong>Delete:</strong> <Before>"{existing.title}" on {describeTiming(existing)}</Before>
+      </div>
+    );
+  }
+
+  if (change.type === 'split') {
+    return (
+      <div>
+        <strong>Split:</strong> "{existing.title}" <Before>{describeTiming(existing)}</Before> into:
+        {[changed, ...extraParts].filter(Boolean).map((part, index) => (
+          <div key={index} className="ml-4">
+            <After>{part.title !== existing.title ? `"${part.title}" ` : ''}{describeTiming(part)}</After>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  // move / edit: only list the fields that actually change
+  const timingChanged = changed.date !== existing.date || changed.time !== existing.time
+    || getEventDuration(changed) !== getEventDuration(existing);
+  return (
+    <div>
+      <strong>{change.type === 'move' ? 'Move' : 'Edit'}:</strong> "{existing.title}"
+      {timingChanged && <DiffRow label="When" before={describeTiming(existing)} after={describeTiming(changed)} />}
+      {changed.title !== existing.title && <DiffRow label="Title" before={existing.title} after={changed.title} />}
+      {(changed.description || '') !== (existing.description || '') && (
+        <DiffRow label="Description" before={existing.description} after={changed.description} />
+      )}
+    </div>
+  );
+};
+
+export default SuggestionChangeDiff;
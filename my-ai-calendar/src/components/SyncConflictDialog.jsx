@@ -0,0 +1,58 @@
+import React from 'react';
+import { formatTimeRange } from '../utils/eventTime';
+import { describeRecurrence } from '../utils/recurrence';
+
+// One side of the comparison; `event` is null when that side deleted the event
+const VersionCard = ({ heading, event, highlightClassName }) => (
+  <div className={`flex-1 p-3 rounded-lg border-l-4 text-sm ${highlightClassName}`}>
+    <p className="font-bold mb-1">{heading}</p>
+    {event ? (
+      <ul className="space-y-0.5">
+        <li><strong>Title:</strong> {event.title}</li>
+        <li><strong>When:</strong> {event.date}, {formatTimeRange(event)}</li>
+        <li><strong>Description:</strong> {event.description || 'N/A'}</li>
+        <li><strong>Location Type:</strong> {event.locationType || 'N/A'}</li>
+        {event.recurrence && <li><strong>Repeats:</strong> {describeRecurrence(event.recurrence)}</li>}
+      </ul>
+    ) : (
+      <p className="italic">Deleted</p>
+    )}
+  </div>
+);
+
+// Shown when a change made offline touches an event that was also changed elsewhere before it synced.
+// `conflict` is { eventId, local, remote } from the queued event store.
+const SyncConflictDialog = ({ conflict, onKeepLocal, onKeepRemote, isResolving }) => (
+  <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center p-4 z-50">
+    <div className="bg-white p-8 rounded-3xl shadow-2xl w-full max-w-2xl" role="alertdialog" aria-labelledby="syncConflictTitle">
+      <h2 id="syncConflictTitle" className="text-2xl font-bold text-gray-900 mb-2 text-center">Sync Conflict</h2>
+      <p className="text-gray-600 text-sm mb-4 text-center">
+        You changed this event while offline, but it was also changed somewhere else. Choose which version to keep.
+      </p>
+      <div className="flex flex-col sm:flex-row gap-4">
+        <VersionCard heading="Your offline version" event={conflict.local} highlightClassName="bg-indigo-50 border-indigo-500 text-indigo-900" />
+        <VersionCard heading="Version saved elsewhere" event={conflict.remote} highlightClassName="bg-orange-50 border-orange-500 text-orange-900" />
+      </div>
+      <div className="flex flex-wrap items-center justify-end gap-3 mt-6">
+        <button
+          type="button"
+          onClick={onKeepRemote}
+          className="bg-orange-500 hover:bg-orange-600 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+          disabled={isResolving}
+        >
+          Keep Their Version
+        </button>
+        <button
+          type="button"
+          onClick={onKeepLocal}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-xl focus:outline-none focus:shadow-outline transition duration-200 ease-in-out"
+          disabled={isResolving}
+        >
+          Keep My Version
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default SyncConflictDialog;
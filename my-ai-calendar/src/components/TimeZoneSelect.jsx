@@ -0,0 +1,21 @@
+import React, { useMemo } from 'react';
+import { getTimeZoneCity, getTimeZoneOptions } from '../utils/timeZones';
+
+// Picker for an IANA time zone, common zones first. With `emptyLabel`, '' is offered too (e.g. "Same as start").
+const TimeZoneSelect = ({ id, value, onChange, emptyLabel, className }) => {
+  const zones = useMemo(() => {
+    const options = getTimeZoneOptions();
+    return value && !options.includes(value) ? [value, ...options] : options;
+  }, [value]);
+
+  return (
+    <select id={id} className={className} value={value || ''} onChange={(e) => onChange(e.target.value)}>
+      {emptyLabel !== undefined && <option value="">{emptyLabel}</option>}
+      {zones.map(zone => (
+        <option key={zone} value={zone}>{getTimeZoneCity(zone)} ({zone})</option>
+      ))}
+    </select>
+  );
+};
+
+export default TimeZoneSelect;
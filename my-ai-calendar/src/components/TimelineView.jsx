@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatTimeRange, minutesToTime, toDateKey } from '../utils/eventTime';
+import { getDaySegments, layoutDaySegments } from '../utils/timelineLayout';
+import { getLocalTimeZone, getTimeZoneAbbreviation, getZonedNow, getZoneParts, zonedTimeToInstant } from '../utils/timeZones';
+import { MOVE_KEY_SHORTCUTS, isEventDrag, readEventDrag, snapMinutes, startEventDrag } from '../utils/eventDrag';
+
+const HOUR_HEIGHT = 48; // Pixels per hour on the time axis
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const INITIAL_SCROLL_HOUR = 7; // Open scrolled to the start of a typical day
+
+// Helper function to style an event block, including suggestion previews (see getSuggestionPreviewEvents)
+const getEventClassName = (event) => {
+  if (event.preview === 'added' || event.preview === 'moved') return 'bg-purple-200 hover:bg-purple-300 text-purple-900 border-2 border-dashed border-purple-500 opacity-90 z-10';
+  if (event.preview === 'movedFrom') return 'bg-gray-300 text-gray-700 border border-white opacity-70';
+  if (event.preview === 'deleted') return 'bg-red-200 text-red-800 line-through border border-white opacity-70';
+  return 'bg-blue-500 hover:bg-blue-600 text-white border border-white';
+};
+
+// Helper function to describe where a previewed move goes, e.g. "→ Thu 10:00"
+const describePreviewTarget = (event) => {
+  const target = event.previewTo;
+  const sameDay = target.date === event.date;
+  const day = new Date(`${target.date}T00:00`).toLocaleDateString('en-US', { weekday: 'short' });
+  return `→ ${sameDay ? '' : `${day} `}${target.time}`;
+};
+
+// Helper function to label each hour of `dayKey` in the display zone with the time in another zone
+const getSecondaryHourLabels = (dayKey, displayTimeZone, secondaryTimeZone) => HOURS.map(hour => (
+  getZoneParts(zonedTimeToInstant(dayKey, minutesToTime(hour * 60), displayTimeZone), secondaryTimeZone).time
+));
+
+// Hourly timeline for one or more days (used by the week and day views).
+// `events` should already be expanded into occurrences covering `days`, on the display zone's clock.
+// `calendarColors` (calendarId -> color) colors events by calendar when several are overlaid.
+// `categoryColors` (category id -> color) marks each event with a dot in its category's color.
+// With a `secondaryTimeZone`, a second column of hour labels shows that zone (as of the first day shown).
+// Events that `canMoveEvent` allows can be dragged to another time or day (`onMoveEvent(event, dateKey, time)`)
+// or moved with the keys `onEventKeyDown` handles.
+const TimelineView = ({ days, events, selectedDate, onSelectDate, onEventClick, onMoveEvent, onEventKeyDown, canMoveEvent = () => true, calendarColors = {}, categoryColors = {}, displayTimeZone = getLocalTimeZone(), secondaryTimeZone }) => {
+  const [now, setNow] = useState(new Date());
+  const [dropSlot, setDropSlot] = useState(null); // { dayKey, minutes } an event is being dragged over
+  const scrollContainerRef = useRef(null);
+
+  // Keep the current-time indicator moving
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  useEffect(() => {
+    if (scrollContainerRef.current) {
+      scrollContainerRef.current.scrollTop = INITIAL_SCROLL_HOUR * HOUR_HEIGHT;
+    }
+  }, []);
+
+  const selectedKey = toDateKey(selectedDate);
+  const zonedNow = getZonedNow(displayTimeZone, now);
+  const todayKey = toDateKey(zonedNow);
+  const nowMinutes = zonedNow.getHours() * 60 + zonedNow.getMinutes();
+  const showSecondary = Boolean(secondaryTimeZone) && secondaryTimeZone !== displayTimeZone;
+  const secondaryLabels = showSecondary ? getSecondaryHourLabels(toDateKey(days[0]), displayTimeZone, secondaryTimeZone) : [];
+  const gutterClassName = showSecondary ? 'w-24' : 'w-12';
+
+  // Helper function to get the snapped time under the pointer in a day column
+  const getPointerMinutes = (e) => snapMinutes(((e.clientY - e.currentTarget.getBoundingClientRect().top) / HOUR_HEIGHT) * 60);
+
+  const handleColumnDragOver = (e, dayKey) => {
+    if (!onMoveEvent || !isEventDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const minutes = getPointerMinutes(e);
+    if (dropSlot?.dayKey !== dayKey || dropSlot.minutes !== minutes) setDropSlot({ dayKey, minutes });
+  };
+
+  const handleColumnDrop = (e, dayKey) => {
+    e.preventDefault();
+    setDropSlot(null);
+    const event = readEventDrag(e);
+    if (event) onMoveEvent(event, dayKey, minutesToTime(getPointerMinutes(e)));
+  };
+
+  return (
+    <div className="w-full">
+      {/* Day headers */}
+      <div className="flex border-b border-gray-200">
+        <div className={`${gutterClassName} shrink-0 flex items-end text-[10px] text-gray-500`}>
+          {showSecondary && (
+            <>
+              <span className="flex-1 text-center">{getTimeZoneAbbreviation(secondaryTimeZone, now)}</span>
+              <span className="flex-1 text-center">{getTimeZoneAbbreviation(displayTimeZone, now)}</span>
+            </>
+          )}
+        </div>
+        {days.map(day => {
+          const dayKey = toDateKey(day);
+          return (
+            <button
+              key={dayKey}
+              type="button"
+              onClick={() => onSelectDate(day)}
+              aria-pressed={dayKey === selectedKey}
+              aria-current={dayKey === todayKey ? 'date' : undefined}
+              aria-label={day.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}
+              className={`flex-1 py-2 text-center text-sm rounded-t-lg transition duration-150 ease-in-out
+                ${dayKey === selectedKey ? 'bg-indigo-500 text-white font-bold' : dayKey === todayKey ? 'bg-indigo-200 text-indigo-900 font-bold' : 'text-gray-600 hover:bg-gray-200'}`}
+            >
+              <span className="block">{day.toLocaleDateString('en-US', { weekday: 'short' })}</span>
+              <span className="block text-lg">{day.getDate()}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Time axis and day columns */}
+      <div ref={scrollContainerRef} className="relative overflow-y-auto max-h-[32rem]">
+        <div className="flex" style={{ height: HOUR_HEIGHT * 24 }}>
+          <div className={`${gutterClassName} shrink-0 relative`}>
+            {HOURS.map(hour => (
+              <div key={hour} className="absolute right-1 text-xs text-gray-400 -translate-y-1/2" style={{ top: hour * HOUR_HEIGHT }}>
+                {hour === 0 ? '' : `${String(hour).padStart(2, '0')}:00`}
+              </div>
+            ))}
+            {showSecondary && HOURS.map(hour => (
+              <div key={`secondary-${hour}`} className="absolute left-1 text-xs text-gray-300 -translate-y-1/2" style={{ top: hour * HOUR_HEIGHT }}>
+                {hour === 0 ? '' : secondaryLabels[hour]}
+              </div>
+            ))}
+          </div>
+
+          {days.map(day => {
+            const dayKey = toDateKey(day);
+            const segments = layoutDaySegments(getDaySegments(events, day));
+            return (
+              <div
+                key={dayKey}
+                className={`flex-1 relative border-l border-gray-200 ${dayKey === selectedKey ? 'bg-indigo-50' : ''}`}
+                onClick={() => onSelectDate(day)}
+                onDragOver={(e) => handleColumnDragOver(e, dayKey)}
+                onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDropSlot(null)}
+                onDrop={(e) => handleColumnDrop(e, dayKey)}
+              >
+                {HOURS.map(hour => (
+                  <div key={hour} className="absolute left-0 right-0 border-t border-gray-100" style={{ top: hour * HOUR_HEIGHT }} />
+                ))}
+
+                {segments.map(({ event, startMinutes, endMinutes, column, columnCount }) => {
+                  const isMovable = Boolean(onMoveEvent) && !event.preview && canMoveEvent(event);
+                  return (
+                    <button
+                      key={`${event.id}-${event.date}`}
+                      type="button"
+                      draggable={isMovable}
+                      onDragStart={isMovable ? (e) => startEventDrag(e, event) : undefined}
+                      onKeyDown={isMovable && onEventKeyDown ? (e) => onEventKeyDown(e, event) : undefined}
+                      aria-keyshortcuts={isMovable && onEventKeyDown ? MOVE_KEY_SHORTCUTS : undefined}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onSelectDate(day);
+                        if (onEventClick) onEventClick(event);
+                      }}
+                      className={`absolute rounded-md text-xs text-left px-1 py-0.5 overflow-hidden shadow-sm transition duration-150 ${getEventClassName(event)}`}
+                      style={{
+                        top: (startMinutes / 60) * HOUR_HEIGHT,
+                        // Keep very short events tall enough to read
+                        height: Math.max(((endMinutes - startMinutes) / 60) * HOUR_HEIGHT, 18),
+                        left: `${(column / columnCount) * 100}%`,
+                        width: `${100 / columnCount}%`,
+                        ...(!event.preview && calendarColors[event.calendarId] ? { backgroundColor: calendarColors[event.calendarId] } : {})
+                      }}
+                      title={`${event.title} (${formatTimeRange(event)})${event.pendingSync ? ' – pending sync' : ''}`}
+                    >
+                      <span className="font-semibold block truncate">
+                        {categoryColors[event.category] && (
+                          <span className="inline-block w-2 h-2 mr-1 rounded-full border border-white align-middle" style={{ backgroundColor: categoryColors[event.category] }} />
+                        )}
+                        {event.pendingSync && '⏳ '}{event.title}
+                      </span>
+                      <span className="block truncate opacity-90">
+                        {event.preview === 'movedFrom' ? describePreviewTarget(event) : formatTimeRange(event)}
+                      </span>
+                    </button>
+                  );
+                })}
+
+                {dropSlot?.dayKey === dayKey && (
+                  <div className="absolute left-0 right-0 z-20 pointer-events-none" style={{ top: (dropSlot.minutes / 60) * HOUR_HEIGHT }}>
+                    <div className="border-t-2 border-dashed border-green-500">
+                      <span className="absolute right-1 -top-4 text-[10px] font-semibold text-green-700 bg-white/80 px-1 rounded">{minutesToTime(dropSlot.minutes)}</span>
+                    </div>
+                  </div>
+                )}
+
+                {dayKey === todayKey && (
+                  <div className="absolute left-0 right-0 z-10 pointer-events-none" style={{ top: (nowMinutes / 60) * HOUR_HEIGHT }}>
+                    <div className="relative border-t-2 border-red-500">
+                      <span className="absolute -left-1 -top-1.5 w-2.5 h-2.5 rounded-full bg-red-500" />
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimelineView;
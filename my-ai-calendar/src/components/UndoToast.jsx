@@ -0,0 +1,39 @@
+import React, { useEffect, useRef } from 'react';
+
+const AUTO_DISMISS_MS = 10000;
+
+// Toast confirming a change, with an Undo button. Dismisses itself after a while; a new `message` restarts the timer.
+const UndoToast = ({ message, onUndo, onDismiss, disabled }) => {
+  // The latest onDismiss, so re-renders of the parent don't restart the timer
+  const onDismissRef = useRef(onDismiss);
+  useEffect(() => {
+    onDismissRef.current = onDismiss;
+  });
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => onDismissRef.current(), AUTO_DISMISS_MS);
+    return () => clearTimeout(timeoutId);
+  }, [message]);
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 flex items-center gap-3 bg-gray-800 text-white text-sm px-4 py-3 rounded-xl shadow-lg max-w-[90vw]"
+    >
+      <span>{message}</span>
+      <button
+        onClick={onUndo}
+        className="font-bold text-indigo-300 hover:text-indigo-200 underline disabled:opacity-50"
+        disabled={disabled}
+      >
+        Undo
+      </button>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-white" aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
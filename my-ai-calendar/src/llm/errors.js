@@ -0,0 +1,22 @@
+// Errors shared by the LLM providers.
+
+// The provider answered, but not with usable content. Retrying the same prompt rarely helps,
+// so generateJson surfaces these immediately instead of retrying.
+export class LlmResponseError extends Error {
+  constructor(message, rawResponse) {
+    super(message);
+    this.name = 'LlmResponseError';
+    this.rawResponse = rawResponse;
+  }
+}
+
+// Helper function to pull an error message out of a failed HTTP response
+export const readErrorMessage = async (response) => {
+  try {
+    const errorData = await response.json();
+    console.error('LLM API Error Response:', errorData);
+    return errorData.error?.message || errorData.error || 'Unknown error';
+  } catch {
+    return response.statusText || 'Unknown error';
+  }
+};
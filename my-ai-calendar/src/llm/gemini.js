@@ -0,0 +1,37 @@
+// Google Gemini (generativelanguage.googleapis.com) provider.
+import { LlmResponseError, readErrorMessage } from './errors';
+
+const DEFAULT_MODEL = 'gemini-2.5-flash-preview-05-20';
+const DEFAULT_ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta';
+
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL, endpoint = DEFAULT_ENDPOINT }) => ({
+  name: 'gemini',
+  model,
+  isConfigured: () => !!apiKey,
+  missingConfigMessage: 'Gemini API Key is missing from .env file. Please add VITE_GEMINI_API_KEY (or VITE_LLM_API_KEY).',
+
+  async generate({ prompt, responseSchema }) {
+    const response = await fetch(`${endpoint}/models/${model}:generateContent?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          responseMimeType: 'application/json',
+          responseSchema
+        }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Gemini request failed with status: ${response.status} - ${await readErrorMessage(response)}`);
+    }
+
+    const result = await response.json();
+    const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      throw new LlmResponseError('Gemini response was empty or malformed.', result);
+    }
+    return text;
+  }
+});
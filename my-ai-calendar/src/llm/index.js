@@ -0,0 +1,85 @@
+// LLM provider layer. App builds a prompt and a response schema; which service answers it
+// (and with which model/endpoint) comes from configuration:
+//   VITE_LLM_PROVIDER  'gemini' (default) | 'openai' | 'ollama' | 'mock'
+//   VITE_LLM_MODEL     model name, defaults per provider
+//   VITE_LLM_ENDPOINT  base URL, defaults per provider
+//   VITE_LLM_API_KEY   API key (Gemini also accepts the older VITE_GEMINI_API_KEY)
+import { LlmResponseError } from './errors';
+import { createGeminiProvider } from './gemini';
+import { createOpenAiCompatibleProvider } from './openaiCompatible';
+import { createOllamaProvider } from './ollama';
+import { createMockProvider } from './mock';
+
+export { LlmResponseError } from './errors';
+
+const MAX_RETRIES = 3;
+const BASE_DELAY = 1000;
+
+// Reads the provider settings from the Vite environment
+export const getLlmConfig = () => {
+  const provider = (import.meta.env.VITE_LLM_PROVIDER || 'gemini').toLowerCase();
+  return {
+    provider,
+    model: import.meta.env.VITE_LLM_MODEL || undefined,
+    endpoint: import.meta.env.VITE_LLM_ENDPOINT || undefined,
+    apiKey: import.meta.env.VITE_LLM_API_KEY || (provider === 'gemini' ? import.meta.env.VITE_GEMINI_API_KEY : undefined)
+  };
+};
+
+/**
+ * Creates the provider named in `config` (defaults to the Vite environment).
+ * Every provider exposes { name, model, isConfigured(), missingConfigMessage, generate({ task, prompt, responseSchema, context }) },
+ * where generate resolves to the raw JSON text of the answer.
+ */
+export const createLlmProvider = (config = getLlmConfig()) => {
+  switch (config.provider) {
+    case 'gemini':
+      return createGeminiProvider(config);
+    case 'openai':
+      return createOpenAiCompatibleProvider(config);
+    case 'ollama':
+      return createOllamaProvider(config);
+    case 'mock':
+      return createMockProvider(config);
+    default:
+      return {
+        name: config.provider,
+        isConfigured: () => false,
+        missingConfigMessage: `Unknown LLM provider "${config.provider}". Set VITE_LLM_PROVIDER to gemini, openai, ollama or mock.`
+      };
+  }
+};
+
+/**
+ * Sends a request through `provider` and parses the JSON answer.
+ * Network and HTTP failures are retried with exponential backoff; an answer that arrives but isn't
+ * usable JSON throws LlmResponseError straight away.
+ */
+export const generateJson = async (provider, request, { maxRetries = MAX_RETRIES, baseDelay = BASE_DELAY } = {}) => {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const text = await provider.generate(request);
+      try {
+        return JSON.parse(text);
+      } catch {
+        throw new LlmResponseError('Failed to parse LLM response JSON. The AI might have returned an unexpected format.', text);
+      }
+    } catch (error) {
+      if (error instanceof LlmResponseError) {
+        console.error(`LLM (${provider.name}) returned an unusable response:`, error.rawResponse);
+        throw error;
+      }
+      lastError = error;
+      console.error(`Fetch error during LLM (${provider.name}) call:`, error);
+      if (attempt < maxRetries) {
+        const delay = baseDelay * Math.pow(2, attempt - 1);
+        console.warn(`Retrying LLM call in ${delay / 1000} seconds... (Attempt ${attempt}/${maxRetries})`);
+        await new Promise(res => setTimeout(res, delay));
+      }
+    }
+  }
+
+  throw new Error(`Failed to get a valid response from LLM after ${maxRetries} attempts: ${lastError.message}`);
+};
@@ -0,0 +1,62 @@
+// Deterministic offline provider for developing and testing the parse and optimize flows.
+// It ignores the prompt and builds its answer from the structured `context` App passes alongside it,
+// so the same input (and the same `today`) always produces the same response.
+import { addDaysToKey, getEventDuration } from '../utils/eventTime';
+import { parseEventsLocally } from '../utils/localEventParser';
+
+// Parses against midnight of `today` so relative phrases ("in 2 hours") don't depend on the clock
+const mockParseEvent = ({ input = '', today }) => ({
+  events: parseEventsLocally(input, new Date(`${today}T00:00`)).map(result => result.event)
+});
+
+const mockOptimizeSchedule = ({ request = '', events = [], today }) => {
+  const changes = [];
+  // Push the next upcoming event back an hour, if there is one
+  const upcoming = events.filter(event => event.date >= today)[0];
+  if (upcoming) {
+    const [hours, minutes] = upcoming.time.split(':').map(Number);
+    changes.push({
+      type: 'move',
+      eventTitle: upcoming.title,
+      eventId: upcoming.id,
+      oldDate: upcoming.date,
+      oldTime: upcoming.time,
+      newDate: upcoming.date,
+      newTime: `${String(Math.min(hours + 1, 23)).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+    });
+  }
+  changes.push({
+    type: 'add',
+    eventDetails: {
+      title: 'Focus Time',
+      date: addDaysToKey(today, 1),
+      time: '14:00',
+      duration: upcoming ? getEventDuration(upcoming) : 60,
+      description: `Mock suggestion for: ${request}`,
+      locationType: 'office'
+    }
+  });
+  return {
+    suggestions: [{ description: 'Mock optimization suggestion (offline mock provider).', changes }]
+  };
+};
+
+const MOCK_RESPONSES = {
+  parseEvent: mockParseEvent,
+  optimizeSchedule: mockOptimizeSchedule
+};
+
+export const createMockProvider = () => ({
+  name: 'mock',
+  model: 'mock',
+  isConfigured: () => true,
+  missingConfigMessage: '',
+
+  async generate({ task, context = {} }) {
+    const buildResponse = MOCK_RESPONSES[task];
+    if (!buildResponse) {
+      throw new Error(`Mock LLM provider has no response for task "${task}".`);
+    }
+    return JSON.stringify(buildResponse(context));
+  }
+});
@@ -0,0 +1,37 @@
+// Provider for local Ollama-style servers (POST /api/chat with a JSON schema in `format`).
+import { LlmResponseError, readErrorMessage } from './errors';
+import { toJsonSchema } from './schema';
+
+const DEFAULT_MODEL = 'llama3.1';
+const DEFAULT_ENDPOINT = 'http://localhost:11434';
+
+export const createOllamaProvider = ({ model = DEFAULT_MODEL, endpoint = DEFAULT_ENDPOINT }) => ({
+  name: 'ollama',
+  model,
+  isConfigured: () => true,
+  missingConfigMessage: '',
+
+  async generate({ prompt, responseSchema }) {
+    const response = await fetch(`${endpoint}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        format: toJsonSchema(responseSchema),
+        stream: false
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama request failed with status: ${response.status} - ${await readErrorMessage(response)}`);
+    }
+
+    const result = await response.json();
+    const text = result.message?.content;
+    if (!text) {
+      throw new LlmResponseError('Ollama response was empty or malformed.', result);
+    }
+    return text;
+  }
+});
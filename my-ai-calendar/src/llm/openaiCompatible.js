@@ -0,0 +1,43 @@
+// Provider for OpenAI's Chat Completions API and compatible servers (Azure-style proxies, vLLM, LM Studio, ...).
+import { LlmResponseError, readErrorMessage } from './errors';
+import { toJsonSchema } from './schema';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_ENDPOINT = 'https://api.openai.com/v1';
+
+export const createOpenAiCompatibleProvider = ({ apiKey, model = DEFAULT_MODEL, endpoint = DEFAULT_ENDPOINT }) => ({
+  name: 'openai',
+  model,
+  // Local OpenAI-compatible servers often run without a key, so only the hosted default requires one
+  isConfigured: () => !!apiKey || endpoint !== DEFAULT_ENDPOINT,
+  missingConfigMessage: 'OpenAI API key is missing. Please add VITE_LLM_API_KEY, or set VITE_LLM_ENDPOINT to a local OpenAI-compatible server.',
+
+  async generate({ prompt, responseSchema }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetch(`${endpoint}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'response', schema: toJsonSchema(responseSchema) }
+        }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenAI-compatible request failed with status: ${response.status} - ${await readErrorMessage(response)}`);
+    }
+
+    const result = await response.json();
+    const text = result.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new LlmResponseError('OpenAI-compatible response was empty or malformed.', result);
+    }
+    return text;
+  }
+});
@@ -0,0 +1,20 @@
+// Response schemas in App are written in Gemini's dialect (upper-case types like "OBJECT").
+// Other providers expect standard JSON Schema, so this converts between the two.
+
+// Helper function to convert a Gemini-style schema into standard JSON Schema (lower-case types)
+export const toJsonSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const converted = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === 'type' && typeof value === 'string') {
+      converted.type = value.toLowerCase();
+    } else if (key === 'properties') {
+      converted.properties = Object.fromEntries(Object.entries(value).map(([name, child]) => [name, toJsonSchema(child)]));
+    } else {
+      converted[key] = toJsonSchema(value);
+    }
+  });
+  return converted;
+};
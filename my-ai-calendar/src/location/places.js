@@ -0,0 +1,82 @@
+// Saved places: named spots the user goes to, each tagged with the location type events use
+// ("office", "supermarket", ...). Stored on this device as
+//   { id, name, locationType, latitude, longitude, radius }   // radius in meters
+// The current position (see ./positionSource) is matched against them to drive proactive suggestions.
+
+const PLACES_STORAGE_KEY = 'myAiCalendar.places';
+
+export const DEFAULT_PLACE_RADIUS = 150;
+const MAX_PLACE_RADIUS = 5000;
+const EARTH_RADIUS_METERS = 6371000;
+
+// Helper function to convert degrees to radians
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance in meters between two { latitude, longitude } points.
+ */
+export const distanceInMeters = (from, to) => {
+  const latitudeDelta = toRadians(to.latitude - from.latitude);
+  const longitudeDelta = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(latitudeDelta / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(longitudeDelta / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Returns a clean copy of a place, or null if it's missing a name, location type or valid coordinates.
+ */
+export const normalizePlace = (place) => {
+  if (!place) return null;
+  const name = String(place.name || '').trim();
+  const locationType = String(place.locationType || '').trim().toLowerCase();
+  const latitude = Number(place.latitude);
+  const longitude = Number(place.longitude);
+  const radius = Number(place.radius) || DEFAULT_PLACE_RADIUS;
+  if (!name || !locationType) return null;
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) return null;
+  return {
+    id: place.id || `place-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    locationType,
+    latitude,
+    longitude,
+    radius: Math.min(Math.max(radius, 10), MAX_PLACE_RADIUS)
+  };
+};
+
+/**
+ * The saved place `position` falls inside (the nearest one if several overlap), or null.
+ */
+export const findPlaceAt = (places, position) => {
+  if (!position) return null;
+  let nearest = null;
+  let nearestDistance = Infinity;
+  places.forEach(place => {
+    const distance = distanceInMeters(place, position);
+    if (distance <= place.radius && distance < nearestDistance) {
+      nearest = place;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+};
+
+/**
+ * Reads the places saved on this device.
+ */
+export const loadPlaces = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PLACES_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.map(normalizePlace).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Saves the places on this device.
+ */
+export const savePlaces = (places) => {
+  localStorage.setItem(PLACES_STORAGE_KEY, JSON.stringify(places));
+};
@@ -0,0 +1,82 @@
+// Where the current position comes from. The app only talks to this small interface:
+//   { isAvailable, watch(onPosition, onError) -> stop, getCurrentPosition() -> Promise<position> }
+// with positions as { latitude, longitude, accuracy } (accuracy in meters), so the browser's
+// Geolocation API can be swapped for a mock in tests or during development.
+
+const POSITION_ERROR_MESSAGES = {
+  1: 'Location access was denied. Allow it in your browser settings to detect saved places.',
+  2: 'Your location is unavailable right now.',
+  3: 'Finding your location took too long.'
+};
+
+// Helper function to keep only the fields the app uses
+const toPosition = (coords) => ({ latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy ?? 0 });
+
+/**
+ * Turns a position error into a message for the user.
+ */
+export const getPositionErrorMessage = (error) => POSITION_ERROR_MESSAGES[error?.code] || error?.message || 'Could not determine your location.';
+
+/**
+ * A position source backed by the Geolocation API. `geolocation` defaults to the browser's.
+ */
+export const createGeolocationPositionSource = (geolocation = navigator.geolocation) => {
+  const options = { enableHighAccuracy: false, maximumAge: 60000, timeout: 20000 };
+
+  return {
+    isAvailable: Boolean(geolocation),
+
+    watch: (onPosition, onError) => {
+      const watchId = geolocation.watchPosition(result => onPosition(toPosition(result.coords)), onError, options);
+      return () => geolocation.clearWatch(watchId);
+    },
+
+    getCurrentPosition: () => new Promise((resolve, reject) => {
+      geolocation.getCurrentPosition(result => resolve(toPosition(result.coords)), reject, options);
+    })
+  };
+};
+
+/**
+ * A position source that reports whatever it's told, for tests and development.
+ * Call setPosition({ latitude, longitude, accuracy }) or setError({ code, message }) to notify watchers.
+ */
+export const createMockPositionSource = (initialPosition = null) => {
+  let position = initialPosition;
+  const watchers = new Set();
+
+  return {
+    isAvailable: true,
+
+    watch: (onPosition, onError) => {
+      const watcher = { onPosition, onError };
+      watchers.add(watcher);
+      if (position) onPosition(position);
+      return () => watchers.delete(watcher);
+    },
+
+    getCurrentPosition: () => (position ? Promise.resolve(position) : Promise.reject({ code: 2, message: 'No mock position set.' })),
+
+    setPosition: (nextPosition) => {
+      position = nextPosition;
+      watchers.forEach(watcher => watcher.onPosition(nextPosition));
+    },
+
+    setError: (error) => {
+      watchers.forEach(watcher => watcher.onError?.(error));
+    }
+  };
+};
+
+/**
+ * The position source the app uses: a fixed mock position when VITE_MOCK_POSITION ("lat,lng") is set,
+ * otherwise the browser's Geolocation API.
+ */
+export const getDefaultPositionSource = () => {
+  const mockPosition = import.meta.env.VITE_MOCK_POSITION;
+  if (mockPosition) {
+    const [latitude, longitude] = mockPosition.split(',').map(Number);
+    return createMockPositionSource({ latitude, longitude, accuracy: 0 });
+  }
+  return createGeolocationPositionSource();
+};
@@ -0,0 +1,111 @@
+// Delivers event reminders as system notifications through the service worker in public/sw.js.
+// There is no push server: reminders are timed by the app itself, so they only fire while the app is open
+// in some tab (a background tab is enough). The service worker brings the app back when one is clicked.
+import { formatTimeRange, parseDateKey } from '../utils/eventTime';
+import { getUpcomingReminders } from '../utils/reminders';
+
+// localStorage key for reminders already shown, so reloads and other tabs don't repeat them
+const DELIVERED_STORAGE_KEY = 'myAiCalendar.deliveredReminders';
+// Timers are set for this far ahead and re-planned halfway through
+const LOOKAHEAD_MS = 24 * 60 * 60 * 1000;
+// Reminders missed by up to this much (e.g. while the laptop was asleep) are still shown, late
+const GRACE_MS = 15 * 60 * 1000;
+
+export const REMINDER_CLICKED_MESSAGE = 'reminder-clicked';
+
+/**
+ * Whether this browser can show reminder notifications at all.
+ */
+export const isNotificationSupported = () => 'Notification' in window && 'serviceWorker' in navigator;
+
+/**
+ * The notification permission: 'default' (not asked yet), 'granted', 'denied', or 'unsupported'.
+ */
+export const getNotificationPermission = () => (isNotificationSupported() ? Notification.permission : 'unsupported');
+
+/**
+ * Asks the user for notification permission. Resolves to the resulting permission.
+ */
+export const requestNotificationPermission = () => Notification.requestPermission();
+
+/**
+ * Registers the service worker that shows reminders and handles clicks on them.
+ */
+export const registerReminderServiceWorker = () => navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+
+/**
+ * Calls onOpenDate(dateKey) when a reminder is clicked, whether the app was already open or was opened by the click.
+ * Returns an unsubscribe function.
+ */
+export const listenForReminderClicks = (onOpenDate) => {
+  // Opened by a click: the service worker passes the date in the URL
+  const url = new URL(window.location.href);
+  const openedDate = url.searchParams.get('date');
+  if (openedDate) {
+    url.searchParams.delete('date');
+    window.history.replaceState(null, '', url.href);
+    onOpenDate(openedDate);
+  }
+
+  const handleMessage = (event) => {
+    if (event.data?.type === REMINDER_CLICKED_MESSAGE && event.data.date) onOpenDate(event.data.date);
+  };
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+};
+
+// Helper function to read the delivered reminders, { [key]: deliveredAtMs }
+const loadDelivered = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DELIVERED_STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+// Helper function to record a delivered reminder, forgetting ones too old to be scheduled again
+const markDelivered = (key, now) => {
+  const delivered = loadDelivered();
+  Object.keys(delivered).forEach(existingKey => {
+    if (delivered[existingKey] < now - LOOKAHEAD_MS - GRACE_MS) delete delivered[existingKey];
+  });
+  delivered[key] = now;
+  localStorage.setItem(DELIVERED_STORAGE_KEY, JSON.stringify(delivered));
+};
+
+// Helper function to show one reminder, unless another tab already did
+const showReminder = (registration, { key, event }) => {
+  if (loadDelivered()[key]) return;
+  markDelivered(key, Date.now());
+  const day = parseDateKey(event.date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  registration.showNotification(event.title, {
+    body: `${day}, ${formatTimeRange(event)}`,
+    tag: key,
+    icon: `${import.meta.env.BASE_URL}vite.svg`,
+    data: { date: event.date, eventId: event.id }
+  }).catch(error => console.error('Error showing reminder:', error));
+};
+
+/**
+ * Schedules notifications for the reminders of `events` (occurrences of recurring events included).
+ * Returns a function that cancels everything scheduled; call it and schedule again whenever the events change.
+ */
+export const scheduleReminderNotifications = (registration, events) => {
+  let timers = [];
+
+  const plan = () => {
+    const now = Date.now();
+    const delivered = loadDelivered();
+    const upcoming = getUpcomingReminders(events, new Date(now - GRACE_MS), new Date(now + LOOKAHEAD_MS));
+    timers = upcoming
+      .filter(reminder => !delivered[reminder.key])
+      .map(reminder => setTimeout(() => showReminder(registration, reminder), Math.max(0, reminder.at.getTime() - now)));
+    timers.push(setTimeout(() => {
+      timers.forEach(clearTimeout);
+      plan();
+    }, LOOKAHEAD_MS / 2));
+  };
+  plan();
+
+  return () => timers.forEach(clearTimeout);
+};
@@ -0,0 +1,99 @@
+// Several calendars' event stores seen as one store, so App can overlay them.
+// Events are tagged with the `calendarId` they came from. Commits are routed to the calendar holding each
+// event, or to `operation.calendarId`, or to the default calendar for brand-new events. Calendars the user
+// can only view are read-only: a commit touching one is rejected before anything is written.
+// Operations for one calendar are applied together; a commit spanning calendars is applied calendar by calendar.
+import { canEditCalendar } from './calendars';
+
+// Helper function to combine the sync state of each calendar's offline queue
+const combineSyncStates = (states) => ({
+  isOnline: states.every(state => state.isOnline),
+  isSyncing: states.some(state => state.isSyncing),
+  pendingCount: states.reduce((total, state) => total + state.pendingCount, 0),
+  conflict: states.find(state => state.conflict)?.conflict || null
+});
+
+/**
+ * `entries` is [{ calendar: { id, name, role }, store }]; `defaultCalendarId` receives new events
+ * until setDefaultCalendar(calendarId) picks another.
+ */
+export const createCalendarSetStore = (entries, { defaultCalendarId }) => {
+  const eventsByCalendar = new Map(entries.map(({ calendar }) => [calendar.id, []]));
+  // Remembers deleted events too, so undoing a delete recreates the event in its own calendar
+  const calendarIdByEventId = new Map();
+  const syncStates = new Map();
+  const getEntry = (calendarId) => entries.find(({ calendar }) => calendar.id === calendarId);
+  let defaultEntry = getEntry(defaultCalendarId) || entries[0];
+
+  const tagEvents = (calendarId, events) => events.map(event => ({ ...event, calendarId }));
+  const getMergedEvents = () => entries.flatMap(({ calendar }) => eventsByCalendar.get(calendar.id));
+
+  return {
+    name: defaultEntry.store.name,
+    label: defaultEntry.store.label,
+    newId: () => defaultEntry.store.newId(),
+
+    setDefaultCalendar(calendarId) {
+      defaultEntry = getEntry(calendarId) || defaultEntry;
+    },
+
+    subscribe(onChange, onError) {
+      const unsubscribes = entries.map(({ calendar, store }) => store.subscribe(events => {
+        eventsByCalendar.set(calendar.id, tagEvents(calendar.id, events));
+        events.forEach(event => calendarIdByEventId.set(event.id, calendar.id));
+        onChange(getMergedEvents());
+      }, onError));
+      return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    },
+
+    async get(id) {
+      for (const { calendar, store } of entries) {
+        const event = await store.get(id);
+        if (event) return { ...event, calendarId: calendar.id };
+      }
+      return null;
+    },
+
+    async getAll() {
+      const lists = await Promise.all(entries.map(async ({ calendar, store }) => tagEvents(calendar.id, await store.getAll())));
+      return lists.flat();
+    },
+
+    async commit(operations) {
+      const groups = new Map();
+      operations.forEach(({ calendarId, ...operation }) => {
+        const targetId = calendarId || calendarIdByEventId.get(operation.id) || defaultEntry.calendar.id;
+        const entry = getEntry(targetId);
+        if (!entry) throw new Error('That calendar is no longer available.');
+        if (!canEditCalendar(entry.calendar.role)) throw new Error(`You can only view "${entry.calendar.name}".`);
+        if (!groups.has(entry)) groups.set(entry, []);
+        groups.get(entry).push(operation);
+      });
+      for (const [entry, calendarOperations] of groups) {
+        calendarOperations.forEach(operation => calendarIdByEventId.set(operation.id, entry.calendar.id));
+        await entry.store.commit(calendarOperations);
+      }
+    },
+
+    subscribeSyncState(listener) {
+      const emit = () => listener(combineSyncStates([...syncStates.values()]));
+      const unsubscribes = entries
+        .filter(({ store }) => store.subscribeSyncState)
+        .map(entry => entry.store.subscribeSyncState(state => {
+          syncStates.set(entry, state);
+          emit();
+        }));
+      return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    },
+
+    // Settles the conflict of whichever calendar's queue is waiting on one
+    async resolveConflict(choice) {
+      const entry = [...syncStates.keys()].find(candidate => syncStates.get(candidate).conflict);
+      if (entry) await entry.store.resolveConflict(choice);
+    },
+
+    dispose() {
+      entries.forEach(({ store }) => store.dispose && store.dispose());
+    }
+  };
+};
@@ -0,0 +1,156 @@
+// Shared calendars as their own Firestore resource, calendars/{calendarId}:
+//   { name, color, ownerId,
+//     memberIds: [uid],                       // for "calendars I belong to" queries
+//     roles: { [uid]: 'owner' | 'editor' | 'viewer' },
+//     members: { [uid]: { email, displayName } },
+//     invites: [{ email, role }], inviteEmails: [email] }   // pending invitations, by lower-cased email
+// Their events live in calendars/{calendarId}/events. Every user also has a personal calendar, which is
+// the original users/{uid}/calendarEvents collection and is never shared.
+import { addDoc, arrayRemove, arrayUnion, collection, deleteField, doc, onSnapshot, query, updateDoc, where } from 'firebase/firestore';
+
+export const PERSONAL_CALENDAR_ID = 'personal';
+
+export const CALENDAR_ROLES = ['owner', 'editor', 'viewer'];
+
+// Roles that can be given to someone else; each calendar has exactly one owner
+export const INVITE_ROLES = ['editor', 'viewer'];
+
+export const CALENDAR_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#0ea5e9', '#ec4899', '#84cc16'];
+
+// Helper function to check whether a role may add, change or delete events
+export const canEditCalendar = (role) => role === 'owner' || role === 'editor';
+
+// Helper function to check whether a role may manage membership
+export const canManageCalendar = (role) => role === 'owner';
+
+// Helper function to get the collection holding a shared calendar's events
+export const getCalendarEventsPath = (calendarId) => `calendars/${calendarId}/events`;
+
+/**
+ * The signed-in user's own calendar, in the same shape as the shared ones.
+ */
+export const getPersonalCalendar = () => ({
+  id: PERSONAL_CALENDAR_ID,
+  name: 'My Calendar',
+  color: CALENDAR_COLORS[0],
+  role: 'owner',
+  isPersonal: true
+});
+
+// Helper function to compare emails the way invitations are stored
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// Helper function to get the profile other members see
+const toMemberProfile = (account) => ({ email: account.email || '', displayName: account.displayName || '' });
+
+/**
+ * Listens to the calendars `account` belongs to and the ones it has been invited to (by verified email only).
+ * Calls onChange({ calendars, invites }); each calendar carries the user's `role`, each invite the offered `role`.
+ */
+export const subscribeCalendars = (db, account, onChange, onError) => {
+  const calendarsRef = collection(db, 'calendars');
+  const email = account.emailVerified && account.email ? normalizeEmail(account.email) : null;
+  let memberDocs = [];
+  let invitedDocs = [];
+
+  const emit = () => {
+    const calendars = memberDocs.map(snapshot => {
+      const data = snapshot.data();
+      return { id: snapshot.id, ...data, role: data.roles?.[account.uid] || 'viewer' };
+    });
+    const invites = invitedDocs
+      .filter(snapshot => !calendars.some(calendar => calendar.id === snapshot.id))
+      .map(snapshot => {
+        const data = snapshot.data();
+        const invite = (data.invites || []).find(entry => entry.email === email);
+        return { id: snapshot.id, ...data, role: invite?.role || 'viewer', invitedBy: data.members?.[data.ownerId] || null };
+      });
+    onChange({ calendars, invites });
+  };
+
+  const unsubscribes = [
+    onSnapshot(query(calendarsRef, where('memberIds', 'array-contains', account.uid)), snapshot => {
+      memberDocs = snapshot.docs;
+      emit();
+    }, onError)
+  ];
+  if (email) {
+    unsubscribes.push(onSnapshot(query(calendarsRef, where('inviteEmails', 'array-contains', email)), snapshot => {
+      invitedDocs = snapshot.docs;
+      emit();
+    }, onError));
+  }
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+/**
+ * Creates a shared calendar owned by `account`. Returns the new calendar's id.
+ */
+export const createCalendar = async (db, account, { name, color }) => {
+  const calendarRef = await addDoc(collection(db, 'calendars'), {
+    name,
+    color,
+    ownerId: account.uid,
+    memberIds: [account.uid],
+    roles: { [account.uid]: 'owner' },
+    members: { [account.uid]: toMemberProfile(account) },
+    invites: [],
+    inviteEmails: [],
+    createdAt: new Date().toISOString()
+  });
+  return calendarRef.id;
+};
+
+/**
+ * Invites someone by email, or changes the role of an existing invitation.
+ */
+export const inviteToCalendar = (db, calendar, email, role) => {
+  const invitedEmail = normalizeEmail(email);
+  return updateDoc(doc(db, 'calendars', calendar.id), {
+    invites: [...(calendar.invites || []).filter(invite => invite.email !== invitedEmail), { email: invitedEmail, role }],
+    inviteEmails: arrayUnion(invitedEmail)
+  });
+};
+
+/**
+ * Withdraws an invitation (or declines it, when it's the user's own).
+ */
+export const cancelInvite = (db, calendar, email) => {
+  const invitedEmail = normalizeEmail(email);
+  return updateDoc(doc(db, 'calendars', calendar.id), {
+    invites: (calendar.invites || []).filter(invite => invite.email !== invitedEmail),
+    inviteEmails: arrayRemove(invitedEmail)
+  });
+};
+
+/**
+ * Accepts an invitation from subscribeCalendars: joins with the invited role and removes the invitation.
+ */
+export const acceptInvite = (db, invite, account) => {
+  const email = normalizeEmail(account.email);
+  return updateDoc(doc(db, 'calendars', invite.id), {
+    memberIds: arrayUnion(account.uid),
+    [`roles.${account.uid}`]: invite.role,
+    [`members.${account.uid}`]: toMemberProfile(account),
+    invites: (invite.invites || []).filter(entry => entry.email !== email),
+    inviteEmails: arrayRemove(email)
+  });
+};
+
+/**
+ * Changes a member's role (never the owner's).
+ */
+export const setMemberRole = (db, calendarId, uid, role) => {
+  return updateDoc(doc(db, 'calendars', calendarId), { [`roles.${uid}`]: role });
+};
+
+/**
+ * Removes a member; members also use this to leave a calendar.
+ */
+export const removeMember = (db, calendarId, uid) => {
+  return updateDoc(doc(db, 'calendars', calendarId), {
+    memberIds: arrayRemove(uid),
+    [`roles.${uid}`]: deleteField(),
+    [`members.${uid}`]: deleteField()
+  });
+};
@@ -0,0 +1,49 @@
+// Event store backed by one Firestore collection: users/{userId}/calendarEvents for the personal calendar,
+// calendars/{calendarId}/events for a shared one (see ./calendars).
+import { collection, doc, getDoc, getDocs, onSnapshot, query, writeBatch } from 'firebase/firestore';
+
+// Firestore batches are limited to 500 writes
+const MAX_BATCH_SIZE = 500;
+
+// Helper function to get the collection holding a user's personal events
+export const getUserEventsPath = (userId) => `users/${userId}/calendarEvents`;
+
+export const createFirestoreEventStore = (db, collectionPath) => {
+  const eventsCollectionRef = collection(db, collectionPath);
+  const toEvent = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+  return {
+    name: 'firestore',
+    label: 'Firestore (synced to your account)',
+
+    newId: () => doc(eventsCollectionRef).id,
+
+    subscribe(onChange, onError) {
+      return onSnapshot(query(eventsCollectionRef), snapshot => onChange(snapshot.docs.map(toEvent)), onError);
+    },
+
+    async get(id) {
+      const snapshot = await getDoc(doc(eventsCollectionRef, id));
+      return snapshot.exists() ? toEvent(snapshot) : null;
+    },
+
+    async getAll() {
+      const snapshot = await getDocs(query(eventsCollectionRef));
+      return snapshot.docs.map(toEvent);
+    },
+
+    // Each batch of up to 500 operations is atomic; larger imports are committed batch by batch
+    async commit(operations) {
+      for (let i = 0; i < operations.length; i += MAX_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        operations.slice(i, i + MAX_BATCH_SIZE).forEach(operation => {
+          const eventDocRef = doc(eventsCollectionRef, operation.id);
+          if (operation.type === 'set') batch.set(eventDocRef, operation.data, { merge: !!operation.merge });
+          else if (operation.type === 'update') batch.update(eventDocRef, operation.data);
+          else if (operation.type === 'delete') batch.delete(eventDocRef);
+        });
+        await batch.commit();
+      }
+    }
+  };
+};
@@ -0,0 +1,53 @@
+// Event storage layer. App reads and writes events through a store, whichever backend holds them:
+//   Firestore  when Firebase is configured and a user is signed in, behind an offline write queue
+//   IndexedDB  otherwise, so the calendar still works (and persists) fully on this device
+//
+// Every store exposes { name, label, newId(), subscribe(onChange, onError), get(id), getAll(), commit(operations) },
+// where operations are { type: 'set' | 'update' | 'delete', id, data, merge?, calendarId? } applied together.
+// The queued Firestore store adds subscribeSyncState(listener), resolveConflict(choice) and dispose().
+// With Firestore, the personal calendar and any shared calendars (./calendars) are overlaid as one store
+// whose events carry a `calendarId` (./calendarSet).
+import { createFirestoreEventStore, getUserEventsPath } from './firestore';
+import { createIndexedDbEventStore } from './indexedDb';
+import { createQueuedEventStore } from './syncQueue';
+import { createCalendarSetStore } from './calendarSet';
+import { PERSONAL_CALENDAR_ID, getCalendarEventsPath } from './calendars';
+import { toStoredData } from './operations';
+
+export { createFirestoreEventStore } from './firestore';
+export { createIndexedDbEventStore } from './indexedDb';
+export { createQueuedEventStore } from './syncQueue';
+export { createCalendarSetStore } from './calendarSet';
+
+/**
+ * Picks the store for the current session: IndexedDB without `db` and `userId`; otherwise Firestore (with
+ * offline queuing) for each of `calendars` ([{ id, name, role }], the personal calendar included), combined.
+ * New events go to `defaultCalendarId`.
+ */
+export const createEventStore = ({ db, userId, calendars = [], defaultCalendarId = PERSONAL_CALENDAR_ID }) => {
+  if (!db || !userId) return createIndexedDbEventStore();
+  const entries = calendars.map(calendar => {
+    const isPersonal = calendar.id === PERSONAL_CALENDAR_ID;
+    const remoteStore = createFirestoreEventStore(db, isPersonal ? getUserEventsPath(userId) : getCalendarEventsPath(calendar.id));
+    return {
+      calendar,
+      store: createQueuedEventStore(remoteStore, {
+        storageKey: isPersonal ? `myAiCalendar.pendingWrites.${userId}` : `myAiCalendar.pendingWrites.${userId}.${calendar.id}`
+      })
+    };
+  });
+  return createCalendarSetStore(entries, { defaultCalendarId });
+};
+
+/**
+ * Copies every event from `fromStore` into `toStore` under the same ids (so links between a series and its
+ * detached occurrences survive), then clears `fromStore` if it supports it. Returns the number of events moved.
+ * With a combined store, pass `calendarId` so the events don't land in whichever calendar is active.
+ */
+export const migrateEvents = async (fromStore, toStore, { calendarId } = {}) => {
+  const events = await fromStore.getAll();
+  if (events.length === 0) return 0;
+  await toStore.commit(events.map(event => ({ type: 'set', id: event.id, data: toStoredData(event), calendarId })));
+  if (fromStore.clear) await fromStore.clear();
+  return events.length;
+};
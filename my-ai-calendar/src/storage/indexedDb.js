@@ -0,0 +1,128 @@
+// Event store backed by the browser's IndexedDB, used when Firebase isn't configured.
+// Events persist on this device only; other open tabs are kept in step through a BroadcastChannel.
+const DB_NAME = 'my-ai-calendar';
+const DB_VERSION = 1;
+const STORE_NAME = 'calendarEvents';
+const CHANNEL_NAME = 'my-ai-calendar-events';
+
+let databasePromise = null;
+
+// Helper function to open (and on first use, create) the database once per page
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again if opening failed
+    databasePromise.catch(() => { databasePromise = null; });
+  }
+  return databasePromise;
+};
+
+// Helper function to wrap an IDBRequest in a promise
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const createIndexedDbEventStore = () => {
+  const listeners = new Set();
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  const getAll = async () => {
+    const database = await openDatabase();
+    return promisifyRequest(database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll());
+  };
+
+  // Helper function to push the current events to every subscriber
+  const notify = async () => {
+    if (listeners.size === 0) return;
+    try {
+      const events = await getAll();
+      listeners.forEach(({ onChange }) => onChange(events));
+    } catch (error) {
+      listeners.forEach(({ onError }) => onError && onError(error));
+    }
+  };
+
+  if (channel) channel.onmessage = notify;
+
+  return {
+    name: 'indexedDb',
+    label: 'This device only (IndexedDB)',
+
+    newId: () => (typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now()}-${Math.random().toString(36).slice(2)}`),
+
+    subscribe(onChange, onError) {
+      const listener = { onChange, onError };
+      listeners.add(listener);
+      getAll().then(onChange, error => onError && onError(error));
+      return () => listeners.delete(listener);
+    },
+
+    async get(id) {
+      const database = await openDatabase();
+      const event = await promisifyRequest(database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(id));
+      return event || null;
+    },
+
+    getAll,
+
+    // All operations run in one transaction, so they apply together or not at all (like a Firestore batch).
+    // As in Firestore, updating a missing event is an error.
+    async commit(operations) {
+      const database = await openDatabase();
+      await new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Local storage transaction was aborted.'));
+
+        operations.forEach(operation => {
+          if (operation.type === 'delete') {
+            store.delete(operation.id);
+            return;
+          }
+          if (operation.type === 'set' && !operation.merge) {
+            store.put({ ...operation.data, id: operation.id });
+            return;
+          }
+          // Merging set and update both need the stored record first
+          const getRequest = store.get(operation.id);
+          getRequest.onsuccess = () => {
+            const existing = getRequest.result;
+            if (!existing && operation.type === 'update') {
+              reject(new Error(`No event with id "${operation.id}" to update.`));
+              transaction.abort();
+              return;
+            }
+            store.put({ ...(existing || {}), ...operation.data, id: operation.id });
+          };
+        });
+      });
+      notify();
+      if (channel) channel.postMessage('changed');
+    },
+
+    // Removes every local event, e.g. after they have been migrated to Firestore
+    async clear() {
+      const database = await openDatabase();
+      const transaction = database.transaction(STORE_NAME, 'readwrite');
+      await promisifyRequest(transaction.objectStore(STORE_NAME).clear());
+      notify();
+      if (channel) channel.postMessage('changed');
+    }
+  };
+};
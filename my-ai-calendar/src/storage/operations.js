@@ -0,0 +1,49 @@
+// Helpers for the { type: 'set' | 'update' | 'delete', id, data, merge? } operations every store commits.
+
+// Fields added when events are read or displayed, which must never be written back
+const TRANSIENT_FIELDS = ['id', 'pendingSync', 'calendarId'];
+
+// Helper function to strip read-only fields from event data before it is written
+export const toStoredData = (event) => {
+  const data = { ...event };
+  TRANSIENT_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+/**
+ * Applies operations to a list of events in memory, the way a store would, and returns the new list.
+ * `decorate(event)` can tag the events an operation touched (e.g. as pending sync).
+ * Updates to events that aren't in the list are skipped.
+ */
+export const applyOperations = (events, operations, decorate = (event) => event) => {
+  const byId = new Map(events.map(event => [event.id, event]));
+  operations.forEach(operation => {
+    const existing = byId.get(operation.id);
+    if (operation.type === 'delete') {
+      byId.delete(operation.id);
+    } else if (operation.type === 'set') {
+      const base = operation.merge && existing ? existing : {};
+      byId.set(operation.id, decorate({ ...base, ...operation.data, id: operation.id }));
+    } else if (operation.type === 'update' && existing) {
+      byId.set(operation.id, decorate({ ...existing, ...operation.data, id: operation.id }));
+    }
+  });
+  return [...byId.values()];
+};
+
+// Helper function to serialise a value with sorted keys, so equal objects compare equal
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Checks whether two stored versions of an event hold the same data (either may be null when missing).
+ */
+export const isSameEventData = (a, b) => {
+  if (!a || !b) return !a && !b;
+  return stableStringify(toStoredData(a)) === stableStringify(toStoredData(b));
+};
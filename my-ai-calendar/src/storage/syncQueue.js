@@ -0,0 +1,258 @@
+// Offline write queue around a remote store (Firestore).
+// While the browser is offline, commits are queued (and persisted in localStorage) instead of being sent,
+// and subscribers see the queued changes applied on top of the last known remote events, with
+// `pendingSync: true` on each affected event. When connectivity returns the queue is replayed in order.
+//
+// Each queued entry remembers the remote version of every event it touches as it was when queued.
+// Before an entry is replayed those versions are compared with the server's; if an event was changed
+// elsewhere in the meantime, replay pauses and the conflict (both versions) is exposed for the user to resolve.
+//
+// Firestore doesn't reject writes made without a connection: they stay pending until the server confirms them.
+// So a remote write that isn't confirmed within `commitTimeoutMs` (or before the browser goes offline) is
+// queued too; if the server confirms it later after all, the queued copy is dropped.
+// With the extension, so the emulator tests can load this module in Node as well
+import { applyOperations, isSameEventData, toStoredData } from './operations.js';
+
+// Helper function to read the connectivity flag, assuming online where the browser can't tell
+const isBrowserOnline = () => (typeof navigator === 'undefined' ? true : navigator.onLine !== false);
+
+// Firestore reports some connectivity failures as 'unavailable'
+const isNetworkError = (error) => error?.code === 'unavailable';
+
+const DEFAULT_COMMIT_TIMEOUT_MS = 10000;
+
+export const createQueuedEventStore = (remoteStore, { storageKey, commitTimeoutMs = DEFAULT_COMMIT_TIMEOUT_MS }) => {
+  let queue = [];
+  try {
+    queue = JSON.parse(localStorage.getItem(storageKey) || '[]');
+  } catch (error) {
+    console.warn('Discarding unreadable offline write queue:', error);
+  }
+
+  let remoteEvents = [];
+  let isOnline = isBrowserOnline();
+  let isSyncing = false;
+  let conflict = null; // { entryId, eventId, local, remote } while replay waits for the user
+  const eventListeners = new Set();
+  const syncListeners = new Set();
+  const stallListeners = new Set(); // Remote writes still waiting for the server, stopped when the browser goes offline
+
+  const saveQueue = () => localStorage.setItem(storageKey, JSON.stringify(queue));
+
+  const getSyncState = () => ({
+    isOnline,
+    isSyncing,
+    pendingCount: queue.length,
+    conflict
+  });
+
+  // Helper function to get what the user should see: remote events with queued changes applied on top
+  const getMergedEvents = () => queue.reduce(
+    (events, entry) => applyOperations(events, entry.operations, event => ({ ...event, pendingSync: true })),
+    remoteEvents
+  );
+
+  const emitEvents = () => {
+    const events = getMergedEvents();
+    eventListeners.forEach(({ onChange }) => onChange(events));
+  };
+  const emitSync = () => {
+    const state = getSyncState();
+    syncListeners.forEach(listener => listener(state));
+  };
+
+  const enqueue = (operations) => {
+    const baseEvents = {};
+    const knownEvents = getMergedEvents();
+    operations.forEach(operation => {
+      if (operation.id in baseEvents) return;
+      // Compare against the remote version; events created or changed earlier in the queue are checked then
+      const remote = remoteEvents.find(event => event.id === operation.id);
+      const alreadyQueued = knownEvents.some(event => event.id === operation.id && event.pendingSync);
+      if (!alreadyQueued) baseEvents[operation.id] = remote ? toStoredData(remote) : null;
+    });
+    const entry = { id: `${Date.now()}-${queue.length}`, operations, baseEvents, queuedAt: new Date().toISOString() };
+    queue.push(entry);
+    saveQueue();
+    emitEvents();
+    emitSync();
+    return entry.id;
+  };
+
+  // Helper function to forget a queued entry the server has confirmed in the meantime, then carry on replaying
+  const dropConfirmedEntry = (entryId) => {
+    if (!queue.some(entry => entry.id === entryId)) return;
+    queue = queue.filter(entry => entry.id !== entryId);
+    if (conflict?.entryId === entryId) conflict = null;
+    saveQueue();
+    emitEvents();
+    emitSync();
+    replay();
+  };
+
+  // Helper function to send operations to the remote store. Resolves to true once the server confirms them,
+  // or to false if that takes longer than `commitTimeoutMs` or the browser goes offline first; the write then
+  // stays pending in the remote store, and `onLateConfirm` runs if the server confirms it after all.
+  const sendToRemote = (operations, onLateConfirm) => new Promise((resolve, reject) => {
+    let isSettled = false;
+    const settle = (callback) => {
+      if (isSettled) return false;
+      isSettled = true;
+      clearTimeout(timer);
+      stallListeners.delete(stall);
+      callback();
+      return true;
+    };
+    const stall = () => settle(() => resolve(false));
+    const timer = setTimeout(stall, commitTimeoutMs);
+    stallListeners.add(stall);
+    remoteStore.commit(operations).then(
+      () => {
+        if (!settle(() => resolve(true))) onLateConfirm();
+      },
+      error => {
+        // A late failure leaves the queued copy to be retried
+        if (!settle(() => reject(error))) console.warn('A write queued for later was rejected by the server:', error);
+      }
+    );
+  });
+
+  // Helper function to find the first event in an entry that changed remotely since it was queued
+  // (a remote version that already matches the local one, e.g. from a write that stalled, isn't a conflict)
+  const findConflict = async (entry) => {
+    for (const [eventId, base] of Object.entries(entry.baseEvents)) {
+      const current = await remoteStore.get(eventId);
+      if (!isSameEventData(base, current)) {
+        const [local = null] = applyOperations(base ? [{ ...base, id: eventId }] : [], entry.operations.filter(operation => operation.id === eventId));
+        if (!isSameEventData(local, current)) return { entryId: entry.id, eventId, local, remote: current };
+      }
+    }
+    return null;
+  };
+
+  const replay = async () => {
+    if (isSyncing || conflict || !isOnline || queue.length === 0) return;
+    isSyncing = true;
+    emitSync();
+    try {
+      while (queue.length > 0) {
+        const entry = queue[0];
+        conflict = await findConflict(entry);
+        if (conflict) break;
+        if (!await sendToRemote(entry.operations, () => dropConfirmedEntry(entry.id))) break;
+        queue = queue.filter(queued => queued !== entry);
+        saveQueue();
+      }
+    } catch (error) {
+      // Still unreachable (or rejected); keep the queue and try again on the next reconnect
+      console.error('Replaying queued changes failed:', error);
+    } finally {
+      isSyncing = false;
+      emitEvents();
+      emitSync();
+    }
+  };
+
+  const handleOnline = () => {
+    isOnline = true;
+    emitSync();
+    replay();
+  };
+  const handleOffline = () => {
+    isOnline = false;
+    stallListeners.forEach(stall => stall());
+    emitSync();
+  };
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+  }
+
+  let unsubscribeRemote = null;
+  const ensureRemoteSubscription = () => {
+    if (unsubscribeRemote) return;
+    unsubscribeRemote = remoteStore.subscribe(events => {
+      remoteEvents = events;
+      emitEvents();
+    }, error => eventListeners.forEach(({ onError }) => onError && onError(error)));
+  };
+
+  return {
+    name: remoteStore.name,
+    label: remoteStore.label,
+    newId: remoteStore.newId,
+    get: async (id) => getMergedEvents().find(event => event.id === id) || null,
+    getAll: async () => getMergedEvents(),
+
+    subscribe(onChange, onError) {
+      const listener = { onChange, onError };
+      eventListeners.add(listener);
+      ensureRemoteSubscription();
+      onChange(getMergedEvents());
+      replay(); // Flush anything left over from a previous session
+      return () => eventListeners.delete(listener);
+    },
+
+    // Sends straight to the remote store when online and nothing is waiting, so ordering is preserved;
+    // otherwise (or if the write isn't confirmed in time) the operations are queued and resolve at once.
+    async commit(operations) {
+      const cleanOperations = operations.map(operation => (
+        operation.data ? { ...operation, data: toStoredData(operation.data) } : operation
+      ));
+      if (isOnline && queue.length === 0) {
+        let queuedEntryId = null;
+        try {
+          if (await sendToRemote(cleanOperations, () => dropConfirmedEntry(queuedEntryId))) return;
+          console.warn('The server has not confirmed the changes, queuing them for later.');
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          console.warn('Network unavailable, queuing changes for later:', error);
+        }
+        queuedEntryId = enqueue(cleanOperations);
+        return;
+      }
+      enqueue(cleanOperations);
+    },
+
+    subscribeSyncState(listener) {
+      syncListeners.add(listener);
+      listener(getSyncState());
+      return () => syncListeners.delete(listener);
+    },
+
+    /**
+     * Settles the current conflict: 'local' writes the user's version over the remote one,
+     * 'remote' drops the queued change (the whole entry, to keep it atomic) and keeps the remote version.
+     */
+    async resolveConflict(choice) {
+      if (!conflict) return;
+      const entry = queue.find(queued => queued.id === conflict.entryId);
+      if (entry && choice === 'remote') {
+        queue = queue.filter(queued => queued !== entry);
+      } else if (entry) {
+        const { eventId, local, remote } = conflict;
+        // Write the whole local version so it doesn't merge with (or fail on) the remote changes
+        entry.operations = entry.operations.map(operation => (
+          operation.id === eventId && operation.type === 'update'
+            ? { type: 'set', id: eventId, data: toStoredData(local) }
+            : operation
+        ));
+        entry.baseEvents[eventId] = remote ? toStoredData(remote) : null;
+      }
+      saveQueue();
+      conflict = null;
+      emitEvents();
+      emitSync();
+      await replay();
+    },
+
+    dispose() {
+      stallListeners.forEach(stall => stall());
+      if (unsubscribeRemote) unsubscribeRemote();
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('online', handleOnline);
+        window.removeEventListener('offline', handleOffline);
+      }
+    }
+  };
+};
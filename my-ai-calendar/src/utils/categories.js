@@ -0,0 +1,104 @@
+// Event categories and tags.
+// Categories are defined by the user and stored on this device as
+//   { id, name, color, keywords }   // keywords: words (or location types) that suggest the category
+// Events refer to one by `category` (its id, '' for none) and carry free-form `tags` (lowercase, no '#').
+// Ids are derived from the name, so events in shared calendars line up with other members' categories
+// of the same name.
+
+const CATEGORIES_STORAGE_KEY = 'myAiCalendar.categories';
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+// Offered when picking a color for a new category
+export const CATEGORY_COLORS = ['#3b82f6', '#10b981', '#ef4444', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#6b7280'];
+
+export const DEFAULT_CATEGORIES = [
+  { id: 'work', name: 'Work', color: '#3b82f6', keywords: ['office', 'meeting', 'standup', 'sync', 'presentation', 'interview', 'client', 'project', 'review', 'report'] },
+  { id: 'health', name: 'Health', color: '#ef4444', keywords: ['doctor', 'dentist', 'clinic', 'hospital', 'checkup', 'physio', 'gym', 'workout', 'yoga', 'run', 'therapy'] },
+  { id: 'social', name: 'Social', color: '#f59e0b', keywords: ['restaurant', 'lunch', 'dinner', 'drinks', 'party', 'birthday', 'wedding', 'coffee', 'brunch', 'friends'] },
+  { id: 'errands', name: 'Errands', color: '#8b5cf6', keywords: ['supermarket', 'bank', 'groceries', 'grocery', 'shopping', 'pharmacy', 'post office', 'pay', 'rent', 'bills'] },
+  { id: 'travel', name: 'Travel', color: '#14b8a6', keywords: ['flight', 'fly', 'train', 'airport', 'hotel', 'trip'] },
+  { id: 'personal', name: 'Personal', color: '#10b981', keywords: ['home', 'family', 'laundry', 'chores', 'call mom', 'call dad'] }
+];
+
+// Helper function to derive an id from a category name, e.g. "Side Projects" -> "side-projects"
+const toCategoryId = (name) => name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Helper function to escape a keyword for use in a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns a clean copy of a category, or null if it has no usable name.
+ * `keywords` may be an array or a comma-separated string (as typed in the form).
+ */
+export const normalizeCategory = (category) => {
+  if (!category) return null;
+  const name = String(category.name || '').trim().slice(0, 50);
+  const id = category.id || toCategoryId(name);
+  if (!name || !id) return null;
+  const keywordList = Array.isArray(category.keywords) ? category.keywords : String(category.keywords || '').split(',');
+  return {
+    id,
+    name,
+    color: /^#[0-9a-fA-F]{6}$/.test(category.color) ? category.color.toLowerCase() : CATEGORY_COLORS[0],
+    keywords: [...new Set(keywordList.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean))]
+  };
+};
+
+/**
+ * The category with `id`, or null (also for ids of categories that were deleted or belong to someone else).
+ */
+export const findCategory = (categories, id) => (id ? categories.find(category => category.id === id) || null : null);
+
+/**
+ * Guesses a category for an event from its title, description and location type: the category with the
+ * most matching keywords (the first one listed on a tie). Returns its id, or '' when nothing matches.
+ */
+export const inferCategory = (categories, event) => {
+  const text = `${event.title || ''} ${event.description || ''}`.toLowerCase();
+  const locationType = (event.locationType || '').toLowerCase();
+  let best = '';
+  let bestScore = 0;
+  categories.forEach(category => {
+    const score = category.keywords.filter(keyword => (
+      keyword === locationType || new RegExp(`\\b${escapeRegExp(keyword)}\\b`).test(text)
+    )).length;
+    if (score > bestScore) {
+      best = category.id;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+/**
+ * Cleans up tags: trimmed, lowercase, without a leading '#', no duplicates, at most MAX_TAGS.
+ * Accepts an array or a comma-separated string.
+ */
+export const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const cleaned = list
+    .map(tag => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(cleaned)].slice(0, MAX_TAGS);
+};
+
+/**
+ * Reads the categories saved on this device (the defaults until the user changes them).
+ */
+export const loadCategories = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CATEGORIES_STORAGE_KEY) || 'null');
+    return Array.isArray(stored) ? stored.map(normalizeCategory).filter(Boolean) : DEFAULT_CATEGORIES;
+  } catch {
+    return DEFAULT_CATEGORIES;
+  }
+};
+
+/**
+ * Saves the categories on this device.
+ */
+export const saveCategories = (categories) => {
+  localStorage.setItem(CATEGORIES_STORAGE_KEY, JSON.stringify(categories));
+};
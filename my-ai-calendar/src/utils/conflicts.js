@@ -0,0 +1,105 @@
+// Shared conflict checking for new, edited and suggested events.
+// Two events conflict when their time ranges overlap; back-to-back events (one ends as the next starts) don't.
+import { addDaysToKey, getEventDuration, getEventEnd, getEventStart, minutesToTime, timeToMinutes } from './eventTime';
+import { expandEvents, isRecurring } from './recurrence';
+
+// How far ahead a recurring candidate's occurrences are checked
+const RECURRING_LOOKAHEAD_DAYS = 56;
+// Window and granularity used when looking for the next free slot
+const FREE_SLOT_DAY_START = '08:00';
+const FREE_SLOT_DAY_END = '20:00';
+const FREE_SLOT_STEP_MINUTES = 15;
+const FREE_SLOT_MAX_DAYS = 14;
+
+// Helper function to check whether two event occurrences overlap in time
+export const eventsOverlap = (a, b) => getEventStart(a) < getEventEnd(b) && getEventStart(b) < getEventEnd(a);
+
+// Helper function to get the occurrences of a candidate that should be checked
+const getCandidateOccurrences = (candidate) => {
+  return isRecurring(candidate)
+    ? expandEvents([candidate], candidate.date, addDaysToKey(candidate.date, RECURRING_LOOKAHEAD_DAYS))
+    : [candidate];
+};
+
+// Helper function to collect the existing occurrences overlapping a candidate from a pre-expanded list
+const collectOverlaps = (candidateOccurrences, existingOccurrences) => {
+  const conflicts = [];
+  const seen = new Set();
+  candidateOccurrences.forEach(occurrence => {
+    existingOccurrences.forEach(existing => {
+      const key = `${existing.id}-${existing.date}`;
+      if (!seen.has(key) && eventsOverlap(occurrence, existing)) {
+        seen.add(key);
+        conflicts.push(existing);
+      }
+    });
+  });
+  return conflicts;
+};
+
+/**
+ * Finds existing events (as occurrences) that overlap `candidate`.
+ * `ignoreIds` excludes events that are being replaced, e.g. the event being edited or moved.
+ */
+export const findConflicts = (candidate, events, ignoreIds = []) => {
+  const candidateOccurrences = getCandidateOccurrences(candidate);
+  if (candidateOccurrences.length === 0) return [];
+  const otherEvents = events.filter(event => !ignoreIds.includes(event.id));
+  // One day either side catches events that cross midnight
+  const existingOccurrences = expandEvents(
+    otherEvents,
+    addDaysToKey(candidateOccurrences[0].date, -1),
+    addDaysToKey(candidateOccurrences[candidateOccurrences.length - 1].date, 1)
+  );
+  return collectOverlaps(candidateOccurrences, existingOccurrences);
+};
+
+/**
+ * Looks for the earliest slot at or after the candidate's start where it fits without conflicts,
+ * scanning daytime hours over the next couple of weeks. Returns { date, time } or null.
+ * For recurring candidates only the first occurrence is moved.
+ */
+export const findNextFreeSlot = (candidate, events, ignoreIds = []) => {
+  const duration = getEventDuration(candidate);
+  const otherEvents = events.filter(event => !ignoreIds.includes(event.id));
+  const existingOccurrences = expandEvents(otherEvents, addDaysToKey(candidate.date, -1), addDaysToKey(candidate.date, FREE_SLOT_MAX_DAYS + 1));
+  const dayStart = timeToMinutes(FREE_SLOT_DAY_START);
+  const dayEnd = timeToMinutes(FREE_SLOT_DAY_END);
+
+  for (let dayOffset = 0; dayOffset <= FREE_SLOT_MAX_DAYS; dayOffset++) {
+    const date = addDaysToKey(candidate.date, dayOffset);
+    const firstMinute = dayOffset === 0 ? Math.max(timeToMinutes(candidate.time), dayStart) : dayStart;
+    // Round up to the next step so suggestions land on tidy times
+    const alignedStart = Math.ceil(firstMinute / FREE_SLOT_STEP_MINUTES) * FREE_SLOT_STEP_MINUTES;
+    for (let minute = alignedStart; minute + duration <= dayEnd; minute += FREE_SLOT_STEP_MINUTES) {
+      const attempt = { ...candidate, date, time: minutesToTime(minute), recurrence: null };
+      if (collectOverlaps([attempt], existingOccurrences).length === 0) {
+        return { date, time: attempt.time };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns the set of 'YYYY-MM-DD' keys on which at least two of the given occurrences overlap.
+ */
+export const getConflictingDateKeys = (occurrences) => {
+  const byDate = {};
+  occurrences.forEach(occurrence => {
+    (byDate[occurrence.date] = byDate[occurrence.date] || []).push(occurrence);
+  });
+
+  const conflictingKeys = new Set();
+  Object.entries(byDate).forEach(([dateKey, dayOccurrences]) => {
+    const sorted = [...dayOccurrences].sort((a, b) => getEventStart(a) - getEventStart(b));
+    let latestEnd = null;
+    sorted.forEach(occurrence => {
+      // Sorted by start, so an overlap exists whenever a start comes before the latest end so far
+      if (latestEnd && getEventStart(occurrence) < latestEnd) conflictingKeys.add(dateKey);
+      const end = getEventEnd(occurrence);
+      if (!latestEnd || end > latestEnd) latestEnd = end;
+    });
+  });
+  return conflictingKeys;
+};
@@ -0,0 +1,77 @@
+// Showing events in the display time zone the user picked.
+// The grid and lists work on plain `date`/`time` strings, so occurrences are converted into floating
+// events whose wall clock is the display zone's; `zoneSource` remembers the stored values so edits,
+// deletes and zone labels can go back to them (see fromDisplayEvent).
+import { addDaysToKey, getEventDuration, getEventStart } from './eventTime';
+import { expandEvents } from './recurrence';
+import { getLocalTimeZone, getTimeZoneAbbreviation, getTimeZoneCity, getZoneParts, zonedTimeToInstant } from './timeZones';
+
+/**
+ * One event (or occurrence) as it reads on the wall clock of `displayZone`.
+ */
+export const toDisplayEvent = (event, displayZone = getLocalTimeZone()) => {
+  if (event.zoneSource) return event;
+  const { date, time } = getZoneParts(getEventStart(event), displayZone);
+  const displayEvent = { ...event, date, time, zoneSource: { date: event.date, time: event.time, timeZone: event.timeZone || null } };
+  delete displayEvent.timeZone;
+  return displayEvent;
+};
+
+/**
+ * Undoes toDisplayEvent: the event with its stored date, time and time zone.
+ */
+export const fromDisplayEvent = (event) => {
+  if (!event?.zoneSource) return event;
+  const { zoneSource, ...stored } = event;
+  return { ...stored, date: zoneSource.date, time: zoneSource.time, ...(zoneSource.timeZone ? { timeZone: zoneSource.timeZone } : {}) };
+};
+
+/**
+ * The stored event of a display event, moved to start at `date`/`time` on the display zone's wall clock
+ * (e.g. where it was dropped on the calendar). It keeps its own time zone; floating events stay floating.
+ */
+export const moveDisplayEvent = (event, date, time, displayZone = getLocalTimeZone()) => {
+  const stored = fromDisplayEvent(event);
+  const start = getZoneParts(zonedTimeToInstant(date, time, displayZone), stored.timeZone || getLocalTimeZone());
+  return { ...stored, date: start.date, time: start.time };
+};
+
+/**
+ * expandEvents for the display zone: occurrences whose display-zone date falls between `fromKey` and `toKey`.
+ */
+export const expandEventsInZone = (events, fromKey, toKey, displayZone = getLocalTimeZone()) => {
+  // Zones can move an occurrence across midnight, so look a day further each way
+  return expandEvents(events, addDaysToKey(fromKey, -1), addDaysToKey(toKey, 1))
+    .map(occurrence => toDisplayEvent(occurrence, displayZone))
+    .filter(occurrence => occurrence.date >= fromKey && occurrence.date <= toKey);
+};
+
+// Helper function to format an instant's wall-clock time in a zone, e.g. "14:00 JST"
+const formatZonedTime = (instant, timeZone) => `${getZoneParts(instant, timeZone).time} ${getTimeZoneAbbreviation(timeZone, instant)}`;
+
+/**
+ * A display event's time range in another zone, e.g. "23:00 – 00:30 JST" (for the secondary zone).
+ */
+export const formatTimeRangeInZone = (event, timeZone) => {
+  const start = getEventStart(fromDisplayEvent(event));
+  const end = new Date(start.getTime() + getEventDuration(event) * 60000);
+  return `${getZoneParts(start, timeZone).time} – ${formatZonedTime(end, timeZone)}`;
+};
+
+/**
+ * Where a display event happens, when that differs from the display zone:
+ * "10:00 GMT London → 13:00 EST New York" for flights (events with an `endTimeZone`), "09:00 JST Tokyo time" otherwise.
+ * Empty when there is nothing to add.
+ */
+export const describeEventZones = (event, displayZone = getLocalTimeZone()) => {
+  const stored = fromDisplayEvent(event);
+  const startZone = stored.timeZone || getLocalTimeZone();
+  const endZone = stored.endTimeZone || startZone;
+  if (startZone === displayZone && endZone === displayZone) return '';
+
+  const start = getEventStart(stored);
+  const end = new Date(start.getTime() + getEventDuration(stored) * 60000);
+  const startText = `${formatZonedTime(start, startZone)} ${getTimeZoneCity(startZone)}`;
+  if (endZone === startZone) return `${startText} time`;
+  return `${startText} → ${formatZonedTime(end, endZone)} ${getTimeZoneCity(endZone)}`;
+};
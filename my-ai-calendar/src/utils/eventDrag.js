@@ -0,0 +1,69 @@
+// Moving events by dragging them onto the calendar (see CalendarGrid and TimelineView), and the keyboard
+// shortcuts that do the same for anyone not using a pointer.
+// The dragged display event travels in the drag data, so every drop target can read it without shared state.
+import { addDaysToKey, minutesToTime, timeToMinutes } from './eventTime';
+
+const EVENT_DRAG_TYPE = 'application/x-my-ai-calendar-event';
+
+// Drops on the timeline snap to this many minutes, and keyboard moves step by it
+export const MOVE_STEP_MINUTES = 15;
+
+// For aria-keyshortcuts on anything getKeyboardMove handles
+export const MOVE_KEY_SHORTCUTS = 'Alt+ArrowLeft Alt+ArrowRight Alt+ArrowUp Alt+ArrowDown';
+
+/**
+ * Starts dragging a display event, from an onDragStart handler.
+ */
+export const startEventDrag = (e, event) => {
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData(EVENT_DRAG_TYPE, JSON.stringify(event));
+  // Other apps get something readable if the event is dropped on them
+  e.dataTransfer.setData('text/plain', event.title);
+};
+
+/**
+ * Whether a drag carries an event (the data itself can only be read on drop).
+ */
+export const isEventDrag = (e) => Array.from(e.dataTransfer.types).includes(EVENT_DRAG_TYPE);
+
+/**
+ * The display event that was dropped, or null for anything else.
+ */
+export const readEventDrag = (e) => {
+  try {
+    return JSON.parse(e.dataTransfer.getData(EVENT_DRAG_TYPE) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Rounds minutes after midnight to the nearest MOVE_STEP_MINUTES, keeping the start within the day.
+ */
+export const snapMinutes = (minutes) => {
+  const snapped = Math.round(minutes / MOVE_STEP_MINUTES) * MOVE_STEP_MINUTES;
+  return Math.min(Math.max(snapped, 0), 24 * 60 - MOVE_STEP_MINUTES);
+};
+
+/**
+ * The move a keydown asks for: Alt+Left/Right is a day earlier/later, Alt+Up/Down is MOVE_STEP_MINUTES
+ * earlier/later. Returns { days, minutes }, or null for other keys.
+ */
+export const getKeyboardMove = (e) => {
+  if (!e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return null;
+  switch (e.key) {
+    case 'ArrowLeft': return { days: -1, minutes: 0 };
+    case 'ArrowRight': return { days: 1, minutes: 0 };
+    case 'ArrowUp': return { days: 0, minutes: -MOVE_STEP_MINUTES };
+    case 'ArrowDown': return { days: 0, minutes: MOVE_STEP_MINUTES };
+    default: return null;
+  }
+};
+
+/**
+ * Where a move of { days, minutes } puts an event's start: { date, time }, carrying over midnight.
+ */
+export const applyMove = ({ date, time }, { days, minutes }) => {
+  const total = timeToMinutes(time) + minutes;
+  return { date: addDaysToKey(date, days + Math.floor(total / (24 * 60))), time: minutesToTime(total) };
+};
@@ -0,0 +1,192 @@
+// Searching every event, not just the selected day's, for the search panel.
+// buildSearchIndex does the per-event work (lowercasing, time zone conversion, finding each repeating event's
+// next and latest occurrences) once per change of the events; each search is then a single pass over the index
+// comparing strings, which keeps typing responsive with thousands of events. Repeating events are only expanded
+// again for searches with a date range.
+// Dates are compared on the display zone's calendar, like the grid (see ./displayZone).
+import { addDaysToKey } from './eventTime';
+import { getOccurrenceDates, isRecurring } from './recurrence';
+import { toDisplayEvent } from './displayZone';
+import { getLocalTimeZone, getZoneParts } from './timeZones';
+
+// Results beyond this are counted but not listed
+export const MAX_SEARCH_RESULTS = 200;
+
+export const SEARCH_WHEN_OPTIONS = [
+  { value: 'all', label: 'Any time' },
+  { value: 'upcoming', label: 'Upcoming' },
+  { value: 'past', label: 'Past' }
+];
+
+// { query, locationType, from, to, when }; `from`/`to` are 'YYYY-MM-DD' or ''
+export const EMPTY_SEARCH = { query: '', locationType: '', from: '', to: '', when: 'all' };
+
+// How far past today a repeating event is searched for an occurrence to show, when no range is given
+const RECURRING_LOOKAHEAD_DAYS = 2 * 366;
+// How far around today to look first for a repeating event's next and latest occurrences, before looking further
+const NEARBY_DAYS = 31;
+
+// Helper function to fold case and accents so "cafe" finds "Café"
+const foldText = (text) => (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Helper function to get when a display event starts, as a sortable 'YYYY-MM-DDTHH:MM' stamp
+const getStartStamp = (occurrence) => `${occurrence.date}T${occurrence.time}`;
+
+// Helper function to get one occurrence of a repeating event as a display event
+const toDisplayOccurrence = (event, dateKey, displayTimeZone) => toDisplayEvent({ ...event, date: dateKey, occurrenceDate: dateKey }, displayTimeZone);
+
+// Helper function to find a repeating event's next occurrence starting at or after `nowStamp` (within the
+// lookahead from today or its first date) and its latest one before it, looking near today first so long series aren't expanded in full.
+// A day either side of each window, as zones can move an occurrence across midnight.
+const findNearestOccurrences = (event, displayTimeZone, nowDate, nowStamp) => {
+  const firstDate = event.date > nowDate ? event.date : nowDate;
+  let next = null;
+  for (const days of [NEARBY_DAYS, RECURRING_LOOKAHEAD_DAYS]) {
+    for (const dateKey of getOccurrenceDates(event, addDaysToKey(firstDate, -1), addDaysToKey(firstDate, days + 1))) {
+      const occurrence = toDisplayOccurrence(event, dateKey, displayTimeZone);
+      if (getStartStamp(occurrence) >= nowStamp) {
+        next = occurrence;
+        break;
+      }
+    }
+    if (next) break;
+  }
+
+  let latest = null;
+  for (const windowStart of [addDaysToKey(nowDate, -NEARBY_DAYS), addDaysToKey(nowDate, -RECURRING_LOOKAHEAD_DAYS), event.date]) {
+    const dates = getOccurrenceDates(event, addDaysToKey(windowStart, -1), addDaysToKey(nowDate, 1));
+    for (let i = dates.length - 1; i >= 0 && !latest; i--) {
+      const occurrence = toDisplayOccurrence(event, dates[i], displayTimeZone);
+      if (getStartStamp(occurrence) < nowStamp) latest = occurrence;
+    }
+    if (latest || windowStart <= event.date) break;
+  }
+  return { next, latest };
+};
+
+/**
+ * Prepares events for searchEvents: [{ event, text, locationType, recurring, displayEvent, nextOccurrence, latestOccurrence }].
+ * `displayEvent` is the event in `displayTimeZone`, for events that don't repeat; for those that do,
+ * `nextOccurrence` and `latestOccurrence` are their next occurrence from `now` and latest earlier one (or null).
+ */
+export const buildSearchIndex = (events, displayTimeZone = getLocalTimeZone(), now = new Date()) => {
+  const nowParts = getZoneParts(now, displayTimeZone);
+  const nowStamp = `${nowParts.date}T${nowParts.time}`;
+  return events.map(event => {
+    const recurring = isRecurring(event);
+    const { next, latest } = recurring ? findNearestOccurrences(event, displayTimeZone, nowParts.date, nowStamp) : {};
+    return {
+      event,
+      text: foldText(`${event.title}\n${event.description || ''}\n${(event.tags || []).map(tag => `#${tag}`).join(' ')}`),
+      locationType: (event.locationType || '').trim().toLowerCase(),
+      recurring,
+      displayEvent: recurring ? null : toDisplayEvent(event, displayTimeZone),
+      nextOccurrence: next || null,
+      latestOccurrence: latest || null
+    };
+  });
+};
+
+/**
+ * The distinct location types of `events`, lowercased and sorted, for the location type filter.
+ */
+export const getLocationTypes = (events) => [...new Set(events.map(event => (event.locationType || '').trim().toLowerCase()).filter(Boolean))].sort();
+
+/**
+ * Whether any field of `search` narrows the results.
+ */
+export const isSearchActive = (search) => Boolean(search.query.trim() || search.locationType || search.from || search.to || search.when !== 'all');
+
+/**
+ * Finds the events matching `search` in an index built for the same `displayTimeZone` (and not long before
+ * `now`; a stale entry is expanded again): every word of the query appears in the title, description or tags, the
+ * location type matches, and the event falls within the date range and before/after now.
+ * A repeating event is listed once: at its first occurrence in the date range, if one is given, otherwise at its
+ * next occurrence (its latest one for past searches, or when it has no more).
+ * Results are display events (see ./displayZone), soonest first (most recent first for past searches).
+ * Returns { results, total }; at most MAX_SEARCH_RESULTS are listed.
+ */
+export const searchEvents = (index, search, displayTimeZone = getLocalTimeZone(), now = new Date()) => {
+  const words = foldText(search.query).split(/\s+/).filter(Boolean);
+  const wantedType = search.locationType.toLowerCase();
+  const nowParts = getZoneParts(now, displayTimeZone);
+  const nowStamp = `${nowParts.date}T${nowParts.time}`;
+  const fromKey = search.from || '';
+  const toKey = search.to || '';
+
+  // Whether a display event passes the date filters; events that have started count as past
+  const isInRange = (occurrence) => {
+    if (fromKey && occurrence.date < fromKey) return false;
+    if (toKey && occurrence.date > toKey) return false;
+    const startStamp = getStartStamp(occurrence);
+    if (search.when === 'upcoming') return startStamp >= nowStamp;
+    if (search.when === 'past') return startStamp < nowStamp;
+    return true;
+  };
+
+  // The occurrence of a repeating event to list: checked in order of preference, converting as few as possible
+  const pickOccurrence = (event) => {
+    const windowStart = fromKey || (search.when === 'upcoming' ? nowParts.date : event.date);
+    const windowEnd = toKey || (search.when === 'past' ? nowParts.date : addDaysToKey(windowStart > nowParts.date ? windowStart : nowParts.date, RECURRING_LOOKAHEAD_DAYS));
+    // A day either side, as zones can move an occurrence across midnight
+    const dates = getOccurrenceDates(event, addDaysToKey(windowStart, -1), addDaysToKey(windowEnd, 1));
+    const toOccurrence = (dateKey) => toDisplayOccurrence(event, dateKey, displayTimeZone);
+
+    if (search.when === 'past') {
+      for (let i = dates.length - 1; i >= 0; i--) {
+        const occurrence = toOccurrence(dates[i]);
+        if (isInRange(occurrence)) return occurrence;
+      }
+      return null;
+    }
+    // With a date range, its first occurrence in the range
+    if ((fromKey || toKey) && search.when === 'all') {
+      for (const dateKey of dates) {
+        const occurrence = toOccurrence(dateKey);
+        if (isInRange(occurrence)) return occurrence;
+      }
+      return null;
+    }
+    // Otherwise the next occurrence from now; with "any time", falling back to the latest earlier one
+    const firstRecent = dates.findIndex(dateKey => dateKey >= addDaysToKey(nowParts.date, -1));
+    const split = firstRecent === -1 ? dates.length : firstRecent;
+    let latestEarlier = null;
+    for (let i = split; i < dates.length; i++) {
+      const occurrence = toOccurrence(dates[i]);
+      if (!isInRange(occurrence)) continue;
+      if (getStartStamp(occurrence) >= nowStamp) return occurrence;
+      latestEarlier = occurrence;
+    }
+    for (let i = split - 1; i >= 0 && !latestEarlier; i--) {
+      const occurrence = toOccurrence(dates[i]);
+      if (isInRange(occurrence)) latestEarlier = occurrence;
+    }
+    return latestEarlier;
+  };
+
+  // The occurrence to list from the index's next/latest ones, or undefined when they can't be used: with a
+  // date range, or once the next occurrence has started since the index was built
+  const pickIndexedOccurrence = ({ nextOccurrence, latestOccurrence }) => {
+    if (fromKey || toKey) return undefined;
+    if (nextOccurrence && getStartStamp(nextOccurrence) < nowStamp) return undefined;
+    if (search.when === 'upcoming') return nextOccurrence;
+    if (search.when === 'past') return latestOccurrence;
+    return nextOccurrence || latestOccurrence;
+  };
+
+  const matches = [];
+  index.forEach(entry => {
+    if (wantedType && entry.locationType !== wantedType) return;
+    if (!words.every(word => entry.text.includes(word))) return;
+    let occurrence = entry.displayEvent;
+    if (entry.recurring) {
+      occurrence = pickIndexedOccurrence(entry);
+      if (occurrence === undefined) occurrence = pickOccurrence(entry.event);
+    }
+    if (occurrence && isInRange(occurrence)) matches.push(occurrence);
+  });
+
+  const direction = search.when === 'past' ? -1 : 1;
+  matches.sort((a, b) => direction * getStartStamp(a).localeCompare(getStartStamp(b)));
+  return { results: matches.slice(0, MAX_SEARCH_RESULTS), total: matches.length };
+};
@@ -0,0 +1,104 @@
+// Helpers for working with event start/end times.
+// Events store a start `date` (YYYY-MM-DD), a start `time` (HH:MM) and a `duration` in minutes,
+// read in the event's `timeZone` when it has one (see ./timeZones).
+import { zonedTimeToInstant } from './timeZones';
+
+// Used for events saved before durations existed, or when the user gives no length
+export const DEFAULT_EVENT_DURATION = 60;
+
+// Helper function to convert an 'HH:MM' string into minutes since midnight
+export const timeToMinutes = (time) => {
+  if (!time) return 0;
+  const [hours, minutes] = time.split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+// Helper function to check that a value is a valid 'HH:MM' (24-hour) time
+export const isValidTime = (time) => {
+  return typeof time === 'string' && /^([01]?\d|2[0-3]):[0-5]\d$/.test(time);
+};
+
+// Helper function to check that a value is a real 'YYYY-MM-DD' date (rejects e.g. 2025-02-30)
+export const isValidDateKey = (dateKey) => {
+  if (typeof dateKey !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return false;
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Helper function to convert minutes since midnight back into an 'HH:MM' string (wraps past midnight)
+export const minutesToTime = (totalMinutes) => {
+  const wrapped = ((totalMinutes % 1440) + 1440) % 1440;
+  const hours = Math.floor(wrapped / 60);
+  const minutes = wrapped % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Helper function to get an event's duration in minutes, falling back to the default
+export const getEventDuration = (event) => {
+  const duration = Number(event?.duration);
+  return Number.isFinite(duration) && duration > 0 ? duration : DEFAULT_EVENT_DURATION;
+};
+
+// Helper function to get the start of an event as a Date (in its time zone, or the browser's for floating events)
+export const getEventStart = (event) => {
+  if (event.timeZone) return zonedTimeToInstant(event.date, event.time || '00:00', event.timeZone);
+  return new Date(`${event.date}T${event.time || '00:00'}`);
+};
+
+// Helper function to get the end of an event as a Date
+export const getEventEnd = (event) => {
+  const start = getEventStart(event);
+  return new Date(start.getTime() + getEventDuration(event) * 60000);
+};
+
+// Helper function to get the 'HH:MM' end time of an event
+export const getEventEndTime = (event) => {
+  return minutesToTime(timeToMinutes(event.time) + getEventDuration(event));
+};
+
+// Helper function to work out a duration from a start and end time.
+// An end time at or before the start is treated as running past midnight.
+export const durationFromTimes = (startTime, endTime) => {
+  const diff = timeToMinutes(endTime) - timeToMinutes(startTime);
+  return diff > 0 ? diff : diff + 1440;
+};
+
+// Helper function to format a duration in minutes, e.g. 90 -> "1h 30m"
+export const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours && rest) return `${hours}h ${rest}m`;
+  if (hours) return `${hours}h`;
+  return `${rest}m`;
+};
+
+// Helper function to format an event's time range, e.g. "10:00 – 12:00"
+export const formatTimeRange = (event) => {
+  return `${event.time} – ${getEventEndTime(event)}`;
+};
+
+// Helper function to turn a Date into a local 'YYYY-MM-DD' key (avoids toISOString's UTC shift)
+export const toDateKey = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Helper function to turn a 'YYYY-MM-DD' key into a local Date at midnight
+export const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Helper function to add (or subtract) whole days to a 'YYYY-MM-DD' key
+export const addDaysToKey = (dateKey, days) => {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+// Helper function to count the whole days from one 'YYYY-MM-DD' key to another
+export const daysBetweenKeys = (fromKey, toKey) => {
+  const [fy, fm, fd] = fromKey.split('-').map(Number);
+  const [ty, tm, td] = toKey.split('-').map(Number);
+  return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000);
+};
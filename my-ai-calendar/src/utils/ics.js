@@ -0,0 +1,361 @@
+// iCalendar (RFC 5545) import and export for calendar events.
+// Events map onto VEVENTs as: title <-> SUMMARY, date/time <-> DTSTART, duration <-> DTEND/DURATION,
+// description <-> DESCRIPTION, locationType <-> X-LOCATION-TYPE, recurrence <-> RRULE/EXDATE,
+// timeZone/endTimeZone <-> the TZID of DTSTART/DTEND (IANA names, which common calendar apps accept),
+// category <-> X-CATEGORY, tags <-> CATEGORIES (so other apps show them as their categories).
+import { DEFAULT_EVENT_DURATION, getEventEnd, getEventStart, isValidDateKey, isValidTime, toDateKey } from './eventTime';
+import { getZoneParts, isValidTimeZone, zonedTimeToInstant } from './timeZones';
+import { normalizeRecurrence } from './recurrence';
+import { normalizeTags } from './categories';
+
+const PRODUCT_ID = '-//My AI Calendar//EN';
+// Suffix for UIDs of events that were created in this app rather than imported
+const UID_DOMAIN = 'my-ai-calendar';
+
+// Size limits firestore.rules puts on stored events, which imported events are fitted to
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_LABEL_LENGTH = 100; // locationType and category
+const MAX_UID_LENGTH = 500;
+const MAX_EXCEPTIONS = 1000;
+const MAX_INTERVAL = 999;
+const MAX_COUNT = 9999;
+const MAX_DURATION = 527040; // A year, in minutes
+
+// Helper function to get the UID an event is exported under
+export const getEventUid = (event) => event.uid || `${event.id}@${UID_DOMAIN}`;
+
+// Helper function to escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Helper function to reverse escapeText
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Helper function to fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = parts.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Helper function to format a local Date as a floating DATE-TIME, e.g. 20250804T093000
+const formatLocalDateTime = (date) => {
+  return `${toDateKey(date).replace(/-/g, '')}T${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}00`;
+};
+
+// Helper function to format a wall-clock date and time as a DATE-TIME, e.g. ('2025-08-04', '09:30') -> 20250804T093000
+const formatWallClock = (dateKey, time) => `${dateKey.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+// Helper function to format a Date as a UTC DATE-TIME, e.g. 20250804T073000Z
+const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Helper function to build an RRULE value from a recurrence object. UNTIL is the end of the `until` day:
+// in UTC when the event has a zone (RFC 5545 requires that alongside a DTSTART with TZID), otherwise floating.
+const formatRRule = (rule, timeZone) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.until && timeZone) {
+    parts.push(`UNTIL=${formatUtcDateTime(new Date(zonedTimeToInstant(rule.until, '23:59', timeZone).getTime() + 59000))}`);
+  } else if (rule.until) {
+    parts.push(`UNTIL=${rule.until.replace(/-/g, '')}T235959`);
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+/**
+ * Serializes events into an iCalendar file body.
+ */
+export const eventsToIcs = (events) => {
+  const stamp = formatUtcDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${getEventUid(event)}`);
+    lines.push(`DTSTAMP:${stamp}`);
+    if (event.timeZone) {
+      const endZone = event.endTimeZone || event.timeZone;
+      const end = getZoneParts(getEventEnd(event), endZone);
+      lines.push(`DTSTART;TZID=${event.timeZone}:${formatWallClock(event.date, event.time || '00:00')}`);
+      lines.push(`DTEND;TZID=${endZone}:${formatWallClock(end.date, end.time)}`);
+    } else {
+      lines.push(`DTSTART:${formatLocalDateTime(getEventStart(event))}`);
+      lines.push(`DTEND:${formatLocalDateTime(getEventEnd(event))}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.title)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.locationType) lines.push(`X-LOCATION-TYPE:${escapeText(event.locationType)}`);
+    if (event.category) lines.push(`X-CATEGORY:${escapeText(event.category)}`);
+    if (event.tags?.length > 0) lines.push(`CATEGORIES:${event.tags.map(escapeText).join(',')}`);
+
+    const rule = normalizeRecurrence(event.recurrence);
+    if (rule) {
+      lines.push(`RRULE:${formatRRule(rule, event.timeZone)}`);
+      const exdateName = event.timeZone ? `EXDATE;TZID=${event.timeZone}` : 'EXDATE';
+      rule.exceptions.forEach(dateKey => lines.push(`${exdateName}:${formatWallClock(dateKey, event.time || '00:00')}`));
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Helper function to unfold lines and split each into name, params and value
+const parseContentLines = (text) => {
+  const unfolded = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+  return unfolded.split('\n').filter(Boolean).map(line => {
+    // The value starts after the first colon that isn't inside a quoted parameter
+    let inQuotes = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      if (line[i] === ':' && !inQuotes) {
+        colonIndex = i;
+        break;
+      }
+    }
+    if (colonIndex === -1) return null;
+    const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+      const [key, ...rest] = part.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+  }).filter(Boolean);
+};
+
+/**
+ * Parses a DATE or DATE-TIME value into { date, time, allDay, timeZone }.
+ * UTC values (ending in Z) are converted to the browser's zone; TZID values keep their zone when it's an
+ * IANA name the browser knows, and are otherwise taken as floating like values without one.
+ */
+const parseIcsDateTime = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, , utc] = match;
+  if (!hours || params.VALUE === 'DATE') {
+    return { date: `${year}-${month}-${day}`, time: '00:00', allDay: true };
+  }
+  if (utc) {
+    const local = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)));
+    return {
+      date: toDateKey(local),
+      time: `${String(local.getHours()).padStart(2, '0')}:${String(local.getMinutes()).padStart(2, '0')}`,
+      allDay: false
+    };
+  }
+  const timeZone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : null;
+  return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}`, allDay: false, timeZone };
+};
+
+// Helper function to convert an ISO 8601 duration (e.g. PT1H30M, P1D) into minutes
+const parseIcsDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total = (Number(weeks || 0) * 7 + Number(days || 0)) * 1440 + Number(hours || 0) * 60 + Number(minutes || 0);
+  return sign === '-' ? null : total;
+};
+
+// Helper function to turn an RRULE value into our recurrence object. A UTC UNTIL is read on the clock of
+// `timeZone`, the zone of the event's DTSTART, when it has one.
+const parseRRule = (value, timeZone) => {
+  const parts = {};
+  value.split(';').forEach(part => {
+    const [key, partValue] = part.split('=');
+    if (key && partValue) parts[key.toUpperCase()] = partValue;
+  });
+  let until = parts.UNTIL ? parseIcsDateTime(parts.UNTIL) : null;
+  const utcUntil = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(parts.UNTIL || '');
+  if (utcUntil && timeZone) {
+    const [, year, month, day, hours, minutes, seconds] = utcUntil.map(Number);
+    until = getZoneParts(new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)), timeZone);
+  }
+  return normalizeRecurrence({
+    freq: parts.FREQ,
+    interval: parts.INTERVAL,
+    byDay: parts.BYDAY ? parts.BYDAY.split(',') : [],
+    until: until ? until.date : null,
+    count: parts.COUNT
+  });
+};
+
+/**
+ * Parses an iCalendar file into our event shape. Each result carries the VEVENT's `uid` so imports
+ * can be de-duplicated. Modified instances of a series (RECURRENCE-ID) come back as standalone events
+ * and are added to their series' exceptions.
+ */
+export const parseIcs = (text) => {
+  const lines = parseContentLines(text);
+  const parsedEvents = [];
+  const overrides = [];
+  let current = null;
+  let nestedDepth = 0; // Skips VALARM and other components nested in a VEVENT
+
+  lines.forEach(({ name, params, value }) => {
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = { exdates: [] };
+      return;
+    }
+    if (!current) return;
+    if (name === 'BEGIN') {
+      nestedDepth++;
+      return;
+    }
+    if (name === 'END' && nestedDepth > 0) {
+      nestedDepth--;
+      return;
+    }
+    if (nestedDepth > 0) return;
+
+    if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      if (current.uid && current.start) {
+        const { start, end, durationMinutes } = current;
+        let duration = durationMinutes;
+        if (duration == null && end) {
+          duration = Math.round((getEventStart(end) - getEventStart(start)) / 60000);
+        }
+        if (duration == null || duration <= 0) {
+          duration = start.allDay ? 1440 : DEFAULT_EVENT_DURATION;
+        }
+        const event = {
+          uid: current.uid,
+          title: current.summary || 'Untitled event',
+          date: start.date,
+          time: start.time,
+          duration,
+          description: current.description || '',
+          locationType: current.locationType || '',
+          category: current.category || '',
+          tags: normalizeTags(current.tags),
+          recurrence: current.rrule ? { ...parseRRule(current.rrule, start.timeZone), exceptions: current.exdates } : null,
+          ...(start.timeZone ? { timeZone: start.timeZone } : {}),
+          ...(start.timeZone && end?.timeZone && end.timeZone !== start.timeZone ? { endTimeZone: end.timeZone } : {})
+        };
+        if (current.recurrenceId) {
+          overrides.push({ ...event, uid: `${current.uid}#${current.recurrenceId.date}`, recurringEventUid: current.uid, originalDate: current.recurrenceId.date });
+        } else {
+          parsedEvents.push(event);
+        }
+      }
+      current = null;
+      return;
+    }
+
+    switch (name) {
+      case 'UID':
+        current.uid = value.trim();
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(value);
+        break;
+      case 'X-LOCATION-TYPE':
+        current.locationType = unescapeText(value);
+        break;
+      case 'X-CATEGORY':
+        current.category = unescapeText(value).trim();
+        break;
+      case 'CATEGORIES':
+        // A list of TEXT values, and the property may repeat
+        current.tags = [...(current.tags || []), ...value.split(/(?<!\\),/).map(unescapeText)];
+        break;
+      case 'DTSTART':
+        current.start = parseIcsDateTime(value, params);
+        break;
+      case 'DTEND':
+        current.end = parseIcsDateTime(value, params);
+        break;
+      case 'DURATION':
+        current.durationMinutes = parseIcsDuration(value);
+        break;
+      case 'RRULE':
+        // Read once the VEVENT ends, as UNTIL depends on DTSTART's zone
+        current.rrule = value;
+        break;
+      case 'EXDATE':
+        value.split(',').map(part => parseIcsDateTime(part, params)).filter(Boolean).forEach(parsed => current.exdates.push(parsed.date));
+        break;
+      case 'RECURRENCE-ID':
+        current.recurrenceId = parseIcsDateTime(value, params);
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Fold modified instances back into their series as exceptions
+  overrides.forEach(override => {
+    const series = parsedEvents.find(event => event.uid === override.recurringEventUid);
+    if (series?.recurrence) {
+      series.recurrence = normalizeRecurrence({ ...series.recurrence, exceptions: [...series.recurrence.exceptions, override.originalDate] });
+    }
+    parsedEvents.push(override);
+  });
+
+  return parsedEvents.map(event => ({ ...event, recurrence: normalizeRecurrence(event.recurrence) }));
+};
+
+/**
+ * Fits an imported event within the limits firestore.rules puts on stored events, so one oversized VEVENT
+ * doesn't fail a whole import: long text is cut short and excess exceptions dropped (`shortened: true`).
+ * `problem` says why an event can't be stored at all (it is null otherwise).
+ * Returns { event, shortened, problem }.
+ */
+export const fitEventToLimits = (event) => {
+  if (!isValidDateKey(event.date) || !isValidTime(event.time)) return { event, shortened: false, problem: 'invalid start' };
+  if (event.uid && event.uid.length > MAX_UID_LENGTH) return { event, shortened: false, problem: 'UID too long' };
+  const rule = event.recurrence;
+  if (rule && (rule.interval > MAX_INTERVAL || rule.count > MAX_COUNT)) return { event, shortened: false, problem: 'unsupported repeat rule' };
+
+  const fitted = {
+    ...event,
+    title: event.title.slice(0, MAX_TITLE_LENGTH),
+    description: event.description.slice(0, MAX_DESCRIPTION_LENGTH),
+    locationType: event.locationType.slice(0, MAX_LABEL_LENGTH),
+    category: event.category.slice(0, MAX_LABEL_LENGTH),
+    duration: Math.min(event.duration, MAX_DURATION),
+    // The latest exceptions, as those are the ones still ahead
+    ...(rule ? { recurrence: { ...rule, exceptions: rule.exceptions.slice(-MAX_EXCEPTIONS) } } : {})
+  };
+  const shortened = ['title', 'description', 'locationType', 'category', 'duration'].some(field => fitted[field] !== event[field])
+    || (rule ? fitted.recurrence.exceptions.length < rule.exceptions.length : false);
+  return { event: fitted, shortened, problem: null };
+};
+
+/**
+ * Finds the existing event an imported VEVENT corresponds to, by UID.
+ * Events exported from this app carry `<id>@my-ai-calendar` UIDs, so those match on id too.
+ */
+export const findEventByUid = (events, uid) => {
+  return events.find(event => getEventUid(event) === uid) || null;
+};
@@ -0,0 +1,544 @@
+// Offline, rule-based parser for natural-language event input.
+// Handles the common phrasings ("tomorrow at 3pm", "next Monday 9:30", "Jan 15th 10 AM", "Friday evening",
+// "in 2 hours", "for 90 minutes", "every Monday", "remind me 15 minutes before", "3pm London time",
+// "flight from London to New York arriving 1pm", "#tags") and produces the same event object as the LLM path.
+// Used as a first pass that skips the LLM when confident, and as the fallback when the LLM is unavailable.
+import { findCategory, inferCategory, normalizeTags } from './categories';
+import { DEFAULT_EVENT_DURATION, addDaysToKey, minutesToTime, toDateKey } from './eventTime';
+import { WEEKDAY_CODES } from './recurrence';
+import { normalizeReminders } from './reminders';
+import { zonedTimeToInstant } from './timeZones';
+
+// Results at or above this confidence are used without asking the LLM
+export const LOCAL_PARSE_CONFIDENCE_THRESHOLD = 0.8;
+const DEFAULT_TIME = '09:00';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_PATTERN = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)';
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45, ninety: 90,
+  'a couple of': 2, 'a few': 3, half: 0.5, 'half an': 0.5, 'one and a half': 1.5
+};
+const NUMBER_PATTERN = '(\\d+(?:\\.\\d+)?|a couple of|a few|one and a half|half an|an|a|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|twenty|thirty|forty-five|forty|ninety)';
+// Times implied by a part of the day
+const PARTS_OF_DAY = [
+  { pattern: /\bafter work\b/i, time: '18:00' },
+  { pattern: /\b(?:at |over )?lunch ?time\b|\b(?:at|over) lunch\b/i, time: '12:00' },
+  { pattern: /\bmorning\b/i, time: '09:00' },
+  { pattern: /\bafternoon\b/i, time: '14:00' },
+  { pattern: /\bevening\b/i, time: '18:00' },
+  { pattern: /\btonight\b|\bnight\b/i, time: '20:00' }
+];
+// Keywords that imply a location type, checked in order
+const LOCATION_KEYWORDS = [
+  { pattern: /\b(dentist|doctor|dr\.?|clinic|hospital|checkup|check-up|physio)\b/i, locationType: 'doctor' },
+  { pattern: /\b(grocer(y|ies)|supermarket|shopping list)\b/i, locationType: 'supermarket' },
+  { pattern: /\b(gym|workout|work out|yoga|pilates|spin class)\b/i, locationType: 'gym' },
+  { pattern: /\b(bank|atm)\b/i, locationType: 'bank' },
+  { pattern: /\b(lunch|dinner|breakfast|brunch|restaurant|cafe|coffee)\b/i, locationType: 'restaurant' },
+  { pattern: /\b(meeting|standup|stand-up|sync|office|presentation|interview|1:1|one-on-one)\b/i, locationType: 'office' },
+  { pattern: /\b(home|laundry|house cleaning|chores)\b/i, locationType: 'home' }
+];
+// Places and zone names people use for time zones ("London time", "Eastern time")
+const ZONE_PLACES = {
+  london: 'Europe/London', uk: 'Europe/London', dublin: 'Europe/Dublin', lisbon: 'Europe/Lisbon',
+  paris: 'Europe/Paris', berlin: 'Europe/Berlin', madrid: 'Europe/Madrid', rome: 'Europe/Rome',
+  amsterdam: 'Europe/Amsterdam', stockholm: 'Europe/Stockholm', athens: 'Europe/Athens', moscow: 'Europe/Moscow',
+  'new york': 'America/New_York', nyc: 'America/New_York', boston: 'America/New_York', eastern: 'America/New_York',
+  toronto: 'America/Toronto', chicago: 'America/Chicago', central: 'America/Chicago',
+  denver: 'America/Denver', mountain: 'America/Denver',
+  'los angeles': 'America/Los_Angeles', la: 'America/Los_Angeles', 'san francisco': 'America/Los_Angeles',
+  sf: 'America/Los_Angeles', seattle: 'America/Los_Angeles', pacific: 'America/Los_Angeles',
+  'sao paulo': 'America/Sao_Paulo', johannesburg: 'Africa/Johannesburg', dubai: 'Asia/Dubai',
+  india: 'Asia/Kolkata', mumbai: 'Asia/Kolkata', delhi: 'Asia/Kolkata', bangalore: 'Asia/Kolkata',
+  singapore: 'Asia/Singapore', 'hong kong': 'Asia/Hong_Kong', beijing: 'Asia/Shanghai', shanghai: 'Asia/Shanghai',
+  tokyo: 'Asia/Tokyo', japan: 'Asia/Tokyo', sydney: 'Australia/Sydney', melbourne: 'Australia/Sydney',
+  auckland: 'Pacific/Auckland', utc: 'UTC', gmt: 'Europe/London'
+};
+const ZONE_PLACE_PATTERN = `(${Object.keys(ZONE_PLACES).sort((a, b) => b.length - a.length).join('|')})`;
+// Abbreviations, only in capitals ("3pm EST") so ordinary words aren't mistaken for them
+const ZONE_ABBREVIATIONS = {
+  EST: 'America/New_York', EDT: 'America/New_York', CST: 'America/Chicago', CDT: 'America/Chicago',
+  MST: 'America/Denver', MDT: 'America/Denver', PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles',
+  GMT: 'Europe/London', BST: 'Europe/London', CET: 'Europe/Paris', CEST: 'Europe/Paris',
+  IST: 'Asia/Kolkata', JST: 'Asia/Tokyo', AEST: 'Australia/Sydney', AEDT: 'Australia/Sydney', UTC: 'UTC'
+};
+// Words naming a day relative to today, which win over a bare "the 2nd" (that may not be a date at all)
+const RELATIVE_DAY_PATTERN = new RegExp(`\\b(?:today|tomorrow|tonight|(?:next|this|coming)\\s+(?:week|month)|${WEEKDAY_PATTERN})\\b`, 'i');
+const SMALL_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'the', 'to', 'with', 'by']);
+
+// Helper function to read a number written as digits or words
+const readNumber = (value) => {
+  const lower = value.toLowerCase();
+  return lower in NUMBER_WORDS ? NUMBER_WORDS[lower] : Number(lower);
+};
+
+// Helper function to turn an hour/minute/meridiem triple into minutes since midnight
+const clockToMinutes = (hourText, minuteText, meridiem) => {
+  let hours = Number(hourText);
+  const minutes = minuteText ? Number(minuteText) : 0;
+  if (hours > 23 || minutes > 59) return null;
+  if (meridiem) {
+    const isPm = meridiem.toLowerCase().startsWith('p');
+    if (hours > 12) return null;
+    hours = (hours % 12) + (isPm ? 12 : 0);
+  }
+  return hours * 60 + minutes;
+};
+
+// Helper function to guess am/pm for a bare hour ("at 3" is almost always the afternoon)
+const guessMeridiem = (hourText) => {
+  const hours = Number(hourText);
+  if (hours >= 13 || hours === 0) return null;
+  return hours >= 1 && hours <= 7 ? 'pm' : null;
+};
+
+// "remind me" / "with a reminder" followed by one or more offsets joined by "and" or commas
+const REMINDER_LEAD_PATTERN = /\s*[,;]?\s*\b(?:remind(?:\s+me)?|(?:with\s+)?an?\s+reminder|reminders?)\b/gi;
+const REMINDER_ITEM_PATTERN = new RegExp(
+  `\\s*(?:${NUMBER_PATTERN}\\s+(minutes?|mins?|hours?|hrs?|days?|weeks?)\\s+(?:before|ahead|earlier|prior)|the\\s+(day|night|week)\\s+before|(?:on\\s+)?the\\s+(morning)\\s+of|at\\s+the\\s+(?:start|time))` +
+  '(?:\\s+at\\s+(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?)?',
+  'iy'
+);
+const REMINDER_JOIN_PATTERN = /\s*(?:,\s*and|,|and)(?=\s)/iy;
+
+// Helper function to turn one matched reminder phrase into a reminder
+const toReminder = (match) => {
+  const [, amountText, unitText, dayWord, morning, hourText, minuteText, meridiem] = match;
+  const atMinutes = hourText ? clockToMinutes(hourText, minuteText, meridiem || guessMeridiem(hourText)) : null;
+  if (hourText && atMinutes === null) return null;
+  const at = (fallback) => (atMinutes !== null ? minutesToTime(atMinutes) : fallback);
+
+  if (morning) return { daysBefore: 0, time: at('08:00') };
+  if (dayWord) {
+    const word = dayWord.toLowerCase();
+    if (word === 'night') {
+      // "the night before at 9" means 9pm
+      const evening = atMinutes !== null && atMinutes < 12 * 60 && !meridiem ? minutesToTime(atMinutes + 12 * 60) : at('20:00');
+      return { daysBefore: 1, time: evening };
+    }
+    const days = word === 'week' ? 7 : 1;
+    return atMinutes !== null ? { daysBefore: days, time: at() } : { minutesBefore: days * 1440 };
+  }
+  if (!amountText) return { minutesBefore: 0 };
+
+  const amount = readNumber(amountText);
+  const unit = unitText.toLowerCase();
+  if (/^(day|week)/.test(unit)) {
+    const days = Math.round(unit.startsWith('w') ? amount * 7 : amount);
+    return atMinutes !== null ? { daysBefore: days, time: at() } : { minutesBefore: days * 1440 };
+  }
+  return { minutesBefore: Math.round(/^h/.test(unit) ? amount * 60 : amount) };
+};
+
+// Helper function to pull reminder phrases out of the input before the event itself is read
+// (so "the day before at 8pm" isn't taken as the event's own time). Returns { text, reminders }.
+const extractReminders = (input) => {
+  const reminders = [];
+  let text = input;
+  REMINDER_LEAD_PATTERN.lastIndex = 0;
+  let lead;
+  while ((lead = REMINDER_LEAD_PATTERN.exec(text))) {
+    let end = lead.index + lead[0].length;
+    const found = [];
+    REMINDER_ITEM_PATTERN.lastIndex = end;
+    let item = REMINDER_ITEM_PATTERN.exec(text);
+    while (item) {
+      found.push(toReminder(item));
+      end = REMINDER_ITEM_PATTERN.lastIndex;
+      REMINDER_JOIN_PATTERN.lastIndex = end;
+      if (!REMINDER_JOIN_PATTERN.exec(text)) break;
+      REMINDER_ITEM_PATTERN.lastIndex = REMINDER_JOIN_PATTERN.lastIndex;
+      item = REMINDER_ITEM_PATTERN.exec(text);
+    }
+    if (found.length === 0) continue;
+    reminders.push(...found.filter(Boolean));
+    text = `${text.slice(0, lead.index)} ${text.slice(end)}`;
+    REMINDER_LEAD_PATTERN.lastIndex = lead.index;
+  }
+  return { text, reminders: normalizeReminders(reminders) };
+};
+
+// Helper function to pull time zone phrases out of the input: "3pm London time", "10am EST", and for flights
+// "from London to New York" (which stays in the title) plus an "arriving 1pm" arrival time.
+// Returns { text, timeZone, endTimeZone, arrivalMinutes }.
+const extractTimeZones = (input) => {
+  let text = input;
+  let timeZone = null;
+  let endTimeZone = null;
+  let arrivalMinutes = null;
+
+  if (/\b(?:flight|fly|flying|flies)\b/i.test(text)) {
+    const route = new RegExp(`\\b(?:from\\s+${ZONE_PLACE_PATTERN}\\s+)?to\\s+${ZONE_PLACE_PATTERN}\\b`, 'i').exec(text);
+    if (route) {
+      timeZone = route[1] ? ZONE_PLACES[route[1].toLowerCase()] : null;
+      endTimeZone = ZONE_PLACES[route[2].toLowerCase()];
+    }
+    const arrival = /\s*,?\s*\b(?:arriv(?:e|es|ing)|land(?:s|ing)?)\s+(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(?:\s+local(?:\s+time)?)?/i.exec(text);
+    if (arrival) {
+      arrivalMinutes = clockToMinutes(arrival[1], arrival[2], arrival[3]);
+      text = `${text.slice(0, arrival.index)} ${text.slice(arrival.index + arrival[0].length)}`;
+    }
+  }
+
+  const named = new RegExp(`\\s*\\b(?:in\\s+)?${ZONE_PLACE_PATTERN}\\s+time\\b`, 'i').exec(text);
+  const abbreviated = new RegExp(`\\s*\\b(${Object.keys(ZONE_ABBREVIATIONS).join('|')})\\b`).exec(text);
+  const zoneMatch = named || abbreviated;
+  if (zoneMatch) {
+    // A stated zone is where the trip starts; without a route it's the event's own zone
+    timeZone = named ? ZONE_PLACES[named[1].toLowerCase()] : ZONE_ABBREVIATIONS[abbreviated[1]];
+    text = `${text.slice(0, zoneMatch.index)} ${text.slice(zoneMatch.index + zoneMatch[0].length)}`;
+  }
+  if (endTimeZone === timeZone) endTimeZone = null;
+  return { text, timeZone, endTimeZone, arrivalMinutes };
+};
+
+// Helper function to get the minutes from a start to an arrival on the destination's clock (the next
+// arrival after the start, so overnight flights work)
+const getTripDuration = (date, time, timeZone, endTimeZone, arrivalMinutes) => {
+  const start = zonedTimeToInstant(date, time, timeZone);
+  for (let days = 0; days <= 2; days++) {
+    const arrival = zonedTimeToInstant(addDaysToKey(date, days), minutesToTime(arrivalMinutes), endTimeZone);
+    if (arrival > start) return Math.round((arrival - start) / 60000);
+  }
+  return null;
+};
+
+// Helper function to get the weekday index (0 = Sunday) from a full or abbreviated name
+const weekdayIndex = (name) => WEEKDAYS.findIndex(day => day.startsWith(name.toLowerCase().slice(0, 3)));
+
+// Helper function to get the month index (0 = January) from a full or abbreviated name
+const monthIndex = (name) => MONTHS.indexOf(name.toLowerCase().slice(0, 3));
+
+// Helper function to find the next date (after today, or including it when allowed) on a given weekday
+const nextWeekday = (todayKey, weekday, includeToday) => {
+  const today = new Date(`${todayKey}T00:00`);
+  let diff = (weekday - today.getDay() + 7) % 7;
+  if (diff === 0 && !includeToday) diff = 7;
+  return addDaysToKey(todayKey, diff);
+};
+
+// Helper function to build a 'YYYY-MM-DD' key, or null if the date doesn't exist
+const buildDateKey = (year, month, day) => {
+  const date = new Date(year, month, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) return null;
+  return toDateKey(date);
+};
+
+// Helper function to pull "#tags" out of the text
+const extractTags = (input) => {
+  const tags = [];
+  const text = input.replace(/(^|\s)#(\p{L}[\p{L}\p{N}_-]*)/gu, (_, space, tag) => {
+    tags.push(tag);
+    return space;
+  });
+  return { text, tags: normalizeTags(tags) };
+};
+
+// Helper function to tidy the leftover text into a title
+const tidyTitle = (text) => {
+  const connectors = /^(?:on|at|for|from|in|by|the|and|this|next|every|,|-)\s+|\s+(?:on|at|for|from|in|by|the|and|this|next|every|,|-)$/i;
+  let title = text.replace(/\s+/g, ' ').trim();
+  while (connectors.test(title)) {
+    title = title.replace(connectors, '').trim();
+  }
+  title = title.replace(/^[\s,.;:-]+|[\s,.;:-]+$/g, '');
+  return title
+    .split(' ')
+    .map((word, index) => (index > 0 && SMALL_WORDS.has(word.toLowerCase()) ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join(' ');
+};
+
+/**
+ * Parses free text into { event, confidence, assumed }.
+ * `event` has the title/date/time/duration/description/locationType/recurrence/reminders/timeZone/endTimeZone/
+ * category/tags shape the LLM path produces; `timeZone` is null unless the text names one.
+ * The category is one of `categories` (see ./categories): the one named by a "#tag", otherwise inferred from the
+ * words used, or '' when nothing fits.
+ * `assumed` flags the fields that were defaulted or inferred rather than read from the text
+ * (date, time, year, duration, reminders, timeZone, category). `now` is injectable so results are reproducible; it is
+ * read on its local clock, so pass getZonedNow() to think in another zone.
+ */
+export const parseEventLocally = (input, now = new Date(), categories = []) => {
+  const todayKey = toDateKey(now);
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const withoutTags = extractTags(input);
+  // A tag naming a category picks that category rather than staying a tag
+  const taggedCategory = withoutTags.tags.map(tag => findCategory(categories, tag) || categories.find(category => category.name.toLowerCase() === tag)).find(Boolean);
+  const tags = withoutTags.tags.filter(tag => !taggedCategory || (tag !== taggedCategory.id && tag !== taggedCategory.name.toLowerCase()));
+  const withoutReminders = extractReminders(withoutTags.text);
+  const reminders = withoutReminders.reminders;
+  const { text, timeZone, endTimeZone, arrivalMinutes } = extractTimeZones(withoutReminders.text);
+
+  // Anything after the first comma/semicolon (or " - ") is treated as extra detail for the description
+  let [, head = '', tail = ''] = /^([^,;]*?)(?:\s*(?:[,;]|\s-\s)\s*(.*))?$/s.exec(text.trim()) || [];
+  // ...as is a trailing "about ..." / "regarding ..."
+  const topicMatch = /\s+(?:about|regarding|re:)\s+(.+)$/i.exec(head);
+  if (topicMatch && !tail) {
+    tail = topicMatch[1];
+    head = head.slice(0, topicMatch.index);
+  }
+  let remaining = ` ${head} `;
+
+  let date = null;
+  let startMinutes = null;
+  let partOfDayTime = null;
+  let duration = null;
+  let yearInferred = false;
+  let recurrence = null;
+  let isDateAmbiguous = false;
+
+  // Removes a match from the text left for the title and returns it
+  const take = (pattern) => {
+    const match = pattern.exec(remaining);
+    if (match) remaining = `${remaining.slice(0, match.index)} ${remaining.slice(match.index + match[0].length)}`;
+    return match;
+  };
+
+  // --- Recurrence ("every Monday and Wednesday", "every other week", "daily") ---
+  let match = take(new RegExp(`\\bevery\\s+(other\\s+)?${WEEKDAY_PATTERN}((?:\\s*(?:,|and)\\s*${WEEKDAY_PATTERN})*)\\b`, 'i'));
+  if (match) {
+    const names = [match[2], ...(match[3].match(new RegExp(WEEKDAY_PATTERN, 'gi')) || [])];
+    const indexes = [...new Set(names.map(weekdayIndex))].sort();
+    recurrence = { freq: 'WEEKLY', interval: match[1] ? 2 : 1, byDay: indexes.map(index => WEEKDAY_CODES[index]) };
+    date = indexes.map(index => nextWeekday(todayKey, index, true)).sort()[0];
+  } else if ((match = take(/\bevery\s+weekday\b/i))) {
+    recurrence = { freq: 'WEEKLY', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] };
+  } else if ((match = take(/\bevery\s+(other\s+|\d+\s+)?(day|week|month|year)s?\b|\b(daily|weekly|monthly|yearly|annually)\b/i))) {
+    const unit = (match[2] || match[3]).toLowerCase();
+    const freq = { day: 'DAILY', daily: 'DAILY', week: 'WEEKLY', weekly: 'WEEKLY', month: 'MONTHLY', monthly: 'MONTHLY', year: 'YEARLY', yearly: 'YEARLY', annually: 'YEARLY' }[unit];
+    const interval = match[1] ? (/other/i.test(match[1]) ? 2 : parseInt(match[1], 10)) : 1;
+    recurrence = { freq, interval, byDay: [] };
+  }
+
+  // --- Explicit dates ---
+  if ((match = take(/\b(\d{4})-(\d{2})-(\d{2})\b/))) {
+    date = buildDateKey(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  } else if ((match = take(new RegExp(`\\b(?:on\\s+)?${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'i')))) {
+    yearInferred = !match[3];
+    date = buildDateKey(match[3] ? Number(match[3]) : now.getFullYear(), monthIndex(match[1]), Number(match[2]));
+  } else if ((match = take(new RegExp(`\\b(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?\\b`, 'i')))) {
+    yearInferred = !match[3];
+    date = buildDateKey(match[3] ? Number(match[3]) : now.getFullYear(), monthIndex(match[2]), Number(match[1]));
+  } else if ((match = take(/\b(?:on\s+)?(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/))) {
+    // US-style month/day
+    yearInferred = !match[3];
+    const year = match[3] ? Number(match[3].length === 2 ? `20${match[3]}` : match[3]) : now.getFullYear();
+    date = buildDateKey(year, Number(match[1]) - 1, Number(match[2]));
+  } else if (/\bthe\s+\d{1,2}(?:st|nd|rd|th)\b/i.test(remaining)) {
+    if (RELATIVE_DAY_PATTERN.test(remaining)) {
+      // "the 2nd team tomorrow": the relative day below is the date, and the ordinal stays in the title
+      isDateAmbiguous = true;
+    } else {
+      // "the 1st": this month if it hasn't passed yet, otherwise next month
+      const day = Number(take(/\b(?:on\s+)?the\s+(\d{1,2})(?:st|nd|rd|th)\b/i)[1]);
+      date = buildDateKey(now.getFullYear(), now.getMonth(), day);
+      if (!date || date < todayKey) date = buildDateKey(now.getFullYear(), now.getMonth() + 1, day);
+    }
+  }
+
+  // --- Relative dates ---
+  if (!date) {
+    if (take(/\b(?:the\s+)?day after tomorrow\b/i)) {
+      date = addDaysToKey(todayKey, 2);
+    } else if (take(/\btomorrow\b/i)) {
+      date = addDaysToKey(todayKey, 1);
+    } else if (take(/\btoday\b/i)) {
+      date = todayKey;
+    } else if (/\btonight\b/i.test(remaining)) {
+      date = todayKey; // "tonight" also sets the time below
+    } else if ((match = take(new RegExp(`\\b(?:on\\s+)?(?:(next|this|coming)\\s+)?${WEEKDAY_PATTERN}\\b`, 'i')))) {
+      date = nextWeekday(todayKey, weekdayIndex(match[2]), match[1] && match[1].toLowerCase() === 'this');
+    } else if ((match = take(/\bnext\s+(week|month)\b/i))) {
+      if (match[1].toLowerCase() === 'week') {
+        date = addDaysToKey(todayKey, 7);
+      } else {
+        date = buildDateKey(now.getFullYear(), now.getMonth() + 1, Math.min(now.getDate(), 28));
+      }
+    }
+  }
+
+  // --- Relative offsets ("in 3 days", "in 2 hours", "in 30 minutes") ---
+  if ((match = take(new RegExp(`\\bin\\s+${NUMBER_PATTERN}\\s+(minutes?|mins?|hours?|hrs?|days?|weeks?|months?)\\b`, 'i')))) {
+    const amount = readNumber(match[1]);
+    const unit = match[2].toLowerCase();
+    if (/^(min|hour|hr)/.test(unit)) {
+      // Round up to the next 5 minutes so the start time is tidy
+      const offsetMinutes = unit.startsWith('h') ? amount * 60 : amount;
+      const target = new Date(now.getTime() + offsetMinutes * 60000);
+      const targetMinutes = Math.ceil((target.getHours() * 60 + target.getMinutes()) / 5) * 5;
+      date = toDateKey(target);
+      startMinutes = Math.min(targetMinutes, 1435);
+    } else if (unit.startsWith('day')) {
+      date = addDaysToKey(todayKey, Math.round(amount));
+    } else if (unit.startsWith('week')) {
+      date = addDaysToKey(todayKey, Math.round(amount * 7));
+    } else {
+      date = buildDateKey(now.getFullYear(), now.getMonth() + Math.round(amount), Math.min(now.getDate(), 28));
+    }
+  }
+
+  // --- Time ranges ("from 2 to 4pm", "2-4pm", "14:00-15:30") ---
+  if (startMinutes === null && (match = take(/\b(from\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?\s*(?:-|–|to|until|till)\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?(?=\s|$)/i))) {
+    const [, from, startHour, startMinute, startMeridiem, endHour, endMinute, endMeridiem] = match;
+    if (from || startMeridiem || endMeridiem || startMinute || endMinute) {
+      // "2-4pm": the start borrows the end's am/pm unless that would put it after the end
+      let start = clockToMinutes(startHour, startMinute, startMeridiem || endMeridiem || guessMeridiem(startHour));
+      const end = clockToMinutes(endHour, endMinute, endMeridiem || startMeridiem || guessMeridiem(endHour));
+      if (start !== null && end !== null && !startMeridiem && start > end) {
+        start = clockToMinutes(startHour, startMinute, null);
+      }
+      if (start !== null && end !== null) {
+        startMinutes = start;
+        duration = end > start ? end - start : end + 1440 - start;
+      }
+    } else {
+      // Not a time range after all; put the text back
+      remaining = ` ${head} `;
+    }
+  }
+
+  // --- Durations ("for two hours", "for 90 minutes", "30-minute call", "all day") ---
+  if (duration === null) {
+    if ((match = take(new RegExp(`\\bfor\\s+${NUMBER_PATTERN}\\s+(hours?|hrs?|minutes?|mins?)\\b`, 'i')))) {
+      const amount = readNumber(match[1]);
+      duration = Math.round(/^h/i.test(match[2]) ? amount * 60 : amount);
+    } else if ((match = take(/\b(\d+(?:\.\d+)?)[-\s]?(hours?|hrs?|minutes?|mins?|h|m)\b(?!\s*(?:ago|before|after))/i))) {
+      const amount = Number(match[1]);
+      duration = Math.round(/^h/i.test(match[2]) ? amount * 60 : amount);
+    } else if (take(/\ball[-\s]day\b/i)) {
+      duration = 1440;
+      startMinutes = 0;
+    }
+  }
+
+  // --- Clock times ("at 3pm", "9:30", "noon") ---
+  // Without am/pm, a stated morning wins over guessMeridiem's afternoon ("tomorrow morning at 7:30")
+  const guessClockMeridiem = (hourText) => (/\bmorning\b/i.test(remaining) ? null : guessMeridiem(hourText));
+  if (startMinutes === null) {
+    if ((match = take(/\b(?:at\s+)?(\d{1,2}):(\d{2})\s*(am|pm|a\.m\.|p\.m\.)?/i))) {
+      startMinutes = clockToMinutes(match[1], match[2], match[3] || guessClockMeridiem(match[1]));
+    } else if ((match = take(/\b(?:at\s+)?(\d{1,2})\s*(am|pm|a\.m\.|p\.m\.)/i))) {
+      startMinutes = clockToMinutes(match[1], null, match[2]);
+    } else if ((match = take(/\bat\s+(\d{1,2})\b(?!\s*(?:st|nd|rd|th|\/))/i))) {
+      startMinutes = clockToMinutes(match[1], null, guessClockMeridiem(match[1]));
+    } else if (take(/\b(?:at\s+)?noon\b|\bmidday\b/i)) {
+      startMinutes = 12 * 60;
+    } else if (take(/\b(?:at\s+)?midnight\b/i)) {
+      startMinutes = 0;
+    }
+  }
+
+  // --- Parts of the day ("Friday evening", "tomorrow morning", "after work") ---
+  for (const { pattern, time } of PARTS_OF_DAY) {
+    if (take(pattern)) {
+      partOfDayTime = time;
+      break;
+    }
+  }
+  if (startMinutes === null && partOfDayTime) {
+    startMinutes = Number(partOfDayTime.slice(0, 2)) * 60 + Number(partOfDayTime.slice(3));
+  }
+  // A repeat rule pins down the start well enough even without a date
+  const dateExplicit = date !== null || recurrence !== null;
+
+  // --- Defaults for anything not mentioned ---
+  const time = startMinutes !== null ? minutesToTime(startMinutes) : DEFAULT_TIME;
+  if (!date) {
+    // No date given: today if the time is still ahead, otherwise tomorrow
+    date = startMinutes !== null && startMinutes > nowMinutes ? todayKey : addDaysToKey(todayKey, 1);
+    if (recurrence?.freq === 'WEEKLY' && recurrence.byDay.length > 0) {
+      date = recurrence.byDay.map(code => nextWeekday(todayKey, WEEKDAY_CODES.indexOf(code), true)).sort()[0];
+    }
+  }
+
+  // A flight's length follows from its arrival time on the destination's clock
+  if (duration === null && arrivalMinutes !== null && endTimeZone && startMinutes !== null) {
+    duration = getTripDuration(date, time, timeZone || endTimeZone, endTimeZone, arrivalMinutes);
+  }
+
+  const title = tidyTitle(remaining);
+  const locationMatch = LOCATION_KEYWORDS.find(({ pattern }) => pattern.test(text));
+  const locationType = locationMatch ? locationMatch.locationType : '';
+  const category = taggedCategory ? taggedCategory.id : inferCategory(categories, { title: text, locationType });
+
+  const assumed = {
+    date: !dateExplicit,
+    time: startMinutes === null,
+    year: yearInferred,
+    duration: duration === null,
+    reminders: reminders.length === 0,
+    timeZone: timeZone === null,
+    category: !taggedCategory
+  };
+
+  // Confidence reflects how much of the schedule came from the text rather than defaults
+  let confidence;
+  if (!assumed.date && !assumed.time) {
+    confidence = partOfDayTime && startMinutes !== null && minutesToTime(startMinutes) === partOfDayTime ? 0.8 : 0.9;
+  } else if (!assumed.date || !assumed.time) {
+    confidence = 0.5;
+  } else {
+    confidence = 0.2;
+  }
+  if (isDateAmbiguous) confidence = Math.min(confidence, 0.6);
+  if (!title) confidence = Math.min(confidence, 0.3);
+
+  return {
+    event: {
+      title: title || 'Untitled Event',
+      date,
+      time,
+      duration: duration || DEFAULT_EVENT_DURATION,
+      description: tail ? tail.charAt(0).toUpperCase() + tail.slice(1) : '',
+      locationType,
+      recurrence,
+      reminders,
+      timeZone,
+      endTimeZone,
+      category,
+      tags
+    },
+    confidence,
+    assumed
+  };
+};
+
+// Separators that always start a new event, and ones that only do when both sides look like events
+const HARD_EVENT_SEPARATOR = /^\s*(?:;|\n|,?\s*\balso\b,?)\s*$/i;
+// A flight's "arriving 1pm" / "landing 3pm" belongs to it, not to a new event
+const ARRIVAL_CLAUSE = /^\s*(?:arriv(?:e|es|ing)|land(?:s|ing)?)\b/i;
+const EVENT_SEPARATOR = /(\s*(?:;|\n|,?\s*\balso\b,?|,?\s*\band then\b|,?\s*\bthen\b|,?\s*\band\b|,)\s*)/i;
+
+// Helper function to check whether a fragment reads as an event on its own (a title plus a date or time)
+const looksLikeEvent = (text, now) => parseEventLocally(text, now).confidence >= 0.5;
+
+/**
+ * Splits input that describes several events ("dentist Tuesday 10am and gym Thursday after work,
+ * also pay rent on the 1st") and parses each part. Returns an array of parseEventLocally results,
+ * with a single entry when the input describes one event; `categories` is passed on to each.
+ * Soft separators (",", "and", "then") only split when both sides have their own title and date or time,
+ * so "every Monday and Wednesday" or "lunch with Tom and Jerry" stay together, and a flight keeps its arrival time.
+ */
+export const parseEventsLocally = (input, now = new Date(), categories = []) => {
+  const pieces = input.trim().split(EVENT_SEPARATOR);
+  const segments = [pieces[0]];
+  for (let index = 1; index < pieces.length; index += 2) {
+    const separator = pieces[index];
+    const piece = pieces[index + 1];
+    const current = segments[segments.length - 1];
+    if (!piece.trim()) continue;
+    const startsNewEvent = ARRIVAL_CLAUSE.test(piece) ? false : HARD_EVENT_SEPARATOR.test(separator)
+      ? current.trim() !== ''
+      : looksLikeEvent(current, now) && looksLikeEvent(piece, now);
+    if (startsNewEvent) {
+      segments.push(piece);
+    } else {
+      segments[segments.length - 1] = `${current}${separator}${piece}`;
+    }
+  }
+  return segments.filter(segment => segment.trim()).map(segment => parseEventLocally(segment, now, categories));
+};
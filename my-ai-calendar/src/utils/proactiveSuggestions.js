@@ -0,0 +1,102 @@
+// Proactive suggestions: upcoming events that could be done at the place the user is at right now.
+// Snoozes and per-place dismissals are kept on this device as
+//   { snoozed: { [occurrenceKey]: untilMs }, dismissed: { [placeKey]: { [occurrenceKey]: dateKey } } }
+// so a suggestion the user already answered doesn't come back each time the events change.
+import { addDaysToKey, getEventStart, minutesToTime, toDateKey } from './eventTime';
+import { expandEvents } from './recurrence';
+import { getZoneParts } from './timeZones';
+
+const SUGGESTION_STATE_STORAGE_KEY = 'myAiCalendar.proactiveSuggestions';
+// How far ahead to look for matching events
+const SUGGESTION_HORIZON_DAYS = 30;
+
+export const SNOOZE_OPTIONS = [
+  { label: '1 hour', minutes: 60 },
+  { label: '3 hours', minutes: 180 },
+  { label: 'Until tomorrow', minutes: null }
+];
+
+export const EMPTY_SUGGESTION_STATE = { snoozed: {}, dismissed: {} };
+
+// Helper function to identify one occurrence (the same key for every occurrence of a recurring event would hide them all)
+export const getOccurrenceKey = (event) => `${event.id}|${event.occurrenceDate || event.date}`;
+
+// Helper function to identify where a suggestion was dismissed: a saved place, or a bare location type
+export const getPlaceKey = (place, locationType) => (place ? `place:${place.id}` : `type:${locationType.toLowerCase()}`);
+
+/**
+ * Upcoming occurrences (not yet started) whose location type matches, soonest first, minus snoozed
+ * ones and ones dismissed at `placeKey`. A repeating event only shows its next remaining occurrence.
+ * Returns [{ key, event }].
+ */
+export const findProactiveMatches = (events, locationType, placeKey, state, now = new Date()) => {
+  if (!locationType) return [];
+  const wanted = locationType.toLowerCase();
+  const todayKey = toDateKey(now);
+  const matching = events.filter(event => event.locationType && event.locationType.toLowerCase() === wanted);
+  const dismissedHere = state.dismissed[placeKey] || {};
+
+  return expandEvents(matching, todayKey, addDaysToKey(todayKey, SUGGESTION_HORIZON_DAYS))
+    .filter(event => getEventStart(event) > now)
+    .map(event => ({ key: getOccurrenceKey(event), event }))
+    .filter(({ key }) => !dismissedHere[key] && !(state.snoozed[key] > now.getTime()))
+    .sort((a, b) => getEventStart(a.event) - getEventStart(b.event))
+    .filter((match, index, matches) => matches.findIndex(other => other.event.id === match.event.id) === index);
+};
+
+/**
+ * When a snooze of `minutes` ends; null minutes means "until tomorrow" (local midnight).
+ */
+export const getSnoozeEnd = (minutes, now = new Date()) => {
+  if (minutes === null) {
+    const tomorrow = new Date(now);
+    tomorrow.setHours(24, 0, 0, 0);
+    return tomorrow.getTime();
+  }
+  return now.getTime() + minutes * 60000;
+};
+
+/**
+ * The start time for doing something right away: now, rounded up to the next 5 minutes.
+ * Returns { date, time } on the clock of `timeZone` (the browser's when omitted).
+ */
+export const getStartNowSlot = (now = new Date(), timeZone = null) => {
+  const start = new Date(now);
+  start.setSeconds(0, 0);
+  start.setMinutes(Math.ceil(start.getMinutes() / 5) * 5);
+  if (timeZone) return getZoneParts(start, timeZone);
+  return { date: toDateKey(start), time: minutesToTime(start.getHours() * 60 + start.getMinutes()) };
+};
+
+/**
+ * Drops expired snoozes and dismissals of occurrences that are already in the past.
+ */
+export const pruneSuggestionState = (state, now = new Date()) => {
+  const todayKey = toDateKey(now);
+  const snoozed = Object.fromEntries(Object.entries(state.snoozed).filter(([, until]) => until > now.getTime()));
+  const dismissed = {};
+  Object.entries(state.dismissed).forEach(([placeKey, entries]) => {
+    const kept = Object.fromEntries(Object.entries(entries).filter(([, dateKey]) => dateKey >= todayKey));
+    if (Object.keys(kept).length > 0) dismissed[placeKey] = kept;
+  });
+  return { snoozed, dismissed };
+};
+
+/**
+ * Reads the snoozes and dismissals saved on this device.
+ */
+export const loadSuggestionState = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SUGGESTION_STATE_STORAGE_KEY) || 'null');
+    return stored ? pruneSuggestionState({ snoozed: stored.snoozed || {}, dismissed: stored.dismissed || {} }) : EMPTY_SUGGESTION_STATE;
+  } catch {
+    return EMPTY_SUGGESTION_STATE;
+  }
+};
+
+/**
+ * Saves the snoozes and dismissals on this device.
+ */
+export const saveSuggestionState = (state) => {
+  localStorage.setItem(SUGGESTION_STATE_STORAGE_KEY, JSON.stringify(state));
+};
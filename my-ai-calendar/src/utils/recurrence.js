@@ -0,0 +1,258 @@
+// Recurrence rules modelled on RFC 5545 RRULEs.
+// A recurring event stores a `recurrence` object next to its first occurrence's date/time:
+//   { freq: 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY', interval: 1, byDay: ['MO', 'WE'] or ['1MO', '-1FR'],
+//     until: 'YYYY-MM-DD' | null, count: number | null, exceptions: ['YYYY-MM-DD', ...] }
+// Non-recurring events have `recurrence: null` (or no field at all, for older documents).
+import { addDaysToKey, daysBetweenKeys } from './eventTime';
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Indexed like Date.getDay()
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FREQUENCY_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+const BY_DAY_PATTERN = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+// Hard stop so a malformed rule can never spin forever (counted from the period the walk starts in)
+const MAX_ITERATIONS = 10000;
+
+// Helper function to build a UTC date from a 'YYYY-MM-DD' key (UTC arithmetic sidesteps DST jumps)
+const keyToUtc = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Helper function to turn a UTC date back into a 'YYYY-MM-DD' key
+const utcToKey = (date) => date.toISOString().slice(0, 10);
+
+// Helper function to get the days in a month for UTC arithmetic
+const daysInUtcMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Helper function to parse a BYDAY entry such as 'MO', '2TU' or '-1FR'
+const parseByDay = (entry) => {
+  const match = BY_DAY_PATTERN.exec(entry);
+  if (!match) return null;
+  return { ordinal: match[1] ? Number(match[1]) : 0, weekday: WEEKDAY_CODES.indexOf(match[2]) };
+};
+
+// Helper function to find the date keys in a month that match the given BYDAY entries
+const monthDaysForByDay = (year, month, byDay) => {
+  const totalDays = daysInUtcMonth(year, month);
+  const keys = [];
+  byDay.map(parseByDay).filter(Boolean).forEach(({ ordinal, weekday }) => {
+    const matching = [];
+    for (let day = 1; day <= totalDays; day++) {
+      if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+        matching.push(day);
+      }
+    }
+    if (ordinal === 0) {
+      matching.forEach(day => keys.push(utcToKey(new Date(Date.UTC(year, month, day)))));
+    } else {
+      const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (day) keys.push(utcToKey(new Date(Date.UTC(year, month, day))));
+    }
+  });
+  return [...new Set(keys)].sort();
+};
+
+/**
+ * Cleans up a recurrence rule coming from the LLM, a form or Firestore.
+ * Returns null when the input doesn't describe a usable rule.
+ */
+export const normalizeRecurrence = (rule) => {
+  if (!rule || typeof rule !== 'object') return null;
+  const freq = String(rule.freq || '').toUpperCase();
+  if (!FREQUENCIES.includes(freq)) return null;
+
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+  const byDay = Array.isArray(rule.byDay)
+    ? rule.byDay.map(entry => String(entry).toUpperCase().trim()).filter(entry => BY_DAY_PATTERN.test(entry))
+    : [];
+  const until = typeof rule.until === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(rule.until) ? rule.until : null;
+  const count = parseInt(rule.count, 10) > 0 ? parseInt(rule.count, 10) : null;
+  const exceptions = Array.isArray(rule.exceptions)
+    ? [...new Set(rule.exceptions.filter(key => /^\d{4}-\d{2}-\d{2}$/.test(key)))].sort()
+    : [];
+
+  return { freq, interval, byDay, until, count, exceptions };
+};
+
+// Helper function to check whether an event repeats
+export const isRecurring = (event) => !!normalizeRecurrence(event?.recurrence);
+
+// Helper function to find the period (day, week, month or year, in steps of `interval`) of a series that
+// contains `dateKey`, counted from the period of its start
+const getPeriodIndex = (startKey, rule, dateKey) => {
+  const start = keyToUtc(startKey);
+  const date = keyToUtc(dateKey);
+  let periods;
+  if (rule.freq === 'DAILY') {
+    periods = daysBetweenKeys(startKey, dateKey);
+  } else if (rule.freq === 'WEEKLY') {
+    // From the Monday of the start's week, as walkOccurrences counts weeks
+    periods = Math.floor((daysBetweenKeys(startKey, dateKey) + ((start.getUTCDay() + 6) % 7)) / 7);
+  } else if (rule.freq === 'MONTHLY') {
+    periods = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+  } else {
+    periods = date.getUTCFullYear() - start.getUTCFullYear();
+  }
+  return Math.max(0, Math.floor(periods / rule.interval));
+};
+
+/**
+ * Generates occurrence date keys for a recurring event, in order, until `callback` returns false.
+ * Exceptions are skipped but still count towards `count`, as EXDATEs do in RFC 5545.
+ * Walking starts at the period containing `fromKey` (earlier occurrences may or may not be generated),
+ * except for rules with a `count`, which are walked from the start so occurrences are counted right.
+ */
+const walkOccurrences = (startKey, rule, callback, fromKey = startKey) => {
+  const start = keyToUtc(startKey);
+  let produced = 0;
+  let iterations = rule.count || fromKey <= startKey ? 0 : getPeriodIndex(startKey, rule, fromKey);
+  // A counted rule's periods before the window each produce at least one of its `count` occurrences
+  // (bar months or years without the day), so they get their own allowance
+  const maxIterations = iterations + MAX_ITERATIONS + (rule.count || 0);
+
+  // Emits one candidate; returns false once the rule is exhausted or the callback wants to stop
+  const emit = (dateKey) => {
+    if (dateKey < startKey) return true;
+    if (rule.until && dateKey > rule.until) return false;
+    if (rule.count && produced >= rule.count) return false;
+    produced++;
+    if (rule.exceptions.includes(dateKey)) return true;
+    return callback(dateKey) !== false;
+  };
+
+  while (iterations < maxIterations) {
+    let candidates;
+    if (rule.freq === 'DAILY') {
+      const date = new Date(start);
+      date.setUTCDate(start.getUTCDate() + iterations * rule.interval);
+      candidates = [utcToKey(date)];
+    } else if (rule.freq === 'WEEKLY') {
+      // Weeks start on Monday (RFC 5545's default WKST)
+      const weekStart = new Date(start);
+      weekStart.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7) + iterations * rule.interval * 7);
+      const weekdays = rule.byDay.length > 0
+        ? rule.byDay.map(parseByDay).filter(Boolean).map(entry => entry.weekday)
+        : [start.getUTCDay()];
+      candidates = [...new Set(weekdays)]
+        .map(weekday => {
+          const date = new Date(weekStart);
+          date.setUTCDate(weekStart.getUTCDate() + ((weekday + 6) % 7));
+          return utcToKey(date);
+        })
+        .sort();
+    } else if (rule.freq === 'MONTHLY') {
+      const monthIndex = start.getUTCMonth() + iterations * rule.interval;
+      const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = monthIndex % 12;
+      if (rule.byDay.length > 0) {
+        candidates = monthDaysForByDay(year, month, rule.byDay);
+      } else {
+        // Months without the start's day of month (e.g. the 31st) are skipped, as in RFC 5545
+        const day = start.getUTCDate();
+        candidates = day <= daysInUtcMonth(year, month) ? [utcToKey(new Date(Date.UTC(year, month, day)))] : [];
+      }
+    } else {
+      const year = start.getUTCFullYear() + iterations * rule.interval;
+      const month = start.getUTCMonth();
+      const day = start.getUTCDate();
+      candidates = day <= daysInUtcMonth(year, month) ? [utcToKey(new Date(Date.UTC(year, month, day)))] : [];
+    }
+
+    for (const dateKey of candidates) {
+      if (!emit(dateKey)) return;
+    }
+    iterations++;
+  }
+};
+
+/**
+ * Returns the date keys on which an event occurs between `fromKey` and `toKey` (inclusive).
+ */
+export const getOccurrenceDates = (event, fromKey, toKey) => {
+  const rule = normalizeRecurrence(event.recurrence);
+  if (!rule) {
+    return event.date >= fromKey && event.date <= toKey ? [event.date] : [];
+  }
+
+  const dates = [];
+  walkOccurrences(event.date, rule, (dateKey) => {
+    if (dateKey > toKey) return false;
+    if (dateKey >= fromKey) dates.push(dateKey);
+    return true;
+  }, fromKey);
+  return dates;
+};
+
+/**
+ * Expands events into individual occurrences between `fromKey` and `toKey` (inclusive).
+ * Each occurrence keeps the series `id` and gets `date` set to the day it falls on,
+ * plus `occurrenceDate` so edit/delete can tell which instance was picked.
+ */
+export const expandEvents = (events, fromKey, toKey) => {
+  const occurrences = [];
+  events.forEach(event => {
+    const recurring = isRecurring(event);
+    getOccurrenceDates(event, fromKey, toKey).forEach(dateKey => {
+      occurrences.push(recurring ? { ...event, date: dateKey, occurrenceDate: dateKey } : event);
+    });
+  });
+  return occurrences;
+};
+
+// Helper function to count the occurrences of a series that fall before a given date
+const countOccurrencesBefore = (event, rule, dateKey) => {
+  let count = 0;
+  walkOccurrences(event.date, { ...rule, exceptions: [] }, (occurrenceKey) => {
+    if (occurrenceKey >= dateKey) return false;
+    count++;
+    return true;
+  });
+  return count;
+};
+
+/**
+ * Splits a series at `occurrenceDate` for "this and following" edits/deletes.
+ * Returns the rule that ends the original series the day before, and the rule for a new
+ * series starting at `occurrenceDate` (with `count` reduced by the occurrences already used).
+ */
+export const splitRecurrence = (event, occurrenceDate) => {
+  const rule = normalizeRecurrence(event.recurrence);
+  const usedCount = rule.count ? countOccurrencesBefore(event, rule, occurrenceDate) : 0;
+  return {
+    before: { ...rule, until: addDaysToKey(occurrenceDate, -1), count: null, exceptions: rule.exceptions.filter(key => key < occurrenceDate) },
+    after: { ...rule, count: rule.count ? Math.max(1, rule.count - usedCount) : null, exceptions: rule.exceptions.filter(key => key >= occurrenceDate) }
+  };
+};
+
+// Helper function to add a skipped date to a rule ("delete/edit this occurrence")
+export const addRecurrenceException = (rule, dateKey) => {
+  const normalized = normalizeRecurrence(rule);
+  return { ...normalized, exceptions: [...new Set([...normalized.exceptions, dateKey])].sort() };
+};
+
+/**
+ * Builds a short human-readable summary, e.g. "Every 2 weeks on Mon, Wed until 2025-12-31".
+ */
+export const describeRecurrence = (rule) => {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return '';
+  const unit = FREQUENCY_UNITS[normalized.freq];
+  let text = normalized.interval === 1 ? `Every ${unit}` : `Every ${normalized.interval} ${unit}s`;
+  if (normalized.byDay.length > 0) {
+    const days = normalized.byDay.map(entry => {
+      const { ordinal, weekday } = parseByDay(entry);
+      if (!ordinal) return WEEKDAY_NAMES[weekday];
+      const ordinalName = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', 5: '5th', '-1': 'last' }[ordinal] || `${ordinal}th`;
+      return `${ordinalName} ${WEEKDAY_NAMES[weekday]}`;
+    });
+    text += ` on ${days.join(', ')}`;
+  }
+  if (normalized.until) text += ` until ${normalized.until}`;
+  if (normalized.count) text += `, ${normalized.count} times`;
+  return text;
+};
+
+// Helper function to get the weekday code ('MO', 'TU', ...) for a 'YYYY-MM-DD' key
+export const weekdayCodeForKey = (dateKey) => WEEKDAY_CODES[keyToUtc(dateKey).getUTCDay()];
@@ -0,0 +1,119 @@
+// Event reminders. An event may carry `reminders`, a list of:
+//   { minutesBefore: 15 }             a fixed offset before the start ("15 minutes before"; 0 = at the start)
+//   { daysBefore: 1, time: '20:00' }  a clock time on an earlier day ("the day before at 8pm"; 0 = the same day)
+// Reminders apply to every occurrence of a recurring event. Clock times are on the browser's clock,
+// wherever the event itself takes place.
+import { addDaysToKey, getEventStart, isValidTime, toDateKey } from './eventTime';
+import { expandEvents } from './recurrence';
+
+export const MAX_REMINDERS = 5;
+
+// Offered in the reminder pickers and as the default-reminder preference
+export const REMINDER_PRESETS = [
+  { minutesBefore: 0 },
+  { minutesBefore: 5 },
+  { minutesBefore: 10 },
+  { minutesBefore: 15 },
+  { minutesBefore: 30 },
+  { minutesBefore: 60 },
+  { minutesBefore: 120 },
+  { minutesBefore: 1440 },
+  { daysBefore: 1, time: '20:00' },
+  { daysBefore: 0, time: '08:00' }
+];
+
+// Helper function to check a whole, non-negative number within a limit
+const isCount = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+
+/**
+ * Returns a clean copy of one reminder, or null if it isn't a valid reminder.
+ */
+export const normalizeReminder = (reminder) => {
+  if (!reminder || typeof reminder !== 'object') return null;
+  const minutesBefore = Number(reminder.minutesBefore);
+  const daysBefore = Number(reminder.daysBefore);
+  if (reminder.time !== undefined && reminder.time !== null && reminder.time !== '') {
+    return isValidTime(reminder.time) && isCount(daysBefore, 30) ? { daysBefore, time: reminder.time } : null;
+  }
+  if (reminder.minutesBefore !== undefined && reminder.minutesBefore !== null) {
+    return isCount(minutesBefore, 30 * 1440) ? { minutesBefore } : null;
+  }
+  return null;
+};
+
+// Helper function to compare reminders
+export const isSameReminder = (a, b) => a.minutesBefore === b.minutesBefore && a.daysBefore === b.daysBefore && a.time === b.time;
+
+/**
+ * Cleans a list of reminders: drops invalid entries and duplicates, sorts earliest-first, keeps at most MAX_REMINDERS.
+ */
+export const normalizeReminders = (reminders) => {
+  if (!Array.isArray(reminders)) return [];
+  const unique = [];
+  reminders.map(normalizeReminder).filter(Boolean).forEach(reminder => {
+    if (!unique.some(existing => isSameReminder(existing, reminder))) unique.push(reminder);
+  });
+  return unique.sort((a, b) => getLeadMinutes(b) - getLeadMinutes(a)).slice(0, MAX_REMINDERS);
+};
+
+// Helper function to estimate how far ahead of a 09:00 start a reminder fires, for sorting
+const getLeadMinutes = (reminder) => {
+  if (reminder.minutesBefore !== undefined) return reminder.minutesBefore;
+  const [hours, minutes] = reminder.time.split(':').map(Number);
+  return reminder.daysBefore * 1440 + 9 * 60 - (hours * 60 + minutes);
+};
+
+// Helper function to format an amount with a unit, e.g. (2, 'hour') -> "2 hours"
+const pluralize = (amount, unit) => `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+
+/**
+ * Describes a reminder for display, e.g. "15 minutes before", "the day before at 20:00".
+ */
+export const describeReminder = (reminder) => {
+  if (reminder.time !== undefined) {
+    if (reminder.daysBefore === 0) return `on the day at ${reminder.time}`;
+    if (reminder.daysBefore === 1) return `the day before at ${reminder.time}`;
+    return `${reminder.daysBefore} days before at ${reminder.time}`;
+  }
+  const minutes = reminder.minutesBefore;
+  if (minutes === 0) return 'at the start';
+  if (minutes % 1440 === 0) return `${pluralize(minutes / 1440, 'day')} before`;
+  if (minutes % 60 === 0) return `${pluralize(minutes / 60, 'hour')} before`;
+  return `${pluralize(minutes, 'minute')} before`;
+};
+
+/**
+ * When a reminder fires for one occurrence of an event, as a local Date.
+ */
+export const getReminderTime = (occurrence, reminder) => {
+  if (reminder.time !== undefined) {
+    const localDate = toDateKey(getEventStart(occurrence));
+    return new Date(`${addDaysToKey(localDate, -reminder.daysBefore)}T${reminder.time}`);
+  }
+  return new Date(getEventStart(occurrence).getTime() - reminder.minutesBefore * 60000);
+};
+
+// Helper function to identify one reminder of one occurrence; changes when the event is rescheduled
+const getReminderKey = (occurrence, reminder) => (
+  `${occurrence.id}|${occurrence.date}|${occurrence.time}|${reminder.minutesBefore ?? ''}|${reminder.daysBefore ?? ''}|${reminder.time ?? ''}`
+);
+
+/**
+ * Lists the reminders that fire in [from, until), earliest first, as [{ key, at, event, reminder }].
+ * `event` is the occurrence the reminder is for; recurring events are expanded.
+ */
+export const getUpcomingReminders = (events, from, until) => {
+  const withReminders = events.filter(event => normalizeReminders(event.reminders).length > 0);
+  if (withReminders.length === 0) return [];
+
+  // Reminders can fire up to 30 days ahead of their occurrence
+  const occurrences = expandEvents(withReminders, toDateKey(from), addDaysToKey(toDateKey(until), 31));
+  const upcoming = [];
+  occurrences.forEach(occurrence => {
+    normalizeReminders(occurrence.reminders).forEach(reminder => {
+      const at = getReminderTime(occurrence, reminder);
+      if (at >= from && at < until) upcoming.push({ key: getReminderKey(occurrence, reminder), at, event: occurrence, reminder });
+    });
+  });
+  return upcoming.sort((a, b) => a.at - b.at);
+};
@@ -0,0 +1,279 @@
+// Validation and planning for the optimizer's suggested changes.
+// A suggestion is only applied when every change checks out, and it is applied as one batch of
+// write operations together with the operations that undo it, so it can be reverted in one step.
+//
+// Change types:
+//   add    { eventDetails: { title, date, time, duration, description, locationType } }
+//   move   { eventId, newDate?, newTime?, newDuration? }      (old* fields are informational only)
+//   edit   { eventId, newTitle?, newDescription?, newDuration? }
+//   split  { eventId, parts: [{ title?, date, time, duration }, ...] }   (first part keeps the original event)
+//   delete { eventId }
+import { getEventDuration, isValidDateKey, isValidTime } from './eventTime';
+import { isRecurring } from './recurrence';
+
+export const CHANGE_TYPES = ['add', 'move', 'edit', 'split', 'delete'];
+
+// Helper function to check an optional duration field
+const isValidDuration = (duration) => Number.isInteger(Number(duration)) && Number(duration) > 0;
+
+/**
+ * Checks a suggestion's changes against the current events.
+ * `canModify(event)` (optional) says whether the user may change an event, e.g. in a view-only shared calendar.
+ * Returns a list of human-readable problems; an empty list means the suggestion can be applied.
+ */
+export const validateSuggestionChanges = (changes, events, { canModify = () => true } = {}) => {
+  if (!Array.isArray(changes) || changes.length === 0) return ['The suggestion contains no changes.'];
+
+  const problems = [];
+  const referencedIds = new Set();
+  changes.forEach((change, index) => {
+    const label = `Change ${index + 1}`;
+    if (!change || !CHANGE_TYPES.includes(change.type)) {
+      problems.push(`${label} has an unknown type "${change?.type}".`);
+      return;
+    }
+
+    if (change.type === 'add') {
+      const details = change.eventDetails;
+      if (!details || !details.title) {
+        problems.push(`${label} adds an event without a title.`);
+        return;
+      }
+      if (!isValidDateKey(details.date)) problems.push(`${label} ("${details.title}") has an invalid date "${details.date}".`);
+      if (!isValidTime(details.time)) problems.push(`${label} ("${details.title}") has an invalid time "${details.time}".`);
+      if (details.duration !== undefined && !isValidDuration(details.duration)) {
+        problems.push(`${label} ("${details.title}") has an invalid duration "${details.duration}".`);
+      }
+      return;
+    }
+
+    // Every other change must point at an event that actually exists, once
+    const existing = events.find(event => event.id === change.eventId);
+    if (!existing) {
+      problems.push(`${label} refers to an event that doesn't exist ("${change.eventTitle || change.eventId || 'no ID'}").`);
+      return;
+    }
+    if (referencedIds.has(change.eventId)) {
+      problems.push(`${label} changes "${existing.title}" more than once.`);
+    }
+    referencedIds.add(change.eventId);
+    if (!canModify(existing)) {
+      problems.push(`${label} changes "${existing.title}", which is in a calendar you can only view.`);
+    }
+
+    if (change.newDate !== undefined && !isValidDateKey(change.newDate)) {
+      problems.push(`${label} moves "${existing.title}" to an invalid date "${change.newDate}".`);
+    }
+    if (change.newTime !== undefined && !isValidTime(change.newTime)) {
+      problems.push(`${label} moves "${existing.title}" to an invalid time "${change.newTime}".`);
+    }
+    if (change.newDuration !== undefined && !isValidDuration(change.newDuration)) {
+      problems.push(`${label} gives "${existing.title}" an invalid duration "${change.newDuration}".`);
+    }
+
+    if (change.type === 'move' && change.newDate === undefined && change.newTime === undefined) {
+      problems.push(`${label} moves "${existing.title}" without a new date or time.`);
+    } else if (change.type === 'edit') {
+      if (change.newTitle === undefined && change.newDescription === undefined && change.newDuration === undefined) {
+        problems.push(`${label} edits "${existing.title}" without changing anything.`);
+      }
+      if (change.newTitle !== undefined && !String(change.newTitle).trim()) {
+        problems.push(`${label} gives "${existing.title}" an empty title.`);
+      }
+    } else if (change.type === 'split') {
+      if (isRecurring(existing)) {
+        problems.push(`${label} splits "${existing.title}", but recurring events can't be split.`);
+      }
+      if (!Array.isArray(change.parts) || change.parts.length < 2) {
+        problems.push(`${label} splits "${existing.title}" into fewer than two parts.`);
+      } else {
+        change.parts.forEach((part, partIndex) => {
+          if (!isValidDateKey(part?.date) || !isValidTime(part?.time) || !isValidDuration(part?.duration)) {
+            problems.push(`${label} has an invalid part ${partIndex + 1} for "${existing.title}" (needs a date, time and duration).`);
+          }
+        });
+      }
+    }
+  });
+  return problems;
+};
+
+/**
+ * Returns how an existing event looks once a move/edit change is applied, or the new event of an add.
+ * Split changes return one event per part. Returns [] for deletes and changes that don't resolve.
+ */
+export const getChangedEvents = (change, events) => {
+  if (change.type === 'add') {
+    return change.eventDetails ? [{ ...change.eventDetails, duration: getEventDuration(change.eventDetails) }] : [];
+  }
+  const existing = events.find(event => event.id === change.eventId);
+  if (!existing) return [];
+
+  if (change.type === 'move' || change.type === 'edit') {
+    return [{
+      ...existing,
+      title: change.newTitle !== undefined ? change.newTitle : existing.title,
+      description: change.newDescription !== undefined ? change.newDescription : existing.description,
+      date: change.newDate || existing.date,
+      time: change.newTime || existing.time,
+      duration: change.newDuration !== undefined ? Number(change.newDuration) : getEventDuration(existing)
+    }];
+  }
+  if (change.type === 'split' && Array.isArray(change.parts)) {
+    return change.parts.map(part => ({
+      ...existing,
+      title: part.title || existing.title,
+      date: part.date,
+      time: part.time,
+      duration: Number(part.duration),
+      recurrence: null
+    }));
+  }
+  return [];
+};
+
+/**
+ * Collects the events a suggestion will add or reschedule, for conflict checking.
+ * Returns { entries: [{ change, candidate }], replacedIds }, where replacedIds are the existing events
+ * the suggestion moves, edits, splits or deletes (they shouldn't count as conflicts with themselves).
+ * Title/description-only edits don't change timing and aren't included.
+ */
+export const collectSuggestionCandidates = (changes, events) => {
+  const replacedIds = changes.filter(change => change.type !== 'add').map(change => change.eventId);
+  const entries = [];
+  changes.forEach(change => {
+    const reschedules = change.type === 'add' || change.type === 'move' || change.type === 'split'
+      || (change.type === 'edit' && change.newDuration !== undefined);
+    if (!reschedules) return;
+    getChangedEvents(change, events).forEach(candidate => entries.push({ change, candidate }));
+  });
+  return { entries, replacedIds };
+};
+
+// Helper function to get an event's stored fields, without the id the snapshot listener adds
+const toStoredFields = (event) => {
+  const fields = { ...event };
+  delete fields.id;
+  return fields;
+};
+
+// Helper function to pick the fields of `event` that a change may touch, for writing or restoring
+const pickFields = (event, fieldNames) => {
+  const fields = {};
+  fieldNames.forEach(name => {
+    fields[name] = name === 'duration' ? getEventDuration(event) : (event[name] ?? '');
+  });
+  return fields;
+};
+
+/**
+ * Turns validated changes into write operations plus the operations that restore the prior state.
+ * Operations are { type: 'set' | 'update' | 'delete', id, data }.
+ * `placements` maps a change to its conflict-checked events (one per part for splits, as returned by
+ * getChangedEvents); `createId` returns a fresh document id.
+ */
+export const planSuggestionChanges = (changes, events, placements, createId) => {
+  const operations = [];
+  const undoOperations = [];
+
+  changes.forEach(change => {
+    const placed = placements.get(change) || getChangedEvents(change, events);
+    const existing = events.find(event => event.id === change.eventId);
+
+    if (change.type === 'add') {
+      const id = createId();
+      operations.push({
+        type: 'set',
+        id,
+        data: {
+          title: change.eventDetails.title,
+          date: placed[0].date,
+          time: placed[0].time,
+          duration: getEventDuration(change.eventDetails),
+          description: change.eventDetails.description || '',
+          locationType: change.eventDetails.locationType || ''
+        }
+      });
+      undoOperations.push({ type: 'delete', id });
+    } else if (change.type === 'move' || change.type === 'edit') {
+      // Only write the fields this change is about
+      const fieldNames = [];
+      if (change.type === 'move' || change.newDuration !== undefined) fieldNames.push('date', 'time');
+      if (change.newDuration !== undefined) fieldNames.push('duration');
+      if (change.newTitle !== undefined) fieldNames.push('title');
+      if (change.newDescription !== undefined) fieldNames.push('description');
+      operations.push({ type: 'update', id: existing.id, data: pickFields(placed[0], fieldNames) });
+      undoOperations.push({ type: 'update', id: existing.id, data: pickFields(existing, fieldNames) });
+    } else if (change.type === 'split') {
+      const fieldNames = ['title', 'date', 'time', 'duration'];
+      // The first part keeps the original document; the rest become new events with the same details
+      operations.push({ type: 'update', id: existing.id, data: pickFields(placed[0], fieldNames) });
+      undoOperations.push({ type: 'update', id: existing.id, data: pickFields(existing, fieldNames) });
+      const baseFields = toStoredFields(existing);
+      // Identity fields belong to the original only (an .ics UID or a detached occurrence link)
+      delete baseFields.uid;
+      delete baseFields.recurringEventId;
+      delete baseFields.originalDate;
+      placed.slice(1).forEach(part => {
+        const id = createId();
+        // New parts stay in the original's calendar (when calendars are shared, see storage/calendarSet)
+        operations.push({ type: 'set', id, calendarId: existing.calendarId, data: { ...baseFields, ...pickFields(part, fieldNames), recurrence: null } });
+        undoOperations.push({ type: 'delete', id });
+      });
+    } else if (change.type === 'delete') {
+      operations.push({ type: 'delete', id: existing.id });
+      // Re-create the document under the same id so references (e.g. detached occurrences) still resolve
+      undoOperations.push({ type: 'set', id: existing.id, data: toStoredFields(existing) });
+    }
+  });
+
+  // Undo in reverse order of application
+  return { operations, undoOperations: undoOperations.reverse() };
+};
+
+/**
+ * Builds the calendar as it would look with a suggestion applied, for previewing before Accept.
+ * Returns the current events plus ghosts, with affected ones tagged by a `preview` field:
+ *   'added'     a new event (ghost)
+ *   'moved'     where a moved, resized or split event ends up (ghost); `previewFrom` is the original
+ *   'movedFrom' an existing event in the slot it leaves; `previewTo` is where it goes
+ *   'edited'    an existing event whose title/description changes in place; `previewFrom` is the original
+ *   'deleted'   an existing event that would be removed
+ * Ghost ids are derived from the original so occurrence keys stay unique.
+ */
+export const getSuggestionPreviewEvents = (changes, events) => {
+  const replaced = new Map();
+  const ghosts = [];
+  (changes || []).forEach((change, changeIndex) => {
+    const changed = getChangedEvents(change, events);
+    if (change.type === 'add') {
+      changed.forEach(event => ghosts.push({ ...event, id: `preview-${changeIndex}`, preview: 'added' }));
+      return;
+    }
+    const existing = events.find(event => event.id === change.eventId);
+    if (!existing) return;
+
+    if (change.type === 'delete') {
+      replaced.set(existing.id, { ...existing, preview: 'deleted' });
+      return;
+    }
+    const timingChanged = changed.length > 1 || changed.some(event => (
+      event.date !== existing.date || event.time !== existing.time || getEventDuration(event) !== getEventDuration(existing)
+    ));
+    if (!timingChanged) {
+      replaced.set(existing.id, { ...changed[0], preview: 'edited', previewFrom: existing });
+      return;
+    }
+    replaced.set(existing.id, { ...existing, preview: 'movedFrom', previewTo: changed[0] });
+    changed.forEach((event, partIndex) => {
+      ghosts.push({ ...event, id: `${existing.id}-preview-${partIndex}`, preview: 'moved', previewFrom: existing });
+    });
+  });
+  return [...events.map(event => replaced.get(event.id) || event), ...ghosts];
+};
+
+// Helper function to tell whether a previewed event would no longer be there once the suggestion is applied
+export const isLeavingInPreview = (event) => event.preview === 'movedFrom' || event.preview === 'deleted';
+
+// Helper function to tell whether an event only exists in a suggestion preview
+export const isPreviewGhost = (event) => event.preview === 'added' || event.preview === 'moved';
@@ -0,0 +1,137 @@
+// Time zone primitives built on Intl (no time zone database of our own).
+// Events may carry an IANA `timeZone` (e.g. 'Europe/London'): their `date` and `time` are the wall-clock
+// start in that zone. Events without one are "floating" and read in the browser's zone, as before.
+// Flights and other trips can also carry an `endTimeZone`: the end is shown in that zone.
+
+// Offered first in time zone pickers; any other IANA name the browser knows is accepted too
+export const COMMON_TIME_ZONES = [
+  'UTC',
+  'America/Los_Angeles',
+  'America/Denver',
+  'America/Chicago',
+  'America/New_York',
+  'America/Toronto',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Dublin',
+  'Europe/Lisbon',
+  'Europe/Paris',
+  'Europe/Berlin',
+  'Europe/Madrid',
+  'Europe/Rome',
+  'Europe/Amsterdam',
+  'Europe/Stockholm',
+  'Europe/Athens',
+  'Europe/Moscow',
+  'Africa/Johannesburg',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Hong_Kong',
+  'Asia/Shanghai',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'Pacific/Auckland'
+];
+
+// Formatters are slow to build, so keep one per zone
+const partFormatters = new Map();
+
+// Helper function to get a formatter that splits an instant into wall-clock parts in `timeZone`
+const getPartFormatter = (timeZone) => {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return partFormatters.get(timeZone);
+};
+
+/**
+ * The browser's own time zone, e.g. 'Europe/Berlin'.
+ */
+export const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Whether `timeZone` is an IANA zone name this browser understands.
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getPartFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Every zone the browser knows, common ones first (for pickers).
+ */
+export const getTimeZoneOptions = () => {
+  const all = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return [...COMMON_TIME_ZONES, ...all.filter(zone => !COMMON_TIME_ZONES.includes(zone))];
+};
+
+/**
+ * The wall-clock date and time of `instant` (a Date) in `timeZone`, as { date: 'YYYY-MM-DD', time: 'HH:MM' }.
+ */
+export const getZoneParts = (instant, timeZone) => {
+  const parts = Object.fromEntries(getPartFormatter(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+// Helper function to read wall-clock parts as if they were UTC, in milliseconds
+const wallClockToUtcMs = (dateKey, time) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes);
+};
+
+/**
+ * The instant (a Date) at which the wall clock in `timeZone` shows `dateKey` `time`.
+ * Times skipped by a daylight-saving jump resolve to a real time an hour away.
+ */
+export const zonedTimeToInstant = (dateKey, time, timeZone) => {
+  const target = wallClockToUtcMs(dateKey, time);
+  // Guess with the offset at the target, then correct once for offsets that change in between
+  let instant = target;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const parts = getZoneParts(new Date(instant), timeZone);
+    instant += target - wallClockToUtcMs(parts.date, parts.time);
+  }
+  return new Date(instant);
+};
+
+/**
+ * Today's 'YYYY-MM-DD' in `timeZone` (the browser's zone when omitted).
+ */
+export const getTodayKey = (timeZone = getLocalTimeZone(), now = new Date()) => getZoneParts(now, timeZone).date;
+
+/**
+ * A Date whose local fields show the current wall-clock time in `timeZone`, for code that reads
+ * getHours()/getDate() (like the offline parser) but should think in that zone.
+ */
+export const getZonedNow = (timeZone, now = new Date()) => {
+  const { date, time } = getZoneParts(now, timeZone);
+  return new Date(`${date}T${time}`);
+};
+
+/**
+ * Short zone name at `instant`, e.g. 'GMT+1', 'EST' (what the browser calls it).
+ */
+export const getTimeZoneAbbreviation = (timeZone, instant = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }).formatToParts(instant);
+  return parts.find(part => part.type === 'timeZoneName')?.value || timeZone;
+};
+
+/**
+ * Readable zone name for pickers and labels, e.g. 'America/New_York' -> 'New York'.
+ */
+export const getTimeZoneCity = (timeZone) => timeZone.split('/').pop().replace(/_/g, ' ');
@@ -0,0 +1,62 @@
+// Layout helpers for the week/day timeline: where each event sits on a day's time axis,
+// and how overlapping events share the column width.
+import { getEventEnd, getEventStart } from './eventTime';
+
+const MINUTES_PER_DAY = 1440;
+
+/**
+ * Returns the part of each event that falls on `day` as { event, startMinutes, endMinutes },
+ * measured in minutes from midnight. Events that run past midnight are clipped to the day.
+ */
+export const getDaySegments = (events, day) => {
+  const dayStart = new Date(day);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+
+  return events
+    .map(event => ({ event, start: getEventStart(event), end: getEventEnd(event) }))
+    .filter(({ start, end }) => start < dayEnd && end > dayStart)
+    .map(({ event, start, end }) => ({
+      event,
+      startMinutes: Math.max(0, Math.round((start - dayStart) / 60000)),
+      endMinutes: Math.min(MINUTES_PER_DAY, Math.round((end - dayStart) / 60000))
+    }));
+};
+
+/**
+ * Assigns side-by-side columns to overlapping segments.
+ * Segments that overlap (directly or through a chain of overlaps) form a cluster; each one gets
+ * the first free column in its cluster, and `columnCount` is the number of columns that cluster needs.
+ */
+export const layoutDaySegments = (segments) => {
+  const sorted = [...segments].sort((a, b) => a.startMinutes - b.startMinutes || b.endMinutes - a.endMinutes);
+  const laidOut = [];
+  let cluster = [];
+  let clusterEnd = -1;
+
+  const closeCluster = () => {
+    const columnCount = cluster.reduce((max, segment) => Math.max(max, segment.column + 1), 1);
+    cluster.forEach(segment => laidOut.push({ ...segment, columnCount }));
+    cluster = [];
+  };
+
+  sorted.forEach(segment => {
+    if (cluster.length > 0 && segment.startMinutes >= clusterEnd) {
+      closeCluster();
+    }
+    // Reuse the first column whose last segment has already ended
+    const columnEnds = [];
+    cluster.forEach(placed => {
+      columnEnds[placed.column] = Math.max(columnEnds[placed.column] || 0, placed.endMinutes);
+    });
+    let column = columnEnds.findIndex(end => end <= segment.startMinutes);
+    if (column === -1) column = columnEnds.length;
+
+    cluster.push({ ...segment, column });
+    clusterEnd = cluster.length === 1 ? segment.endMinutes : Math.max(clusterEnd, segment.endMinutes);
+  });
+  if (cluster.length > 0) closeCluster();
+
+  return laidOut;
+};
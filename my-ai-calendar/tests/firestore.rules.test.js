@@ -0,0 +1,288 @@
+// Security rules tests for firestore.rules, run against the local Firestore emulator:
+//   npm run test:rules
+// Writes go through the app's own storage helpers where possible, so the tests exercise what the app sends.
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, doc, getDoc, getDocs, query, setDoc, updateDoc, where } from 'firebase/firestore';
+import { createFirestoreEventStore, getUserEventsPath } from '../src/storage/firestore.js';
+import {
+  acceptInvite,
+  cancelInvite,
+  createCalendar,
+  getCalendarEventsPath,
+  inviteToCalendar,
+  removeMember,
+  setMemberRole
+} from '../src/storage/calendars.js';
+
+const PROJECT_ID = 'demo-my-ai-calendar';
+
+const VALID_EVENT = {
+  title: 'Standup',
+  date: '2025-08-04',
+  time: '09:30',
+  duration: 30,
+  description: 'Daily sync',
+  locationType: 'office',
+  recurrence: { freq: 'WEEKLY', interval: 1, byDay: ['MO'], until: null, count: null, exceptions: [] },
+  reminders: [{ daysBefore: 1, time: '20:00' }, { minutesBefore: 15 }],
+  timeZone: 'Europe/London',
+  endTimeZone: null,
+  category: 'work',
+  tags: ['team', 'q4']
+};
+
+const TEAM_CALENDAR = {
+  name: 'Team',
+  color: '#10b981',
+  ownerId: 'alice',
+  memberIds: ['alice', 'bob', 'carol'],
+  roles: { alice: 'owner', bob: 'editor', carol: 'viewer' },
+  members: {
+    alice: { email: 'alice@example.com', displayName: 'Alice' },
+    bob: { email: 'bob@example.com', displayName: 'Bob' },
+    carol: { email: 'carol@example.com', displayName: 'Carol' }
+  },
+  invites: [{ email: 'dave@example.com', role: 'viewer' }],
+  inviteEmails: ['dave@example.com'],
+  createdAt: '2025-08-01T00:00:00.000Z'
+};
+
+let testEnv;
+
+// Helper function to get a Firestore instance signed in as `uid`
+const firestoreAs = (uid, token = {}) => testEnv.authenticatedContext(uid, token).firestore();
+
+// Helper function to get a Firestore instance for someone with a verified email, as the app's invitees have
+const firestoreWithEmail = (uid, email, emailVerified = true) => firestoreAs(uid, { email, email_verified: emailVerified });
+
+// Helper function to write test data without going through the rules
+const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+
+// Helper function to get the calendar as the app holds it (id plus data), for the calendar helpers
+const teamCalendar = () => ({ id: 'team', ...TEAM_CALENDAR });
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+  });
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(() => testEnv.clearFirestore());
+
+describe('personal calendars', () => {
+  const eventPath = (uid, id = 'event1') => `${getUserEventsPath(uid)}/${id}`;
+
+  test('a user can create, read, update and delete their own events', async () => {
+    const store = createFirestoreEventStore(firestoreAs('alice'), getUserEventsPath('alice'));
+    await assertSucceeds(store.commit([{ type: 'set', id: 'event1', data: VALID_EVENT }]));
+    await assertSucceeds(store.getAll());
+    await assertSucceeds(store.commit([{ type: 'update', id: 'event1', data: { time: '10:00', duration: 45 } }]));
+    await assertSucceeds(store.commit([{ type: 'delete', id: 'event1' }]));
+  });
+
+  test("another user can't read or write someone else's events", async () => {
+    await seed(eventPath('alice'), VALID_EVENT);
+    const bob = firestoreAs('bob');
+    await assertFails(getDoc(doc(bob, eventPath('alice'))));
+    await assertFails(getDocs(collection(bob, getUserEventsPath('alice'))));
+    await assertFails(setDoc(doc(bob, eventPath('alice', 'event2')), VALID_EVENT));
+    await assertFails(updateDoc(doc(bob, eventPath('alice')), { title: 'Hijacked' }));
+    await assertFails(deleteDoc(doc(bob, eventPath('alice'))));
+  });
+
+  test('signed-out clients have no access', async () => {
+    await seed(eventPath('alice'), VALID_EVENT);
+    const anonymous = testEnv.unauthenticatedContext().firestore();
+    await assertFails(getDoc(doc(anonymous, eventPath('alice'))));
+    await assertFails(setDoc(doc(anonymous, eventPath('alice', 'event2')), VALID_EVENT));
+  });
+
+  test('title, date and time are required', async () => {
+    const alice = firestoreAs('alice');
+    for (const field of ['title', 'date', 'time']) {
+      const { [field]: _omitted, ...event } = VALID_EVENT;
+      await assertFails(setDoc(doc(alice, eventPath('alice')), event));
+    }
+    await assertSucceeds(setDoc(doc(alice, eventPath('alice')), { title: 'Minimal', date: '2025-08-04', time: '9:05' }));
+  });
+
+  test('field formats are checked', async () => {
+    const alice = firestoreAs('alice');
+    const invalidEvents = [
+      { ...VALID_EVENT, title: '' },
+      { ...VALID_EVENT, title: 42 },
+      { ...VALID_EVENT, date: '2025-8-4' },
+      { ...VALID_EVENT, date: '04/08/2025' },
+      { ...VALID_EVENT, date: '2025-13-01' },
+      { ...VALID_EVENT, time: '25:00' },
+      { ...VALID_EVENT, time: '9am' },
+      { ...VALID_EVENT, duration: 0 },
+      { ...VALID_EVENT, duration: '60' },
+      { ...VALID_EVENT, originalDate: 'yesterday' },
+      { ...VALID_EVENT, recurrence: { freq: 'HOURLY' } },
+      { ...VALID_EVENT, recurrence: { freq: 'DAILY', interval: 0 } },
+      { ...VALID_EVENT, recurrence: 'every day' },
+      { ...VALID_EVENT, reminders: { minutesBefore: 15 } },
+      { ...VALID_EVENT, reminders: [{ minutesBefore: -5 }] },
+      { ...VALID_EVENT, reminders: [{ daysBefore: 1, time: '8pm' }] },
+      { ...VALID_EVENT, reminders: [{ minutesBefore: 15, sound: 'loud' }] },
+      { ...VALID_EVENT, timeZone: 60 },
+      { ...VALID_EVENT, timeZone: 'London time' },
+      { ...VALID_EVENT, endTimeZone: '' },
+      { ...VALID_EVENT, category: 7 },
+      { ...VALID_EVENT, tags: 'team' },
+      { ...VALID_EVENT, tags: ['team', ''] },
+      { ...VALID_EVENT, tags: ['team', 42] },
+      { ...VALID_EVENT, tags: ['x'.repeat(31)] },
+      { ...VALID_EVENT, tags: Array.from({ length: 11 }, (_, index) => `tag${index}`) }
+    ];
+    for (const event of invalidEvents) {
+      await assertFails(setDoc(doc(alice, eventPath('alice')), event));
+    }
+  });
+
+  test('unknown fields and oversized values are rejected', async () => {
+    const alice = firestoreAs('alice');
+    await assertFails(setDoc(doc(alice, eventPath('alice')), { ...VALID_EVENT, isAdmin: true }));
+    await assertFails(setDoc(doc(alice, eventPath('alice')), { ...VALID_EVENT, id: 'event1' }));
+    await assertFails(setDoc(doc(alice, eventPath('alice')), { ...VALID_EVENT, title: 'x'.repeat(201) }));
+    await assertFails(setDoc(doc(alice, eventPath('alice')), { ...VALID_EVENT, description: 'x'.repeat(5001) }));
+    await assertFails(setDoc(doc(alice, eventPath('alice')), { ...VALID_EVENT, locationType: 'x'.repeat(101) }));
+    await assertFails(setDoc(doc(alice, eventPath('alice')), { ...VALID_EVENT, timeZone: `Europe/${'x'.repeat(100)}` }));
+    await assertFails(setDoc(doc(alice, eventPath('alice')), {
+      ...VALID_EVENT,
+      recurrence: { ...VALID_EVENT.recurrence, exceptions: Array.from({ length: 1001 }, () => '2025-08-11') }
+    }));
+    await assertFails(setDoc(doc(alice, eventPath('alice')), {
+      ...VALID_EVENT,
+      reminders: Array.from({ length: 6 }, (_, index) => ({ minutesBefore: index * 5 }))
+    }));
+    await assertSucceeds(setDoc(doc(alice, eventPath('alice')), { ...VALID_EVENT, title: 'x'.repeat(200) }));
+  });
+
+  test('updates must leave a valid event', async () => {
+    await seed(eventPath('alice'), VALID_EVENT);
+    const alice = firestoreAs('alice');
+    await assertFails(updateDoc(doc(alice, eventPath('alice')), { time: 'noon' }));
+    await assertFails(updateDoc(doc(alice, eventPath('alice')), { pendingSync: true }));
+    await assertSucceeds(updateDoc(doc(alice, eventPath('alice')), { title: 'Weekly standup' }));
+  });
+});
+
+describe('shared calendars', () => {
+  const calendarEventPath = (id = 'event1') => `${getCalendarEventsPath('team')}/${id}`;
+
+  beforeEach(() => seed('calendars/team', TEAM_CALENDAR));
+
+  test('anyone signed in can create a calendar they own', async () => {
+    const erin = { uid: 'erin', email: 'erin@example.com', displayName: 'Erin' };
+    await assertSucceeds(createCalendar(firestoreAs('erin'), erin, { name: 'Book club', color: '#6366f1' }));
+  });
+
+  test("a new calendar can't name someone else as owner or include other members", async () => {
+    const erin = firestoreAs('erin');
+    const base = { ...TEAM_CALENDAR, ownerId: 'erin', memberIds: ['erin'], roles: { erin: 'owner' }, members: {}, invites: [], inviteEmails: [] };
+    await assertSucceeds(setDoc(doc(erin, 'calendars/mine'), base));
+    await assertFails(setDoc(doc(erin, 'calendars/theirs'), { ...base, ownerId: 'alice' }));
+    await assertFails(setDoc(doc(erin, 'calendars/crowded'), { ...base, memberIds: ['erin', 'bob'], roles: { erin: 'owner', bob: 'editor' } }));
+    await assertFails(setDoc(doc(erin, 'calendars/invalid'), { ...base, color: 'green' }));
+  });
+
+  test('members can read the calendar and find it by membership', async () => {
+    for (const uid of ['alice', 'bob', 'carol']) {
+      await assertSucceeds(getDoc(doc(firestoreAs(uid), 'calendars/team')));
+    }
+    const bob = firestoreAs('bob');
+    await assertSucceeds(getDocs(query(collection(bob, 'calendars'), where('memberIds', 'array-contains', 'bob'))));
+    await assertFails(getDoc(doc(firestoreAs('erin'), 'calendars/team')));
+    await assertFails(getDocs(collection(firestoreAs('erin'), 'calendars')));
+  });
+
+  test('invitees with a verified email can see the invitation', async () => {
+    const dave = firestoreWithEmail('dave', 'Dave@Example.com');
+    await assertSucceeds(getDoc(doc(dave, 'calendars/team')));
+    await assertSucceeds(getDocs(query(collection(dave, 'calendars'), where('inviteEmails', 'array-contains', 'dave@example.com'))));
+    await assertFails(getDoc(doc(firestoreWithEmail('dave', 'dave@example.com', false), 'calendars/team')));
+  });
+
+  test('owners and editors write events, viewers only read them', async () => {
+    await seed(calendarEventPath(), VALID_EVENT);
+    const bobStore = createFirestoreEventStore(firestoreAs('bob'), getCalendarEventsPath('team'));
+    await assertSucceeds(bobStore.commit([{ type: 'set', id: 'event2', data: VALID_EVENT }]));
+    await assertSucceeds(bobStore.commit([{ type: 'update', id: 'event1', data: { time: '11:00' } }]));
+    await assertSucceeds(bobStore.commit([{ type: 'delete', id: 'event2' }]));
+
+    const carol = firestoreAs('carol');
+    await assertSucceeds(getDocs(collection(carol, getCalendarEventsPath('team'))));
+    await assertFails(setDoc(doc(carol, calendarEventPath('event3')), VALID_EVENT));
+    await assertFails(updateDoc(doc(carol, calendarEventPath()), { title: 'Renamed' }));
+    await assertFails(deleteDoc(doc(carol, calendarEventPath())));
+
+    const erin = firestoreAs('erin');
+    await assertFails(getDocs(collection(erin, getCalendarEventsPath('team'))));
+    await assertFails(setDoc(doc(erin, calendarEventPath('event3')), VALID_EVENT));
+  });
+
+  test('shared events are validated like personal ones', async () => {
+    const alice = firestoreAs('alice');
+    await assertFails(setDoc(doc(alice, calendarEventPath()), { ...VALID_EVENT, date: 'tomorrow' }));
+    await assertFails(setDoc(doc(alice, calendarEventPath()), { ...VALID_EVENT, extra: 'field' }));
+  });
+
+  test('only the owner manages members and invitations', async () => {
+    const alice = firestoreAs('alice');
+    await assertSucceeds(inviteToCalendar(alice, teamCalendar(), 'erin@example.com', 'editor'));
+    await assertSucceeds(setMemberRole(alice, 'team', 'carol', 'editor'));
+
+    const bob = firestoreAs('bob');
+    await assertFails(inviteToCalendar(bob, teamCalendar(), 'mallory@example.com', 'editor'));
+    await assertFails(setMemberRole(bob, 'team', 'bob', 'owner'));
+    await assertFails(removeMember(bob, 'team', 'carol'));
+    await assertFails(updateDoc(doc(bob, 'calendars/team'), { name: 'Bob\'s now' }));
+  });
+
+  test("the owner can't hand over or drop ownership by editing the document", async () => {
+    const alice = firestoreAs('alice');
+    await assertFails(updateDoc(doc(alice, 'calendars/team'), { ownerId: 'bob' }));
+    await assertFails(setMemberRole(alice, 'team', 'alice', 'editor'));
+    await assertFails(updateDoc(doc(alice, 'calendars/team'), { 'roles.bob': 'admin' }));
+  });
+
+  test('an invitee joins with exactly the invited role', async () => {
+    const daveAccount = { uid: 'dave', email: 'dave@example.com', displayName: 'Dave' };
+    const dave = firestoreWithEmail('dave', 'dave@example.com');
+    const invite = { ...teamCalendar(), role: 'viewer' };
+    await assertFails(acceptInvite(dave, { ...invite, role: 'editor' }, daveAccount));
+    await assertFails(acceptInvite(firestoreWithEmail('dave', 'dave@example.com', false), invite, daveAccount));
+    await assertSucceeds(acceptInvite(dave, invite, daveAccount));
+    await assertSucceeds(getDocs(collection(dave, getCalendarEventsPath('team'))));
+    await assertFails(setDoc(doc(dave, calendarEventPath('event3')), VALID_EVENT));
+  });
+
+  test("people without an invitation can't join", async () => {
+    const erinAccount = { uid: 'erin', email: 'erin@example.com', displayName: 'Erin' };
+    const erin = firestoreWithEmail('erin', 'erin@example.com');
+    await assertFails(acceptInvite(erin, { ...teamCalendar(), role: 'viewer' }, erinAccount));
+    await assertFails(updateDoc(doc(erin, 'calendars/team'), { memberIds: [...TEAM_CALENDAR.memberIds, 'erin'], 'roles.erin': 'editor' }));
+  });
+
+  test('an invitee can decline', async () => {
+    const dave = firestoreWithEmail('dave', 'dave@example.com');
+    await assertSucceeds(cancelInvite(dave, teamCalendar(), 'dave@example.com'));
+  });
+
+  test("members can leave, but the owner can't", async () => {
+    await assertSucceeds(removeMember(firestoreAs('carol'), 'team', 'carol'));
+    await assertFails(removeMember(firestoreAs('alice'), 'team', 'alice'));
+  });
+
+  test('only the owner can delete the calendar', async () => {
+    await assertFails(deleteDoc(doc(firestoreAs('bob'), 'calendars/team')));
+    await assertSucceeds(deleteDoc(doc(firestoreAs('alice'), 'calendars/team')));
+  });
+});
@@ -0,0 +1,54 @@
+// Tests for iCalendar import and export:
+//   npm run test:unit
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { eventsToIcs, fitEventToLimits, parseIcs } from '../src/utils/ics.js';
+
+const WEEKLY_EVENT = {
+  id: 'event1',
+  title: 'Standup',
+  date: '2025-08-04',
+  time: '09:30',
+  duration: 30,
+  recurrence: { freq: 'WEEKLY', interval: 1, byDay: ['MO'], until: '2025-12-29', count: null, exceptions: [] }
+};
+
+// Helper function to get the RRULE line of an exported event
+const getRRuleLine = (event) => eventsToIcs([event]).split('\r\n').find(line => line.startsWith('RRULE:'));
+
+describe('repeat rule end dates', () => {
+  test('UNTIL is the end of the day in UTC for events with a time zone', () => {
+    assert.equal(getRRuleLine({ ...WEEKLY_EVENT, timeZone: 'America/Los_Angeles' }), 'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20251230T075959Z');
+    assert.equal(getRRuleLine({ ...WEEKLY_EVENT, timeZone: 'Asia/Tokyo' }), 'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20251229T145959Z');
+  });
+
+  test('UNTIL stays floating for events without one', () => {
+    assert.equal(getRRuleLine(WEEKLY_EVENT), 'RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20251229T235959');
+  });
+
+  test('a UTC UNTIL is read back on the event zone\'s calendar', () => {
+    for (const timeZone of ['America/Los_Angeles', 'Asia/Tokyo', 'Europe/London']) {
+      const [imported] = parseIcs(eventsToIcs([{ ...WEEKLY_EVENT, timeZone }]));
+      assert.equal(imported.recurrence.until, '2025-12-29');
+      assert.equal(imported.timeZone, timeZone);
+    }
+  });
+});
+
+describe('fitting imported events to storage limits', () => {
+  const IMPORTED_EVENT = { uid: 'abc@example.com', title: 'Offsite', date: '2025-08-04', time: '09:00', duration: 60, description: '', locationType: '', category: '', tags: [], recurrence: null };
+
+  test('events within the limits are unchanged', () => {
+    assert.deepEqual(fitEventToLimits(IMPORTED_EVENT), { event: IMPORTED_EVENT, shortened: false, problem: null });
+  });
+
+  test('long text is cut short', () => {
+    const { event, shortened, problem } = fitEventToLimits({ ...IMPORTED_EVENT, title: 'x'.repeat(300), description: 'y'.repeat(6000) });
+    assert.deepEqual([event.title.length, event.description.length, shortened, problem], [200, 5000, true, null]);
+  });
+
+  test('events storage cannot take are reported', () => {
+    assert.equal(fitEventToLimits({ ...IMPORTED_EVENT, uid: 'u'.repeat(501) }).problem, 'UID too long');
+    assert.equal(fitEventToLimits({ ...IMPORTED_EVENT, date: '2025-02-30' }).problem, 'invalid start');
+  });
+});
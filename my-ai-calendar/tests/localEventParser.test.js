@@ -0,0 +1,141 @@
+// Tests for the offline event parser, which skips the LLM when it is confident:
+//   npm run test:unit
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOCAL_PARSE_CONFIDENCE_THRESHOLD, parseEventLocally, parseEventsLocally } from '../src/utils/localEventParser.js';
+
+// Monday 1 September 2025, 10:00 on the local clock
+const NOW = new Date(2025, 8, 1, 10, 0);
+
+// Helper function to parse one event and return just the event fields
+const parse = (input) => parseEventLocally(input, NOW).event;
+
+describe('times', () => {
+  test('reads clock times with am/pm, 24-hour times and noon', () => {
+    assert.equal(parse('Dentist tomorrow at 3pm').time, '15:00');
+    assert.equal(parse('Standup tomorrow 9:30 AM').time, '09:30');
+    assert.equal(parse('Review tomorrow at 14:45').time, '14:45');
+    assert.equal(parse('Lunch with Sam tomorrow at noon').time, '12:00');
+  });
+
+  test('a bare afternoon hour after "at" is taken as pm', () => {
+    assert.equal(parse('Call mom tomorrow at 3').time, '15:00');
+    assert.equal(parse('Breakfast meeting tomorrow at 8').time, '08:00');
+  });
+
+  test('so is one with minutes, unless the morning is stated', () => {
+    assert.equal(parse('Pick up kids at 3:15 today').time, '15:15');
+    assert.equal(parse('Call 1:30 tomorrow').time, '13:30');
+    assert.equal(parse('Standup tomorrow at 9:30').time, '09:30');
+    assert.equal(parse('Run tomorrow morning at 6:45').time, '06:45');
+    assert.equal(parse('Pick up kids at 3:15am today').time, '03:15');
+  });
+
+  test('reads time ranges and durations', () => {
+    assert.deepEqual([parse('Workshop tomorrow 2-4pm').time, parse('Workshop tomorrow 2-4pm').duration], ['14:00', 120]);
+    assert.equal(parse('Gym tomorrow at 6pm for 90 minutes').duration, 90);
+    assert.equal(parse('Planning tomorrow at 10am for two hours').duration, 120);
+  });
+
+  test('parts of the day stand in for a time', () => {
+    assert.equal(parse('Drinks Friday evening').time, '18:00');
+    assert.equal(parse('Gym tomorrow after work').time, '18:00');
+  });
+
+  test('relative offsets count from now', () => {
+    const event = parse('Call back in 2 hours');
+    assert.deepEqual([event.date, event.time], ['2025-09-01', '12:00']);
+  });
+});
+
+describe('dates', () => {
+  test('reads relative days and weekdays', () => {
+    assert.equal(parse('Dentist today at 4pm').date, '2025-09-01');
+    assert.equal(parse('Dentist tomorrow at 4pm').date, '2025-09-02');
+    assert.equal(parse('Dentist the day after tomorrow at 4pm').date, '2025-09-03');
+    assert.equal(parse('Dentist Friday at 4pm').date, '2025-09-05');
+    assert.equal(parse('Dentist next Monday at 4pm').date, '2025-09-08');
+  });
+
+  test('reads month names, ISO dates and day-of-month ordinals', () => {
+    assert.equal(parse('Conference Jan 15th 10 AM').date, '2025-01-15');
+    assert.equal(parse('Conference on 12 October at 9am').date, '2025-10-12');
+    assert.equal(parse('Conference 2025-11-03 at 9am').date, '2025-11-03');
+    assert.equal(parse('Pay rent on the 15th').date, '2025-09-15');
+  });
+
+  test('a relative day wins over an ordinal that may not be a date, with less confidence', () => {
+    const { event, confidence } = parseEventLocally('Call with the 2nd team tomorrow at 4pm', NOW);
+    assert.deepEqual([event.date, event.time, event.title], ['2025-09-02', '16:00', 'Call with the 2nd Team']);
+    assert.ok(confidence < LOCAL_PARSE_CONFIDENCE_THRESHOLD);
+  });
+
+  test('a year left out is flagged as inferred', () => {
+    assert.equal(parseEventLocally('Conference Jan 15th 10 AM', NOW).assumed.year, true);
+    assert.equal(parseEventLocally('Conference Jan 15th 2026 10 AM', NOW).assumed.year, false);
+  });
+
+  test('reads repeat rules', () => {
+    assert.deepEqual(parse('Yoga every Monday and Wednesday at 7pm').recurrence, { freq: 'WEEKLY', interval: 1, byDay: ['MO', 'WE'] });
+    assert.deepEqual(parse('Team sync every other week at 10am').recurrence, { freq: 'WEEKLY', interval: 2, byDay: [] });
+  });
+
+  test('the date and time words are left out of the title', () => {
+    assert.equal(parse('Dentist appointment tomorrow at 3pm').title, 'Dentist Appointment');
+    assert.equal(parse('Lunch with Sam on Friday at noon').title, 'Lunch with Sam');
+  });
+});
+
+describe('confidence', () => {
+  test('a title with a stated date and time is confident enough to skip the LLM', () => {
+    assert.ok(parseEventLocally('Dentist tomorrow at 3pm', NOW).confidence >= LOCAL_PARSE_CONFIDENCE_THRESHOLD);
+  });
+
+  test('missing a date or a time is not', () => {
+    assert.ok(parseEventLocally('Dentist tomorrow', NOW).confidence < LOCAL_PARSE_CONFIDENCE_THRESHOLD);
+    assert.ok(parseEventLocally('Dentist at 3pm', NOW).confidence < LOCAL_PARSE_CONFIDENCE_THRESHOLD);
+    assert.ok(parseEventLocally('tomorrow at 3pm', NOW).confidence < LOCAL_PARSE_CONFIDENCE_THRESHOLD);
+  });
+});
+
+describe('several events', () => {
+  test('splits on "and", commas and "also" when each part is an event', () => {
+    const events = parseEventsLocally('dentist Tuesday 10am and gym Thursday after work, also pay rent on the 1st', NOW).map(result => result.event);
+    assert.deepEqual(events.map(event => [event.title, event.date, event.time]), [
+      ['Dentist', '2025-09-02', '10:00'],
+      ['Gym', '2025-09-04', '18:00'],
+      ['Pay Rent', '2025-09-01', '09:00']
+    ]);
+  });
+
+  test('keeps one event together when a part is not an event on its own', () => {
+    assert.equal(parseEventsLocally('Lunch with Tom and Jerry tomorrow at noon', NOW).length, 1);
+    assert.equal(parseEventsLocally('Yoga every Monday and Wednesday at 7pm', NOW).length, 1);
+    assert.equal(parseEventsLocally('Dentist tomorrow at 3pm, bring the insurance card', NOW).length, 1);
+  });
+});
+
+describe('flights', () => {
+  test('the arrival time on the destination clock sets the duration', () => {
+    const [{ event }] = parseEventsLocally('Flight from London to New York on Friday at 10am arriving 1pm', NOW);
+    assert.deepEqual([event.date, event.time, event.duration], ['2025-09-05', '10:00', 480]);
+    assert.deepEqual([event.timeZone, event.endTimeZone], ['Europe/London', 'America/New_York']);
+  });
+
+  test('an arrival after a comma stays with the flight', () => {
+    const results = parseEventsLocally('Flight from London to New York on Friday at 10am, arriving 1pm', NOW);
+    assert.equal(results.length, 1);
+    const { event } = results[0];
+    assert.deepEqual([event.date, event.time, event.duration], ['2025-09-05', '10:00', 480]);
+    assert.deepEqual([event.timeZone, event.endTimeZone], ['Europe/London', 'America/New_York']);
+
+    const tokyo = parseEventsLocally('Flight to Tokyo tomorrow 11am, landing 3pm', NOW);
+    assert.equal(tokyo.length, 1);
+    assert.deepEqual([tokyo[0].event.title, tokyo[0].event.date, tokyo[0].event.time, tokyo[0].event.endTimeZone], ['Flight to Tokyo', '2025-09-02', '11:00', 'Asia/Tokyo']);
+  });
+
+  test('a named zone sets the event time zone', () => {
+    const event = parse('Call with Tokyo office tomorrow at 9am Tokyo time');
+    assert.deepEqual([event.time, event.timeZone], ['09:00', 'Asia/Tokyo']);
+  });
+});
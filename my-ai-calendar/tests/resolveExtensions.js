@@ -0,0 +1,17 @@
+// Module resolution hook for the unit tests: the app's modules import each other without file extensions,
+// as Vite allows, so extensionless relative imports are retried with '.js'.
+// Loaded with `node --import ./tests/resolveExtensions.js` (see the test:unit script).
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !/^\.{1,2}\//.test(specifier) || /\.[cm]?js$/.test(specifier)) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+};
+
+// Hooks run on their own thread; register them once, from the main one
+if (isMainThread) register(import.meta.url);
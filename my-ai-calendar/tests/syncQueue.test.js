@@ -0,0 +1,231 @@
+// Offline write queue tests for createQueuedEventStore, run against the local Firestore emulator:
+//   npm run test:sync
+// The queue wraps the app's own Firestore store; going offline is simulated with the browser's online/offline
+// events, and a connection that drops mid-write with Firestore's disableNetwork (writes then never settle).
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { disableNetwork, doc, enableNetwork, getDoc, setDoc } from 'firebase/firestore';
+import { createFirestoreEventStore, getUserEventsPath } from '../src/storage/firestore.js';
+import { createQueuedEventStore } from '../src/storage/syncQueue.js';
+
+const PROJECT_ID = 'demo-my-ai-calendar';
+const STORAGE_KEY = 'myAiCalendar.pendingWrites.alice';
+
+const VALID_EVENT = {
+  title: 'Standup',
+  date: '2025-08-04',
+  time: '09:30',
+  duration: 30
+};
+
+// The browser globals the queue relies on, which Node doesn't provide
+const storedItems = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (storedItems.has(key) ? storedItems.get(key) : null),
+  setItem: (key, value) => storedItems.set(key, String(value)),
+  removeItem: (key) => storedItems.delete(key)
+};
+const browser = { onLine: true };
+Object.defineProperty(globalThis, 'navigator', { value: browser, configurable: true, writable: true });
+globalThis.window = new EventTarget();
+
+let testEnv;
+let store;
+
+// Helper function to go offline or back online the way the browser reports it
+const setBrowserOnline = (isOnline) => {
+  browser.onLine = isOnline;
+  window.dispatchEvent(new Event(isOnline ? 'online' : 'offline'));
+};
+
+// Helper function to wait until `predicate` holds, failing the test if it doesn't within a few seconds
+const waitFor = async (predicate, message) => {
+  const deadline = Date.now() + 5000;
+  while (!predicate()) {
+    if (Date.now() > deadline) assert.fail(message);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+// Helper function to get alice's Firestore store, recording every commit that reaches it
+const createRecordedStore = (db) => {
+  const remoteStore = createFirestoreEventStore(db, getUserEventsPath('alice'));
+  const commits = [];
+  return {
+    commits,
+    remoteStore: {
+      ...remoteStore,
+      commit: (operations) => {
+        commits.push(operations);
+        return remoteStore.commit(operations);
+      }
+    }
+  };
+};
+
+// Helper function to subscribe to a queued store, keeping its latest events and sync state
+const watch = (queuedStore) => {
+  const latest = { events: [], sync: null };
+  queuedStore.subscribe(events => { latest.events = events; });
+  queuedStore.subscribeSyncState(state => { latest.sync = state; });
+  return latest;
+};
+
+// Helper function to read an event straight from the emulator (null if it doesn't exist)
+const readEvent = async (id) => {
+  let data = null;
+  await testEnv.withSecurityRulesDisabled(async context => {
+    const snapshot = await getDoc(doc(context.firestore(), `${getUserEventsPath('alice')}/${id}`));
+    data = snapshot.exists() ? snapshot.data() : null;
+  });
+  return data;
+};
+
+// Helper function to write an event as another device would, without going through the queue
+const writeElsewhere = (id, data) => testEnv.withSecurityRulesDisabled(context => (
+  setDoc(doc(context.firestore(), `${getUserEventsPath('alice')}/${id}`), data)
+));
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+  });
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(async () => {
+  storedItems.clear();
+  browser.onLine = true;
+  await testEnv.clearFirestore();
+});
+
+afterEach(() => {
+  if (store) store.dispose();
+  store = null;
+});
+
+describe('offline write queue', () => {
+  test('changes made offline are queued, shown as pending and sent when back online', async () => {
+    const { remoteStore, commits } = createRecordedStore(testEnv.authenticatedContext('alice').firestore());
+    store = createQueuedEventStore(remoteStore, { storageKey: STORAGE_KEY });
+    const latest = watch(store);
+
+    setBrowserOnline(false);
+    await store.commit([{ type: 'set', id: 'event1', data: VALID_EVENT }]);
+    assert.equal(latest.sync.pendingCount, 1);
+    assert.equal(commits.length, 0);
+    assert.equal(JSON.parse(localStorage.getItem(STORAGE_KEY)).length, 1);
+    assert.deepEqual(latest.events.map(event => [event.id, event.pendingSync]), [['event1', true]]);
+    assert.equal(await readEvent('event1'), null);
+
+    setBrowserOnline(true);
+    await waitFor(() => latest.sync.pendingCount === 0 && !latest.sync.isSyncing, 'the queue was not replayed');
+    assert.deepEqual(await readEvent('event1'), VALID_EVENT);
+    assert.deepEqual(JSON.parse(localStorage.getItem(STORAGE_KEY)), []);
+  });
+
+  test('queued changes are replayed in the order they were made', async () => {
+    const { remoteStore, commits } = createRecordedStore(testEnv.authenticatedContext('alice').firestore());
+    store = createQueuedEventStore(remoteStore, { storageKey: STORAGE_KEY });
+    const latest = watch(store);
+
+    setBrowserOnline(false);
+    await store.commit([{ type: 'set', id: 'event1', data: VALID_EVENT }]);
+    await store.commit([{ type: 'update', id: 'event1', data: { title: 'Weekly standup' } }]);
+    await store.commit([{ type: 'set', id: 'event2', data: { ...VALID_EVENT, title: 'Lunch' } }]);
+    await store.commit([{ type: 'delete', id: 'event2' }]);
+    assert.equal(latest.sync.pendingCount, 4);
+    assert.deepEqual(latest.events.map(event => event.title), ['Weekly standup']);
+
+    setBrowserOnline(true);
+    await waitFor(() => latest.sync.pendingCount === 0 && !latest.sync.isSyncing, 'the queue was not replayed');
+    assert.deepEqual(commits.flat().map(({ type, id }) => `${type} ${id}`), ['set event1', 'update event1', 'set event2', 'delete event2']);
+    assert.deepEqual(await readEvent('event1'), { ...VALID_EVENT, title: 'Weekly standup' });
+    assert.equal(await readEvent('event2'), null);
+  });
+
+  test('a write the server never confirms is queued, and not sent again once it is confirmed', async () => {
+    const db = testEnv.authenticatedContext('alice').firestore();
+    const { remoteStore, commits } = createRecordedStore(db);
+    store = createQueuedEventStore(remoteStore, { storageKey: STORAGE_KEY, commitTimeoutMs: 200 });
+    const latest = watch(store);
+
+    // The browser still thinks it is online, so the write is sent and never settles
+    await disableNetwork(db);
+    await store.commit([{ type: 'set', id: 'event1', data: VALID_EVENT }]);
+    assert.equal(latest.sync.pendingCount, 1);
+    assert.equal(JSON.parse(localStorage.getItem(STORAGE_KEY)).length, 1);
+
+    await enableNetwork(db);
+    await waitFor(() => latest.sync.pendingCount === 0 && !latest.sync.isSyncing, 'the confirmed write stayed queued');
+    assert.equal(commits.length, 1);
+    assert.deepEqual(await readEvent('event1'), VALID_EVENT);
+  });
+
+  test('going offline during a write queues it at once', async () => {
+    const db = testEnv.authenticatedContext('alice').firestore();
+    const { remoteStore } = createRecordedStore(db);
+    store = createQueuedEventStore(remoteStore, { storageKey: STORAGE_KEY, commitTimeoutMs: 60000 });
+    const latest = watch(store);
+
+    await disableNetwork(db);
+    const committing = store.commit([{ type: 'set', id: 'event1', data: VALID_EVENT }]);
+    setBrowserOnline(false);
+    await committing;
+    assert.equal(latest.sync.pendingCount, 1);
+
+    await enableNetwork(db);
+    setBrowserOnline(true);
+    await waitFor(() => latest.sync.pendingCount === 0 && !latest.sync.isSyncing, 'the queue was not replayed');
+    assert.deepEqual(await readEvent('event1'), VALID_EVENT);
+  });
+
+  describe('when a queued event was changed elsewhere', () => {
+    // Helper function to queue an offline edit to an event another device then changes, and go back online
+    const createConflict = async () => {
+      await writeElsewhere('event1', VALID_EVENT);
+      const { remoteStore } = createRecordedStore(testEnv.authenticatedContext('alice').firestore());
+      store = createQueuedEventStore(remoteStore, { storageKey: STORAGE_KEY });
+      const latest = watch(store);
+      await waitFor(() => latest.events.length === 1, 'the existing event was not loaded');
+
+      setBrowserOnline(false);
+      await store.commit([{ type: 'update', id: 'event1', data: { title: 'Changed here' } }]);
+      await writeElsewhere('event1', { ...VALID_EVENT, time: '10:00' });
+      setBrowserOnline(true);
+      await waitFor(() => latest.sync.conflict, 'replay did not stop at the conflict');
+      return latest;
+    };
+
+    test('replay pauses and exposes both versions', async () => {
+      const latest = await createConflict();
+      const { eventId, local, remote } = latest.sync.conflict;
+      assert.equal(eventId, 'event1');
+      assert.deepEqual(local, { ...VALID_EVENT, id: 'event1', title: 'Changed here' });
+      assert.deepEqual(remote, { ...VALID_EVENT, id: 'event1', time: '10:00' });
+      assert.equal(latest.sync.pendingCount, 1);
+      assert.deepEqual(await readEvent('event1'), { ...VALID_EVENT, time: '10:00' });
+    });
+
+    test("resolveConflict('local') writes this device's version over the remote one", async () => {
+      const latest = await createConflict();
+      await store.resolveConflict('local');
+      await waitFor(() => latest.sync.pendingCount === 0 && !latest.sync.isSyncing, 'the queue was not replayed');
+      assert.equal(latest.sync.conflict, null);
+      assert.deepEqual(await readEvent('event1'), { ...VALID_EVENT, title: 'Changed here' });
+    });
+
+    test("resolveConflict('remote') drops the queued change and keeps the remote version", async () => {
+      const latest = await createConflict();
+      await store.resolveConflict('remote');
+      await waitFor(() => latest.sync.pendingCount === 0 && !latest.sync.isSyncing, 'the queued change was not dropped');
+      assert.equal(latest.sync.conflict, null);
+      assert.deepEqual(await readEvent('event1'), { ...VALID_EVENT, time: '10:00' });
+      await waitFor(() => latest.events[0]?.time === '10:00' && !latest.events[0].pendingSync, 'the remote version is not shown');
+    });
+  });
+});